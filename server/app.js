@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import { buildProductTask } from '../src/llm/product';
+import { buildAuthenticityTask } from '../src/llm/authenticity';
+import { buildAlternativesTask } from '../src/llm/alternatives';
+import { HttpError, NetworkError } from '../src/llm/http';
+import { createRateLimiter } from './rateLimit';
+import { createLookupCache, lookupKey } from './lookupCache';
+import { RequestError, validateAlternativesRequest, validateProductRequest, validateScanRequest, validateSpeechRequest } from './validate';
+
+const BUILD_DIR = path.join(__dirname, '..', 'build');
+
+// Base64 inflates images by a third; leave room for the JSON around them
+const bodyLimit = ({ maxImages, maxImageBytes }) => Math.ceil(maxImages * maxImageBytes * 1.4) + 64 * 1024;
+
+const sendError = (res, status, message) => res.status(status).json({ error: { message } });
+
+// Map a failure to the response the app's retry policy expects (src/llm/http.js): the model's
+// rate limits and outages keep their status and Retry-After so the browser retries them,
+// other model errors fail straight away with the model's message.
+function sendFailure(res, error) {
+  if (error instanceof RequestError) return sendError(res, error.status, error.message);
+  if (error instanceof HttpError) {
+    if (error.retryAfter !== null) res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+    return sendError(res, error.status, error.message);
+  }
+  if (error instanceof NetworkError) return sendError(res, 502, 'Could not reach the model service.');
+  console.error('Model request failed:', error);
+  return sendError(res, 502, error.message);
+}
+
+// Express app serving /api/* (and the production build of the React app, if there is one).
+// `provider` is an LLM provider (see provider.js); everything else comes from `config`.
+export function createApp({ config, provider, cache = createLookupCache(config.cache) }) {
+  const app = express();
+  app.disable('x-powered-by');
+  app.set('trust proxy', config.trustProxy);
+
+  const api = express.Router();
+  api.use(createRateLimiter(config.rateLimit));
+  api.use(express.json({ limit: bodyLimit(config.limits) }));
+
+  // POST handler for a model task: validate, answer from the cache when possible, otherwise
+  // ask the model and cache the answer. `fresh: true` skips the cached answer and replaces it,
+  // for price checks that must not repeat an earlier answer. With `stream: true` the model's
+  // text is relayed as server-sent events, `data: { "text": chunk }`; errors before the first
+  // chunk are normal HTTP errors, later ones a final `data: { "error": { message } }` event.
+  const modelTask = (validate, buildTask) => async (req, res) => {
+    let request;
+    try {
+      request = validate(req.body, config.limits);
+    } catch (error) {
+      sendFailure(res, error);
+      return;
+    }
+
+    const stream = req.body.stream === true;
+    const key = lookupKey(req.path, request);
+    const cached = req.body.fresh === true ? undefined : cache.get(key);
+    res.set('X-Cache', cached ? 'HIT' : 'MISS');
+
+    const startStream = () => {
+      if (res.headersSent) return;
+      res.status(200).set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+      res.flushHeaders();
+    };
+    const sendEvent = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+    if (cached) {
+      if (!stream) {
+        res.json(cached);
+        return;
+      }
+      startStream();
+      sendEvent({ text: JSON.stringify(cached) });
+      res.end();
+      return;
+    }
+
+    // Stop paying for a model answer nobody is waiting for
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    let sent = 0;
+    const onText = stream ? (text) => {
+      startStream();
+      sendEvent({ text: text.slice(sent) });
+      sent = text.length;
+    } : undefined;
+
+    try {
+      const result = await provider.generateJson(buildTask(request), { signal: controller.signal, onText });
+      cache.set(key, result);
+      if (!stream) {
+        res.json(result);
+        return;
+      }
+      startStream();
+      res.end();
+    } catch (error) {
+      if (error.name === 'AbortError') return; // The client went away
+      if (!res.headersSent) {
+        sendFailure(res, error);
+        return;
+      }
+      sendEvent({ error: { message: error instanceof NetworkError ? 'Could not reach the model service.' : error.message } });
+      res.end();
+    }
+  };
+
+  api.post('/product-lookup', modelTask(validateProductRequest, buildProductTask));
+  api.post('/authenticity-scan', modelTask(validateScanRequest, buildAuthenticityTask));
+  api.post('/alternatives', modelTask(validateAlternativesRequest, buildAlternativesTask));
+
+  api.post('/speech', async (req, res) => {
+    if (typeof provider.synthesizeSpeech !== 'function') {
+      sendError(res, 501, 'The configured model has no speech backend.');
+      return;
+    }
+    try {
+      const { text } = validateSpeechRequest(req.body, config.limits);
+      res.json(await provider.synthesizeSpeech(text));
+    } catch (error) {
+      sendFailure(res, error);
+    }
+  });
+
+  api.use((req, res) => sendError(res, 404, `No API endpoint ${req.method} ${req.originalUrl}.`));
+
+  // Body parser errors: oversized (413) or malformed (400) JSON
+  api.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+      sendError(res, 413, 'The request is too large. Attach fewer or smaller images.');
+      return;
+    }
+    if (error.type === 'entity.parse.failed') {
+      sendError(res, 400, 'The request body is not valid JSON.');
+      return;
+    }
+    next(error);
+  });
+
+  app.use('/api', api);
+
+  // `npm run build` output, if present, so one process can serve the whole app
+  if (fs.existsSync(path.join(BUILD_DIR, 'index.html'))) {
+    app.use(express.static(BUILD_DIR));
+    app.get('*', (req, res) => res.sendFile(path.join(BUILD_DIR, 'index.html')));
+  }
+
+  return app;
+}
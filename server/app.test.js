@@ -0,0 +1,162 @@
+/**
+ * @jest-environment node
+ */
+import request from 'supertest';
+import { createApp } from './app';
+import { HttpError } from '../src/llm/http';
+
+const CONFIG = {
+  trustProxy: false,
+  rateLimit: { windowMs: 60000, max: 5 },
+  limits: { maxImages: 2, maxImageBytes: 1000, maxSpeechChars: 50 },
+  cache: { ttlMs: 60000, maxEntries: 10 },
+};
+
+const PRODUCT = { productName: 'Cola', parentCompany: 'Fizz Corp' };
+
+// Stands in for the LLM provider: answers every task with `answer(task)`, streaming it in two
+// chunks when asked to, and records the tasks it was given
+const stubProvider = (answer = () => PRODUCT) => {
+  const tasks = [];
+  return {
+    tasks,
+    generateJson: async (task, { onText } = {}) => {
+      tasks.push(task);
+      const result = await answer(task);
+      if (onText) {
+        const text = JSON.stringify(result);
+        onText(text.slice(0, 10));
+        onText(text);
+      }
+      return result;
+    },
+  };
+};
+
+const lookup = (app, body) => request(app).post('/api/product-lookup').send(body);
+
+describe('model routes', () => {
+  test('validate the request before calling the model', async () => {
+    const provider = stubProvider();
+    const app = createApp({ config: CONFIG, provider });
+
+    const response = await lookup(app, { productName: 'Cola' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toBe('A language such as "en-US" is required.');
+    expect(provider.tasks).toHaveLength(0);
+  });
+
+  test('answer identical lookups from the cache', async () => {
+    const provider = stubProvider();
+    const app = createApp({ config: CONFIG, provider });
+
+    const first = await lookup(app, { productName: 'Cola', language: 'en-US' });
+    const second = await lookup(app, { productName: ' Cola ', language: 'en-US' });
+    const other = await lookup(app, { productName: 'Cola', language: 'es-US' });
+
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body).toEqual(PRODUCT);
+    expect(other.headers['x-cache']).toBe('MISS');
+    expect(provider.tasks).toHaveLength(2);
+    expect(provider.tasks[0]).toMatchObject({ kind: 'product', input: { productName: 'Cola', language: 'en-US' } });
+  });
+
+  test('ask the model again for fresh lookups, and cache the new answer', async () => {
+    const answers = [PRODUCT, { ...PRODUCT, parentCompany: 'Fizz Holdings' }];
+    const provider = stubProvider(() => answers.shift());
+    const app = createApp({ config: CONFIG, provider });
+
+    await lookup(app, { productName: 'Cola', language: 'en-US' });
+    const fresh = await lookup(app, { productName: 'Cola', language: 'en-US', fresh: true });
+    const cached = await lookup(app, { productName: 'Cola', language: 'en-US' });
+
+    expect(fresh.headers['x-cache']).toBe('MISS');
+    expect(fresh.body.parentCompany).toBe('Fizz Holdings');
+    expect(cached.headers['x-cache']).toBe('HIT');
+    expect(cached.body.parentCompany).toBe('Fizz Holdings');
+    expect(provider.tasks).toHaveLength(2);
+  });
+
+  test('stream the model text as server-sent events', async () => {
+    const app = createApp({ config: CONFIG, provider: stubProvider() });
+
+    const response = await lookup(app, { productName: 'Cola', language: 'en-US', stream: true });
+
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    const chunks = response.text.split('\n\n').filter(Boolean).map(event => JSON.parse(event.replace(/^data: /, '')).text);
+    expect(chunks).toHaveLength(2);
+    expect(JSON.parse(chunks.join(''))).toEqual(PRODUCT);
+  });
+
+  test('pass on the model rate limit with its Retry-After, and do not cache failures', async () => {
+    let calls = 0;
+    const provider = stubProvider(() => {
+      calls++;
+      if (calls === 1) throw new HttpError(429, 'Model quota exceeded.', 30000);
+      return PRODUCT;
+    });
+    const app = createApp({ config: CONFIG, provider });
+
+    const limited = await lookup(app, { productName: 'Cola', language: 'en-US' });
+    const retried = await lookup(app, { productName: 'Cola', language: 'en-US' });
+
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('30');
+    expect(limited.body.error.message).toBe('Model quota exceeded.');
+    expect(retried.status).toBe(200);
+    expect(retried.headers['x-cache']).toBe('MISS');
+  });
+});
+
+describe('request limits', () => {
+  test('reject bodies over the size limit with 413', async () => {
+    const provider = stubProvider();
+    const app = createApp({ config: CONFIG, provider });
+
+    // maxImages * maxImageBytes * 1.4 + 64 KB
+    const response = await lookup(app, { productName: 'x'.repeat(70 * 1024), language: 'en-US' });
+
+    expect(response.status).toBe(413);
+    expect(response.body.error.message).toBe('The request is too large. Attach fewer or smaller images.');
+    expect(provider.tasks).toHaveLength(0);
+  });
+
+  test('reject malformed JSON with 400', async () => {
+    const app = createApp({ config: CONFIG, provider: stubProvider() });
+
+    const response = await request(app).post('/api/product-lookup').set('Content-Type', 'application/json').send('{"productName":');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toBe('The request body is not valid JSON.');
+  });
+
+  test('rate limit each client, cached answers included', async () => {
+    const app = createApp({ config: { ...CONFIG, rateLimit: { windowMs: 60000, max: 2 } }, provider: stubProvider() });
+
+    await lookup(app, { productName: 'Cola', language: 'en-US' });
+    await lookup(app, { productName: 'Cola', language: 'en-US' });
+    const limited = await lookup(app, { productName: 'Cola', language: 'en-US' });
+
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+  });
+});
+
+test('speech needs a provider with a speech backend', async () => {
+  const app = createApp({ config: CONFIG, provider: stubProvider() });
+
+  const response = await request(app).post('/api/speech').send({ text: 'Hello' });
+
+  expect(response.status).toBe(501);
+});
+
+test('unknown API paths are a 404', async () => {
+  const app = createApp({ config: CONFIG, provider: stubProvider() });
+
+  const response = await request(app).get('/api/nothing');
+
+  expect(response.status).toBe(404);
+  expect(response.body.error.message).toBe('No API endpoint GET /api/nothing.');
+});
@@ -0,0 +1,45 @@
+// API server configuration, read from the environment (and .env) at startup. These variables
+// deliberately have no REACT_APP_ prefix, so the React build can never pick them up.
+// LLM_PROVIDER picks the model backend: 'gemini' (default), 'openai' or 'mock'.
+const env = process.env;
+
+const number = (value, fallback) => {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+export const SERVER_CONFIG = {
+  port: number(env.PORT, 3001),
+  // Express "trust proxy" setting; needed behind a reverse proxy so rate limiting sees client IPs
+  trustProxy: env.TRUST_PROXY === 'true' ? true : number(env.TRUST_PROXY, false),
+  provider: (env.LLM_PROVIDER || 'gemini').toLowerCase(),
+  gemini: {
+    apiKey: env.GEMINI_API_KEY || '',
+    model: env.GEMINI_MODEL || 'gemini-2.5-flash-preview-05-20',
+    baseUrl: env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta',
+    // Text-to-speech model and prebuilt voice used by the "Listen" control
+    ttsModel: env.GEMINI_TTS_MODEL || 'gemini-2.5-flash-preview-tts',
+    ttsVoice: env.GEMINI_TTS_VOICE || 'Kore',
+  },
+  openai: {
+    // Any OpenAI-compatible chat completions server (OpenAI, vLLM, Ollama, LM Studio, ...)
+    apiKey: env.OPENAI_API_KEY || '',
+    model: env.OPENAI_MODEL || 'gpt-4o-mini',
+    baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  },
+  rateLimit: {
+    // Model requests per client IP per window; cached answers count too
+    windowMs: number(env.RATE_LIMIT_WINDOW_MS, 60 * 1000),
+    max: number(env.RATE_LIMIT_MAX, 20),
+  },
+  limits: {
+    // The app sends JPEGs downscaled to 1280 px (src/utils/image.js), typically 100-300 KB each
+    maxImages: number(env.MAX_IMAGES, 6),
+    maxImageBytes: number(env.MAX_IMAGE_BYTES, 2 * 1024 * 1024),
+    maxSpeechChars: number(env.MAX_SPEECH_CHARS, 5000),
+  },
+  cache: {
+    ttlMs: number(env.LOOKUP_CACHE_TTL_MS, 24 * 60 * 60 * 1000),
+    maxEntries: number(env.LOOKUP_CACHE_MAX_ENTRIES, 500),
+  },
+};
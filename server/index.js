@@ -0,0 +1,6 @@
+// API server entry point: `npm run server`.
+// The server shares the prompt, schema and provider modules in src/llm with the app. Those are
+// ES modules written for the bundler, so sucrase compiles them (and the rest of server/) on load.
+require('dotenv').config();
+require('sucrase/register');
+require('./main');
@@ -0,0 +1,31 @@
+import { createHash } from 'crypto';
+
+// In-memory cache of model answers for identical lookups, so a product looked up by many
+// shoppers (or re-run from the history) costs one model call per `ttlMs`. Least recently
+// used entries are evicted beyond `maxEntries`.
+export function createLookupCache({ ttlMs, maxEntries }, now = Date.now) {
+  const entries = new Map(); // key -> { value, expiresAt }; Map order is recency order
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    entries.delete(key);
+    if (entry.expiresAt <= now()) return undefined;
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return { get, set, get size() { return entries.size; } };
+}
+
+// Identical lookups: same endpoint and same validated request (images included, by content)
+export const lookupKey = (endpoint, request) =>
+  createHash('sha256').update(JSON.stringify([endpoint, request])).digest('hex');
@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ */
+import { createLookupCache, lookupKey } from './lookupCache';
+
+describe('createLookupCache', () => {
+  let time;
+  const now = () => time;
+
+  beforeEach(() => {
+    time = 0;
+  });
+
+  test('returns entries until their TTL has passed', () => {
+    const cache = createLookupCache({ ttlMs: 1000, maxEntries: 10 }, now);
+    cache.set('cola', { productName: 'Cola' });
+
+    time = 999;
+    expect(cache.get('cola')).toEqual({ productName: 'Cola' });
+    time = 1000;
+    expect(cache.get('cola')).toBeUndefined();
+    expect(cache.size).toBe(0);
+  });
+
+  test('evicts the least recently used entry beyond maxEntries', () => {
+    const cache = createLookupCache({ ttlMs: 1000, maxEntries: 2 }, now);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('c')).toBe(3);
+  });
+
+  test('setting a key again renews its TTL', () => {
+    const cache = createLookupCache({ ttlMs: 1000, maxEntries: 10 }, now);
+    cache.set('a', 1);
+    time = 800;
+    cache.set('a', 2);
+    time = 1500;
+
+    expect(cache.get('a')).toBe(2);
+  });
+});
+
+test('lookupKey depends on the endpoint and the whole request', () => {
+  const request = { productName: 'Cola', language: 'en-US' };
+
+  expect(lookupKey('/product-lookup', request)).toBe(lookupKey('/product-lookup', { ...request }));
+  expect(lookupKey('/product-lookup', request)).not.toBe(lookupKey('/alternatives', request));
+  expect(lookupKey('/product-lookup', request)).not.toBe(lookupKey('/product-lookup', { ...request, language: 'es-US' }));
+});
@@ -0,0 +1,9 @@
+import { SERVER_CONFIG } from './config';
+import { createServerProvider } from './provider';
+import { createApp } from './app';
+
+const app = createApp({ config: SERVER_CONFIG, provider: createServerProvider(SERVER_CONFIG) });
+
+app.listen(SERVER_CONFIG.port, () => {
+  console.log(`API server (${SERVER_CONFIG.provider}) listening on http://localhost:${SERVER_CONFIG.port}`);
+});
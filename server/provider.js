@@ -0,0 +1,23 @@
+import { createGeminiProvider } from '../src/llm/providers/gemini';
+import { createOpenAIProvider } from '../src/llm/providers/openai';
+import { createMockProvider } from '../src/llm/providers/mock';
+
+// The same adapters the app used to call directly, now with the keys on this side. They make a
+// single attempt: failures go back to the browser, whose retry policy (src/llm/http.js) shows the
+// countdown and honors the Retry-After we pass along.
+const PROVIDER_FACTORIES = {
+  gemini: (config) => createGeminiProvider({ ...config.gemini, maxAttempts: 1 }),
+  openai: (config) => createOpenAIProvider({ ...config.openai, maxAttempts: 1 }),
+  mock: () => createMockProvider(),
+};
+
+export function createServerProvider(config) {
+  const factory = PROVIDER_FACTORIES[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${config.provider}". Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}.`);
+  }
+  if (config.provider === 'gemini' && !config.gemini.apiKey) {
+    console.warn('GEMINI_API_KEY is not set; model requests will be rejected.');
+  }
+  return factory(config);
+}
@@ -0,0 +1,31 @@
+// Fixed-window rate limiting per client IP. Over the limit the client gets a 429 with
+// Retry-After, which the app's retry policy waits out with a visible countdown.
+export function createRateLimiter({ windowMs, max }, now = Date.now) {
+  const clients = new Map(); // ip -> { count, resetAt }
+
+  const prune = (time) => {
+    clients.forEach((client, ip) => {
+      if (client.resetAt <= time) clients.delete(ip);
+    });
+  };
+
+  return (req, res, next) => {
+    const time = now();
+    let client = clients.get(req.ip);
+    if (!client || client.resetAt <= time) {
+      if (clients.size >= 10000) prune(time);
+      client = { count: 0, resetAt: time + windowMs };
+      clients.set(req.ip, client);
+    }
+    client.count++;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - client.count, 0)));
+    if (client.count > max) {
+      res.set('Retry-After', String(Math.ceil((client.resetAt - time) / 1000)));
+      res.status(429).json({ error: { message: 'Too many requests. Please wait a moment and try again.' } });
+      return;
+    }
+    next();
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+import { createRateLimiter } from './rateLimit';
+
+// Just enough of Express's req/res for the middleware
+const call = (limiter, ip) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+  limiter({ ip }, res, () => { passed = true; });
+  return { res, passed };
+};
+
+describe('createRateLimiter', () => {
+  let time;
+  const now = () => time;
+
+  beforeEach(() => {
+    time = 0;
+  });
+
+  test('lets `max` requests per window through, then answers 429 with Retry-After', () => {
+    const limiter = createRateLimiter({ windowMs: 60000, max: 2 }, now);
+
+    expect(call(limiter, '1.1.1.1').res.headers['RateLimit-Remaining']).toBe('1');
+    expect(call(limiter, '1.1.1.1').passed).toBe(true);
+
+    time = 15000;
+    const { res, passed } = call(limiter, '1.1.1.1');
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['Retry-After']).toBe('45');
+    expect(res.body.error.message).toMatch(/Too many requests/);
+  });
+
+  test('counts each client separately', () => {
+    const limiter = createRateLimiter({ windowMs: 60000, max: 1 }, now);
+    call(limiter, '1.1.1.1');
+
+    expect(call(limiter, '2.2.2.2').passed).toBe(true);
+    expect(call(limiter, '1.1.1.1').passed).toBe(false);
+  });
+
+  test('starts a new window once the old one has passed', () => {
+    const limiter = createRateLimiter({ windowMs: 60000, max: 1 }, now);
+    call(limiter, '1.1.1.1');
+    expect(call(limiter, '1.1.1.1').passed).toBe(false);
+
+    time = 60000;
+    expect(call(limiter, '1.1.1.1').passed).toBe(true);
+  });
+});
@@ -0,0 +1,114 @@
+import { normalizeGtin } from '../src/barcode/gtin';
+
+// A request the server refuses. `status` is 400 for malformed requests and 413 for oversized ones.
+export class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+  }
+}
+
+const LANGUAGE = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+const MAX_PRODUCT_NAME = 200;
+// Ingredient and harmful-content lists sent along with an alternatives request
+const MAX_LIST_ITEMS = 30;
+const MAX_LIST_ITEM = 200;
+
+const megabytes = (bytes) => `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+
+function validateProductName(productName) {
+  if (typeof productName !== 'string' || !productName.trim()) {
+    throw new RequestError(400, 'productName must be a non-empty string.');
+  }
+  if (productName.length > MAX_PRODUCT_NAME) {
+    throw new RequestError(413, `productName can be at most ${MAX_PRODUCT_NAME} characters.`);
+  }
+  return productName.trim();
+}
+
+function validateStringList(name, value = []) {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw new RequestError(400, `${name} must be a list of strings.`);
+  }
+  if (value.length > MAX_LIST_ITEMS || value.some(item => item.length > MAX_LIST_ITEM)) {
+    throw new RequestError(413, `${name} can have at most ${MAX_LIST_ITEMS} entries of ${MAX_LIST_ITEM} characters.`);
+  }
+  return value.map(item => item.trim()).filter(Boolean);
+}
+
+function validateLanguage(language) {
+  if (typeof language !== 'string' || !LANGUAGE.test(language)) {
+    throw new RequestError(400, 'A language such as "en-US" is required.');
+  }
+  return language;
+}
+
+// Images arrive as { mimeType, data } with bare base64 data (see toInlineImages in src/utils/image.js)
+function validateImages(images, { maxImages, maxImageBytes }) {
+  if (!Array.isArray(images) || images.length === 0) {
+    throw new RequestError(400, 'At least one image is required.');
+  }
+  if (images.length > maxImages) {
+    throw new RequestError(413, `At most ${maxImages} images can be sent at once.`);
+  }
+  return images.map((image, index) => {
+    if (!image || !IMAGE_TYPES.includes(image.mimeType)) {
+      throw new RequestError(400, `Image ${index + 1} must be a JPEG, PNG or WebP image.`);
+    }
+    if (typeof image.data !== 'string' || !BASE64.test(image.data)) {
+      throw new RequestError(400, `Image ${index + 1} is not valid base64 data.`);
+    }
+    const bytes = Math.floor((image.data.length * 3) / 4);
+    if (bytes > maxImageBytes) {
+      throw new RequestError(413, `Image ${index + 1} is ${megabytes(bytes)}; images can be at most ${megabytes(maxImageBytes)}.`);
+    }
+    return { mimeType: image.mimeType, data: image.data };
+  });
+}
+
+// Exactly one of productName, gtin or images, plus language. Returns the cleaned-up request.
+export function validateProductRequest(body, limits) {
+  const language = validateLanguage(body.language);
+  const hasImages = Array.isArray(body.images) && body.images.length > 0;
+  const queries = [body.productName, body.gtin, hasImages || undefined].filter(value => value !== undefined && value !== '');
+  if (queries.length !== 1) {
+    throw new RequestError(400, 'Send exactly one of productName, gtin or images.');
+  }
+
+  if (body.gtin !== undefined && body.gtin !== '') {
+    const gtin = normalizeGtin(String(body.gtin));
+    if (!gtin) throw new RequestError(400, 'gtin is not a valid GTIN-8, -12, -13 or -14.');
+    return { gtin, language };
+  }
+  if (hasImages) {
+    return { images: validateImages(body.images, limits), language };
+  }
+  return { productName: validateProductName(body.productName), language };
+}
+
+export function validateScanRequest(body, limits) {
+  return { images: validateImages(body.images, limits), language: validateLanguage(body.language) };
+}
+
+// The looked-up product (name, ingredients, harmful content) to suggest alternatives for
+export function validateAlternativesRequest(body) {
+  return {
+    productName: validateProductName(body.productName),
+    ingredients: validateStringList('ingredients', body.ingredients),
+    harmfulContent: validateStringList('harmfulContent', body.harmfulContent),
+    language: validateLanguage(body.language)
+  };
+}
+
+export function validateSpeechRequest(body, { maxSpeechChars }) {
+  if (typeof body.text !== 'string' || !body.text.trim()) {
+    throw new RequestError(400, 'text must be a non-empty string.');
+  }
+  if (body.text.length > maxSpeechChars) {
+    throw new RequestError(413, `text can be at most ${maxSpeechChars} characters.`);
+  }
+  return { text: body.text };
+}
@@ -0,0 +1,71 @@
+/**
+ * @jest-environment node
+ */
+import {
+  RequestError,
+  validateAlternativesRequest,
+  validateProductRequest,
+  validateScanRequest,
+  validateSpeechRequest
+} from './validate';
+
+const LIMITS = { maxImages: 2, maxImageBytes: 30, maxSpeechChars: 20 };
+const IMAGE = { mimeType: 'image/jpeg', data: 'AAAA' };
+
+// The RequestError a validator throws, as { status, message }
+const rejection = (validate) => {
+  try {
+    validate();
+  } catch (error) {
+    expect(error).toBeInstanceOf(RequestError);
+    return { status: error.status, message: error.message };
+  }
+  throw new Error('Expected the request to be rejected.');
+};
+
+describe('validateProductRequest', () => {
+  test('accepts exactly one of productName, gtin or images', () => {
+    expect(validateProductRequest({ productName: '  Cola ', language: 'en-US' }, LIMITS)).toEqual({ productName: 'Cola', language: 'en-US' });
+    expect(validateProductRequest({ gtin: '5449000000996', language: 'hi-IN' }, LIMITS)).toEqual({ gtin: '5449000000996', language: 'hi-IN' });
+    expect(validateProductRequest({ images: [IMAGE], language: 'es-US', stream: true }, LIMITS)).toEqual({ images: [IMAGE], language: 'es-US' });
+
+    expect(rejection(() => validateProductRequest({ productName: 'Cola', gtin: '5449000000996', language: 'en-US' }, LIMITS)).status).toBe(400);
+    expect(rejection(() => validateProductRequest({ language: 'en-US' }, LIMITS)).status).toBe(400);
+  });
+
+  test('rejects bad languages, GTINs and oversized names', () => {
+    expect(rejection(() => validateProductRequest({ productName: 'Cola' }, LIMITS)).message).toMatch(/language/);
+    expect(rejection(() => validateProductRequest({ gtin: '5449000000997', language: 'en-US' }, LIMITS)).message).toMatch(/not a valid GTIN/);
+    expect(rejection(() => validateProductRequest({ productName: 'x'.repeat(201), language: 'en-US' }, LIMITS)).status).toBe(413);
+  });
+
+  test('checks the number, type, encoding and size of images', () => {
+    const product = (images) => () => validateProductRequest({ images, language: 'en-US' }, LIMITS);
+
+    expect(rejection(product([IMAGE, IMAGE, IMAGE]))).toEqual({ status: 413, message: 'At most 2 images can be sent at once.' });
+    expect(rejection(product([{ mimeType: 'image/gif', data: 'AAAA' }])).status).toBe(400);
+    expect(rejection(product([{ mimeType: 'image/png', data: 'not base64!' }])).message).toBe('Image 1 is not valid base64 data.');
+    expect(rejection(product([IMAGE, { mimeType: 'image/png', data: 'A'.repeat(44) }])).status).toBe(413);
+  });
+});
+
+test('validateScanRequest needs at least one image', () => {
+  expect(rejection(() => validateScanRequest({ images: [], language: 'en-US' }, LIMITS)).message).toBe('At least one image is required.');
+});
+
+test('validateAlternativesRequest cleans up the ingredient lists', () => {
+  expect(validateAlternativesRequest({ productName: 'Cola', ingredients: [' Sugar ', ''], language: 'en-US' })).toEqual({
+    productName: 'Cola',
+    ingredients: ['Sugar'],
+    harmfulContent: [],
+    language: 'en-US'
+  });
+  expect(rejection(() => validateAlternativesRequest({ productName: 'Cola', ingredients: 'Sugar', language: 'en-US' })).status).toBe(400);
+  expect(rejection(() => validateAlternativesRequest({ productName: 'Cola', ingredients: Array(31).fill('Sugar'), language: 'en-US' })).status).toBe(413);
+});
+
+test('validateSpeechRequest limits the text length', () => {
+  expect(validateSpeechRequest({ text: 'Hello' }, LIMITS)).toEqual({ text: 'Hello' });
+  expect(rejection(() => validateSpeechRequest({ text: '   ' }, LIMITS)).status).toBe(400);
+  expect(rejection(() => validateSpeechRequest({ text: 'x'.repeat(21) }, LIMITS)).status).toBe(413);
+});
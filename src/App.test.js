@@ -0,0 +1,364 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from './App';
+
+// jsdom can't decode or draw images, so attached photos skip compression
+jest.mock('./utils/image', () => ({
+  ...jest.requireActual('./utils/image'),
+  compressImageFile: async (file) => ({
+    id: file.name,
+    dataUrl: 'data:image/jpeg;base64,AAAA',
+    mimeType: 'image/jpeg',
+    data: 'AAAA',
+  }),
+  createThumbnail: async () => null,
+}));
+
+const PRODUCT = {
+  productName: 'Fizzy Cola',
+  parentCompany: 'Fizz Corp',
+  priceHistory: [{ year: '2020', price: '$1.00' }, { year: '2023', price: '$1.50' }],
+  ingredients: ['Carbonated water', 'Sugar'],
+  content: 'A sweet carbonated soft drink.',
+  goodContent: ['Hydration'],
+  harmfulContent: ['High sugar'],
+  customerInfo: 'Best served cold.',
+};
+
+const SCAN_RESULT = {
+  productName: 'Fizzy Cola',
+  verdict: 'fake',
+  confidence: 0.9,
+  summary: 'The logo spacing does not match the genuine can.',
+  signals: [{ category: 'logo_typography', observation: 'Letters are unevenly spaced.', assessment: 'suspicious' }],
+};
+
+// Answers from the API server (server/app.js): lookups stream `data: { text }` events,
+// scans return the model's JSON
+const streamResponse = (text) => {
+  const chunks = [text.slice(0, 40), text.slice(40)];
+  const body = chunks.map(chunk => `data: ${JSON.stringify({ text: chunk })}\n\n`).join('');
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+const jsonResponse = (body, status = 200, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+// Route fetch by URL: each API endpoint gets the next response from its queue; exchange rates
+// are unavailable, so the app keeps its built-in rates
+let responses;
+let requests;
+
+const mockFetch = async (url, options = {}) => {
+  const path = String(url);
+  if (!path.startsWith('/api/')) return jsonResponse({ message: 'Not found' }, 404);
+  requests.push({ path, body: JSON.parse(options.body) });
+  const next = (responses[path] || []).shift();
+  if (!next) throw new TypeError('Failed to fetch');
+  return next();
+};
+
+const requestsTo = (path) => requests.filter(request => request.path === path);
+
+beforeEach(() => {
+  responses = {};
+  requests = [];
+  window.fetch = mockFetch;
+  window.localStorage.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+const photo = () => new File(['photo'], 'cola.jpg', { type: 'image/jpeg' });
+
+describe('text search', () => {
+  test('streams the product and shows its details', async () => {
+    responses['/api/product-lookup'] = [() => streamResponse(JSON.stringify(PRODUCT))];
+    render(<App />);
+
+    await userEvent.type(screen.getByPlaceholderText(/Enter product name/), 'Fizzy Cola');
+    await userEvent.click(screen.getByRole('button', { name: 'Get Details (Text)' }));
+
+    expect(await screen.findByRole('heading', { name: 'Fizzy Cola Details' })).toBeInTheDocument();
+    expect(screen.getByText('Fizz Corp')).toBeInTheDocument();
+    expect(screen.getByText('Carbonated water')).toBeInTheDocument();
+    expect(requestsTo('/api/product-lookup')[0].body).toMatchObject({ productName: 'Fizzy Cola', language: 'en-US', stream: true });
+  });
+
+  test('asks for a product name instead of searching for nothing', async () => {
+    render(<App />);
+
+    await userEvent.type(screen.getByPlaceholderText(/Enter product name/), '   {Enter}');
+
+    expect(await screen.findByRole('dialog')).toHaveTextContent('Please enter a product name or upload an image.');
+    expect(requestsTo('/api/product-lookup')).toHaveLength(0);
+  });
+});
+
+describe('source citations', () => {
+  test('badges unsourced or low-confidence facts and labels estimated prices', async () => {
+    const cited = {
+      ...PRODUCT,
+      priceHistory: [{ year: '2020', price: '$1.00' }, { year: '2023', price: '$1.50', source: 'https://example.com/prices-2023' }],
+      provenance: {
+        parentCompany: { confidence: 'high', sources: [{ title: 'Fizz Corp brands', url: 'https://example.com/brands' }] },
+        priceHistory: { confidence: 'medium', sources: [] },
+        ingredients: { confidence: 'high', sources: [{ title: 'Product label' }] },
+        harmfulContent: { confidence: 'low', sources: [{ title: 'Sugar guidelines', url: 'https://example.com/sugar' }] },
+        customerInfo: { confidence: 'high', sources: [] },
+      },
+    };
+    responses['/api/product-lookup'] = [() => streamResponse(JSON.stringify(cited))];
+    render(<App />);
+
+    await userEvent.type(screen.getByPlaceholderText(/Enter product name/), 'Fizzy Cola{enter}');
+
+    expect(await screen.findByRole('note')).toHaveTextContent('cites no sources for: Harmful Content, Customer Information.');
+    expect(screen.getByRole('link', { name: 'Fizz Corp brands' })).toHaveAttribute('href', 'https://example.com/brands');
+    expect(screen.getAllByText('Low confidence')).toHaveLength(1);
+    expect(screen.getAllByText('No sources')).toHaveLength(1);
+    expect(screen.getByText('1 of 2 prices is sourced; the rest are estimates by the model.')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'https://example.com/prices-2023' })).toBeInTheDocument();
+  });
+});
+
+describe('image search', () => {
+  test('sends the attached photos for identification', async () => {
+    responses['/api/product-lookup'] = [() => streamResponse(JSON.stringify(PRODUCT))];
+    render(<App />);
+
+    await userEvent.upload(screen.getByLabelText('Choose product photos'), photo());
+    await userEvent.click(await screen.findByRole('button', { name: 'Get Details (Image)' }));
+
+    expect(await screen.findByRole('heading', { name: 'Fizzy Cola Details' })).toBeInTheDocument();
+    expect(requestsTo('/api/product-lookup')[0].body).toMatchObject({
+      images: [{ mimeType: 'image/jpeg', data: 'AAAA' }],
+      language: 'en-US',
+    });
+  });
+});
+
+describe('retries', () => {
+  test('waits out a 429 and retries the lookup', async () => {
+    responses['/api/product-lookup'] = [
+      () => jsonResponse({ error: { message: 'Too many requests.' } }, 429, { 'Retry-After': '0' }),
+      () => streamResponse(JSON.stringify(PRODUCT)),
+    ];
+    render(<App />);
+
+    await userEvent.type(screen.getByPlaceholderText(/Enter product name/), 'Fizzy Cola{Enter}');
+
+    expect(await screen.findByRole('heading', { name: 'Fizzy Cola Details' })).toBeInTheDocument();
+    expect(requestsTo('/api/product-lookup')).toHaveLength(2);
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  test('does not retry other client errors', async () => {
+    responses['/api/product-lookup'] = [() => jsonResponse({ error: { message: 'productName is required.' } }, 400)];
+    render(<App />);
+
+    await userEvent.type(screen.getByPlaceholderText(/Enter product name/), 'Fizzy Cola{Enter}');
+
+    expect(await screen.findByRole('dialog')).toHaveTextContent('productName is required.');
+    expect(requestsTo('/api/product-lookup')).toHaveLength(1);
+  });
+});
+
+describe('malformed LLM responses', () => {
+  test('reports JSON the model cut off', async () => {
+    responses['/api/product-lookup'] = [() => streamResponse('{"productName": "Fizzy Cola", "ingredients": [')];
+    render(<App />);
+
+    await userEvent.type(screen.getByPlaceholderText(/Enter product name/), 'Fizzy Cola{Enter}');
+
+    expect(await screen.findByRole('dialog')).toHaveTextContent('The model returned malformed JSON.');
+  });
+
+  test('reports a stream without any model output', async () => {
+    responses['/api/product-lookup'] = [() => new Response('', { status: 200 })];
+    render(<App />);
+
+    await userEvent.type(screen.getByPlaceholderText(/Enter product name/), 'Fizzy Cola{Enter}');
+
+    expect(await screen.findByRole('dialog')).toHaveTextContent('Invalid response structure from LLM.');
+  });
+});
+
+describe('authenticity scan', () => {
+  test('shows the verdict and the signals behind it', async () => {
+    responses['/api/authenticity-scan'] = [() => jsonResponse(SCAN_RESULT)];
+    render(<App />);
+
+    await userEvent.upload(screen.getByLabelText('Choose photos to check'), photo());
+    await userEvent.click(await screen.findByRole('button', { name: 'Scan Product' }));
+
+    expect(await screen.findByText('The logo spacing does not match the genuine can.')).toBeInTheDocument();
+    const [signal] = screen.getAllByRole('listitem').filter(item => within(item).queryByText('Letters are unevenly spaced.'));
+    expect(within(signal).getByText(/suspicious/i)).toBeInTheDocument();
+    expect(requestsTo('/api/authenticity-scan')[0].body).toMatchObject({ images: [{ data: 'AAAA' }], language: 'en-US' });
+  });
+
+  test('reports a result that is not an authenticity check', async () => {
+    responses['/api/authenticity-scan'] = [() => jsonResponse(['not', 'an', 'object'])];
+    render(<App />);
+
+    await userEvent.upload(screen.getByLabelText('Choose photos to check'), photo());
+    await userEvent.click(await screen.findByRole('button', { name: 'Scan Product' }));
+
+    expect(await screen.findByRole('dialog')).toHaveTextContent('LLM response is not an authenticity result.');
+  });
+});
+
+describe('better alternatives', () => {
+  test('suggests lower-risk products and looks one up in one click', async () => {
+    responses['/api/product-lookup'] = [
+      () => streamResponse(JSON.stringify(PRODUCT)),
+      () => streamResponse(JSON.stringify({ ...PRODUCT, productName: 'Sparkling Water', harmfulContent: [] })),
+    ];
+    responses['/api/alternatives'] = [() => jsonResponse({
+      alternatives: [
+        { productName: 'Sparkling Water', brand: 'Springs', reason: 'No added sugar', ingredients: ['Carbonated water'], harmfulContent: [], typicalPrice: '$0.99' },
+        { productName: 'Syrup Soda', reason: 'Cheaper', ingredients: ['High fructose corn syrup'], harmfulContent: ['High fructose corn syrup', 'Phosphoric acid'] },
+      ],
+    })];
+    render(<App />);
+
+    await userEvent.type(screen.getByPlaceholderText(/Enter product name/), 'Fizzy Cola{Enter}');
+    await userEvent.click(await screen.findByRole('button', { name: 'Find Alternatives' }));
+
+    expect(await screen.findByText('No added sugar')).toBeInTheDocument();
+    expect(screen.getByText(/typically \$0\.99/)).toBeInTheDocument();
+    expect(screen.queryByText('Syrup Soda')).not.toBeInTheDocument(); // Riskier than Fizzy Cola
+    expect(requestsTo('/api/alternatives')[0].body).toMatchObject({ productName: 'Fizzy Cola', harmfulContent: ['High sugar'], language: 'en-US' });
+
+    await userEvent.click(screen.getByRole('button', { name: 'Look up Sparkling Water' }));
+
+    expect(await screen.findByRole('heading', { name: 'Sparkling Water Details' })).toBeInTheDocument();
+    expect(requestsTo('/api/product-lookup')[1].body).toMatchObject({ productName: 'Sparkling Water', language: 'en-US' });
+  });
+});
+
+describe('price watchlist', () => {
+  const year = String(new Date().getFullYear());
+  const current = { ...PRODUCT, priceHistory: [...PRODUCT.priceHistory, { year, price: '$1.50' }] };
+
+  test('records a snapshot on refresh and alerts when the price drops to the target', async () => {
+    const cheaper = { ...PRODUCT, priceHistory: [...PRODUCT.priceHistory, { year, price: '$0.90' }] };
+    responses['/api/product-lookup'] = [
+      () => streamResponse(JSON.stringify(current)),
+      () => jsonResponse(cheaper),
+    ];
+    render(<App />);
+
+    await userEvent.type(screen.getByPlaceholderText(/Enter product name/), 'Fizzy Cola{Enter}');
+    await userEvent.type(await screen.findByLabelText('Target price (USD)'), '1');
+    await userEvent.click(screen.getByRole('button', { name: 'Watch Price' }));
+
+    expect(await screen.findByText('Price Watchlist (1)')).toBeInTheDocument();
+    expect(screen.getByText(/Now \$1\.50 · target \$1\.00 · 1 snapshot$/)).toBeInTheDocument();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Refresh the price of Fizzy Cola' }));
+
+    expect(await screen.findByRole('dialog')).toHaveTextContent('Price drop: Fizzy Cola is now $0.90, at or below your target of $1.00.');
+    expect(await screen.findByText(/Now \$0\.90 · target \$1\.00 · 2 snapshots$/)).toBeInTheDocument();
+    expect(screen.getByText('At or below target')).toBeInTheDocument();
+    expect(requestsTo('/api/product-lookup')[1].body).toMatchObject({ productName: 'Fizzy Cola', language: 'en-US', fresh: true });
+    expect(requestsTo('/api/product-lookup')[0].body.fresh).toBeUndefined();
+  });
+
+  test('records no snapshot when the result has no price for the current year', async () => {
+    // The watchlist persists between tests, so this watches a different product
+    const soda = { ...current, productName: 'Plain Soda', parentCompany: 'Soda Co' };
+    const stale = { ...soda, priceHistory: [{ year: '2020', price: '$0.50' }] };
+    responses['/api/product-lookup'] = [
+      () => streamResponse(JSON.stringify(soda)),
+      () => jsonResponse(stale),
+    ];
+    render(<App />);
+
+    await userEvent.type(screen.getByPlaceholderText(/Enter product name/), 'Plain Soda{Enter}');
+    await userEvent.type(await screen.findByLabelText('Target price (USD)'), '1');
+    await userEvent.click(screen.getByRole('button', { name: 'Watch Price' }));
+    await userEvent.click(await screen.findByRole('button', { name: 'Refresh the price of Plain Soda' }));
+
+    expect(await screen.findByText(`No price for ${year} in the last result, so no snapshot was recorded.`)).toBeInTheDocument();
+    expect(screen.getByText(/Now \$1\.50 · target \$1\.00 · 1 snapshot$/)).toBeInTheDocument();
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+});
+
+describe('batch lookup', () => {
+  test('looks up a pasted list and sorts the results table', async () => {
+    const cheaper = { ...PRODUCT, productName: 'Plain Soda', parentCompany: 'Soda Co', harmfulContent: [], priceHistory: [{ year: '2023', price: '$0.80' }] };
+    // Batch rows don't stream, so the server answers with the model's JSON
+    responses['/api/product-lookup'] = [
+      () => jsonResponse(PRODUCT),
+      () => jsonResponse(cheaper),
+      () => jsonResponse({ error: 'The model could not identify this product.' }, 400),
+    ];
+    render(<App />);
+
+    await userEvent.type(screen.getByLabelText('Product names or barcodes, one per line'), 'Fizzy Cola{enter}Plain Soda{enter}Mystery Drink');
+    await userEvent.click(screen.getByRole('button', { name: 'Run Batch' }));
+
+    expect(await screen.findByText('3 of 3 done')).toBeInTheDocument();
+    expect(requestsTo('/api/product-lookup').map(request => request.body.productName)).toEqual(['Fizzy Cola', 'Plain Soda', 'Mystery Drink']);
+
+    const table = screen.getByRole('table');
+    const names = () => within(table).getAllByRole('row').slice(1).map(row => within(row).getAllByRole('cell')[0].textContent);
+    expect(names()).toEqual(['Fizzy Cola', 'Plain Soda', 'Mystery Drink']);
+
+    await userEvent.click(within(table).getByRole('button', { name: 'Latest Price' }));
+    expect(names()).toEqual(['Plain Soda', 'Fizzy Cola', 'Mystery Drink']);
+    expect(within(table).getByText(/Failed/)).toBeInTheDocument();
+  });
+
+  test('explains a batch with nothing to look up in the chosen language', async () => {
+    render(<App />);
+
+    await userEvent.selectOptions(screen.getByLabelText('Select Language:'), 'es-US');
+    // A CSV header without any rows
+    await userEvent.type(screen.getByLabelText('Nombres de productos o códigos de barras, uno por línea'), 'name');
+    await userEvent.click(screen.getByRole('button', { name: 'Ejecutar lote' }));
+
+    expect(await screen.findByRole('dialog')).toHaveTextContent('No se encontraron nombres de productos ni códigos de barras.');
+    expect(requestsTo('/api/product-lookup')).toHaveLength(0);
+  });
+});
+
+describe('nutrition facts', () => {
+  test('shows the label values with traffic lights and scores them', async () => {
+    const labelled = {
+      ...PRODUCT,
+      harmfulContent: [],
+      nutrition: {
+        basis: 'label',
+        unit: 'ml',
+        servingSize: '1 can (330 ml)',
+        servingSizeGrams: 330,
+        per100g: { energyKcal: 42, sugarG: 12, fatG: 0, saturatedFatG: 0, sodiumMg: 4, proteinG: 0, fiberG: 0 },
+      },
+    };
+    responses['/api/product-lookup'] = [() => streamResponse(JSON.stringify(labelled))];
+    render(<App />);
+
+    await userEvent.type(screen.getByPlaceholderText(/Enter product name/), 'Fizzy Cola{enter}');
+
+    const table = await screen.findByRole('table');
+    expect(screen.getByText('Read from the nutrition label in your photo.')).toBeInTheDocument();
+    const sugar = within(table).getByRole('row', { name: /Sugar/ });
+    expect(sugar).toHaveTextContent('12 g');
+    expect(sugar).toHaveTextContent('39.6 g');
+    expect(sugar).toHaveTextContent('High');
+    expect(within(table).getByRole('row', { name: /Sodium/ })).toHaveTextContent('Low');
+
+    await userEvent.click(screen.getByRole('button', { name: 'How was this score built?' }));
+    expect(screen.getByText('High: 12 g per 100 ml, over the 11.25 g front-of-pack limit for "high".')).toBeInTheDocument();
+    expect(screen.queryByText('Added Sugar')).not.toBeInTheDocument();
+
+    // The nutrient items are translated with the rest of the breakdown
+    await userEvent.selectOptions(screen.getByLabelText('Select Language:'), 'es-US');
+    expect(screen.getByText('Alto: 12 g por 100 ml, por encima del límite frontal de 11.25 g para "alto".')).toBeInTheDocument();
+  });
+});
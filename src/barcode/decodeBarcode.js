@@ -0,0 +1,82 @@
+import {
+  BarcodeFormat,
+  BinaryBitmap,
+  DecodeHintType,
+  HybridBinarizer,
+  MultiFormatReader,
+  RGBLuminanceSource,
+} from '@zxing/library';
+import { extractGtin } from './gtin';
+import { loadImage } from '../utils/image';
+
+const NATIVE_FORMATS = ['ean_13', 'upc_a', 'qr_code'];
+const ZXING_FORMATS = [BarcodeFormat.EAN_13, BarcodeFormat.UPC_A, BarcodeFormat.QR_CODE];
+
+// Large photos are scaled down before decoding; barcodes stay readable and zxing stays fast.
+const MAX_DECODE_DIMENSION = 1600;
+
+// Chrome/Android ship a native BarcodeDetector; use it when it supports our formats.
+async function decodeNative(image) {
+  if (typeof window === 'undefined' || !('BarcodeDetector' in window)) return null;
+  const supported = await window.BarcodeDetector.getSupportedFormats();
+  const formats = NATIVE_FORMATS.filter(format => supported.includes(format));
+  if (formats.length === 0) return null;
+
+  const detector = new window.BarcodeDetector({ formats });
+  const barcodes = await detector.detect(image);
+  return barcodes.map(barcode => barcode.rawValue);
+}
+
+function decodeWithZxing(image) {
+  const scale = Math.min(1, MAX_DECODE_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+  const width = Math.round(image.naturalWidth * scale);
+  const height = Math.round(image.naturalHeight * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0, width, height);
+  const { data } = context.getImageData(0, 0, width, height);
+
+  const luminances = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < luminances.length; i++) {
+    luminances[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+  }
+
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, ZXING_FORMATS);
+  hints.set(DecodeHintType.TRY_HARDER, true);
+  const reader = new MultiFormatReader();
+  reader.setHints(hints);
+
+  try {
+    const bitmap = new BinaryBitmap(new HybridBinarizer(new RGBLuminanceSource(luminances, width, height)));
+    return [reader.decode(bitmap).getText()];
+  } catch (error) {
+    // zxing throws NotFoundException when there is no readable code in the image
+    return [];
+  }
+}
+
+// Decode an EAN-13, UPC-A or QR code from an image data URL and return its GTIN,
+// or null when no code with a valid GTIN is found.
+export async function decodeGtinFromImage(dataUrl) {
+  const image = await loadImage(dataUrl);
+
+  let values = null;
+  try {
+    values = await decodeNative(image);
+  } catch (error) {
+    console.warn('Native barcode detection failed, falling back to zxing:', error);
+  }
+  if (!values || values.length === 0) {
+    values = decodeWithZxing(image);
+  }
+
+  for (const value of values) {
+    const gtin = extractGtin(value);
+    if (gtin) return gtin;
+  }
+  return null;
+}
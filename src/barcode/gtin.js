@@ -0,0 +1,44 @@
+// GTIN helpers for EAN-13 / UPC-A barcodes and GS1 QR payloads.
+
+// Standard GS1 mod-10 check digit validation (works for GTIN-8/12/13/14).
+export function isValidGtin(digits) {
+  if (!/^\d{8}$|^\d{12,14}$/.test(digits)) return false;
+  const body = digits.slice(0, -1);
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    // Weights alternate 3,1,3,... starting from the digit next to the check digit
+    const weight = (body.length - i) % 2 === 1 ? 3 : 1;
+    sum += Number(body[i]) * weight;
+  }
+  const check = (10 - (sum % 10)) % 10;
+  return check === Number(digits[digits.length - 1]);
+}
+
+// Normalize to GTIN-13: UPC-A (12 digits) gets a leading zero, GTIN-14 with a
+// zero indicator digit is shortened. Returns null for anything invalid.
+export function normalizeGtin(value) {
+  let digits = String(value).replace(/\D/g, '');
+  if (!isValidGtin(digits)) return null;
+  if (digits.length === 12) digits = `0${digits}`;
+  if (digits.length === 14 && digits[0] === '0') digits = digits.slice(1);
+  return digits;
+}
+
+// Pull a GTIN out of a decoded barcode or QR payload. Understands plain digits,
+// GS1 element strings ("(01)09506000134352...") and GS1 Digital Link URLs
+// ("https://id.gs1.org/01/09506000134352").
+export function extractGtin(text) {
+  if (!text) return null;
+  const trimmed = String(text).trim();
+
+  const digitalLink = trimmed.match(/\/01\/(\d{8,14})(?:[/?#]|$)/);
+  if (digitalLink) return normalizeGtin(digitalLink[1]);
+
+  if (/^\d{8,14}$/.test(trimmed)) return normalizeGtin(trimmed);
+
+  // Element string, with or without parentheses and symbology identifier
+  const elementString = trimmed.replace(/^\](?:C1|Q3|d2)/, '').match(/^(?:\(01\)|01)(\d{14})/);
+  if (elementString) return normalizeGtin(elementString[1]);
+
+  return null;
+}
@@ -0,0 +1,165 @@
+import { normalizeGtin } from '../barcode/gtin';
+import { calculateHealthRisk, haveNutrition } from '../health/riskEngine';
+import { wait } from '../llm/http';
+import { parseCsv, toCsv } from '../utils/csv';
+
+// Batch lookup: a shelf audit's worth of product names or barcodes, run through the normal
+// lookup pipeline a few at a time.
+
+export const BATCH_CONCURRENCY = 3;
+export const MAX_BATCH_ITEMS = 100;
+
+// Header cells that mark a CSV column of names or of barcodes (compared lowercased, without
+// spaces, dashes or underscores)
+const NAME_HEADERS = ['name', 'product', 'productname', 'item', 'description'];
+const GTIN_HEADERS = ['gtin', 'barcode', 'ean', 'ean13', 'upc', 'upca'];
+
+// Input parseBatchInput can't run: `code` is 'empty' or 'tooMany' (with `params` { max, count }),
+// for the UI to translate as error.batch.<code>. The message is for logs.
+export class BatchInputError extends Error {
+  constructor(code, message, params = {}) {
+    super(message);
+    this.name = 'BatchInputError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+const headerKey = (cell) => cell.trim().toLowerCase().replace(/[\s_-]+/g, '');
+
+// A barcode when the text is a valid GTIN (8, 12, 13 or 14 digits), else a product name
+const itemFor = (text) => {
+  const query = text.trim();
+  const gtin = /^[\d\s-]{8,}$/.test(query) ? normalizeGtin(query) : null;
+  return gtin ? { query, request: { gtin } } : { query, request: { productName: query } };
+};
+
+// Turn an uploaded CSV or a pasted list into lookups: [{ query, request: { productName } | { gtin } }].
+// A CSV whose first row names a column (name, product, gtin, barcode, ...) is read by column,
+// preferring the barcode when a row has a valid one. Anything else is one name or barcode per
+// line. Blank lines and repeats are skipped. Throws a BatchInputError when there is nothing to
+// look up or more than MAX_BATCH_ITEMS entries.
+export function parseBatchInput(text) {
+  const rows = parseCsv(text);
+  const header = (rows[0] || []).map(headerKey);
+  const nameColumn = header.findIndex(cell => NAME_HEADERS.includes(cell));
+  const gtinColumn = header.findIndex(cell => GTIN_HEADERS.includes(cell));
+
+  let entries;
+  if (nameColumn !== -1 || gtinColumn !== -1) {
+    entries = rows.slice(1).map(cells => {
+      const gtin = gtinColumn !== -1 ? normalizeGtin(cells[gtinColumn] || '') : null;
+      if (gtin) return { query: cells[gtinColumn].trim(), request: { gtin } };
+      return nameColumn !== -1 ? (cells[nameColumn] || '') : '';
+    });
+  } else {
+    // Pasted names may contain commas, so each line is taken whole
+    entries = text.split(/\r?\n/).map(line => line.trim().replace(/^"(.*)"$/, '$1'));
+  }
+
+  const seen = new Set();
+  const items = entries
+    .map(entry => (typeof entry === 'string' ? (entry.trim() ? itemFor(entry) : null) : entry))
+    .filter(item => {
+      if (!item) return false;
+      const key = item.request.gtin || item.request.productName.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  if (items.length === 0) throw new BatchInputError('empty', 'No product names or barcodes found.');
+  if (items.length > MAX_BATCH_ITEMS) {
+    throw new BatchInputError(
+      'tooMany',
+      `A batch can have at most ${MAX_BATCH_ITEMS} products; this one has ${items.length}.`,
+      { max: MAX_BATCH_ITEMS, count: items.length }
+    );
+  }
+  return items;
+}
+
+// Look items up with at most `concurrency` requests in flight. lookup(request, { signal, onRetry })
+// is fetchProductDetails (with the language added). onUpdate(index, changes) reports each row's
+// progress: status 'running' | 'retrying' (with retryUntil) | 'done' (with product) | 'failed'
+// (with error). A 429 on any row holds back the rows not started yet until its Retry-After
+// has passed, so the batch doesn't keep hitting the rate limit. Aborting `signal` stops the batch.
+export async function runBatch(items, { lookup, onUpdate, concurrency = BATCH_CONCURRENCY, signal }) {
+  let next = 0;
+  const rateLimit = { until: 0 }; // Shared by the workers
+
+  const worker = async () => {
+    while (next < items.length && !(signal && signal.aborted)) {
+      const index = next++;
+      try {
+        if (rateLimit.until > Date.now()) await wait(rateLimit.until - Date.now(), signal);
+        onUpdate(index, { status: 'running' });
+        const product = await lookup(items[index].request, {
+          signal,
+          onRetry: ({ delayMs, status }) => {
+            const retryUntil = Date.now() + delayMs;
+            if (status === 429) rateLimit.until = Math.max(rateLimit.until, retryUntil);
+            onUpdate(index, { status: 'retrying', retryUntil });
+          }
+        });
+        onUpdate(index, { status: 'done', product, error: null });
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error(`Batch lookup of "${items[index].query}" failed:`, error);
+        onUpdate(index, { status: 'failed', error: error.message });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+}
+
+// Whether the finished rows' risk scores can use nutrition facts: only when all of them have
+// some, so the scores in one table are on the same scale
+export const batchScoresNutrition = (rows) => haveNutrition(rows.filter(row => row.status === 'done').map(row => row.product));
+
+// Table columns for a finished row. `latestPrice` is the most recent { year, price } (USD) point.
+// Pass `nutrition` from batchScoresNutrition.
+export function summarizeProduct(product, { region, nutrition = true } = {}) {
+  const history = product.priceHistory || [];
+  return {
+    productName: product.productName,
+    parentCompany: product.parentCompany || '',
+    riskScore: calculateHealthRisk(product, { region, nutrition }),
+    harmfulCount: (product.harmfulContent || []).length,
+    latestPrice: history.length > 0 ? history[history.length - 1] : null,
+  };
+}
+
+// Batch results as CSV, one line per row in the given order. Prices are in USD plus `currency`
+// (converted with the rate of the price's year) when that isn't USD.
+export function batchToCsv(rows, { currency, convertPrice, region }) {
+  const priceColumns = currency === 'USD' ? ['latest_price_usd'] : ['latest_price_usd', `latest_price_${currency.toLowerCase()}`];
+  const nutrition = batchScoresNutrition(rows);
+  const header = ['query', 'status', 'product_name', 'gtin', 'parent_company', 'risk_percent', 'harmful_ingredients', 'latest_price_year', ...priceColumns, 'error'];
+
+  const lines = rows.map(row => {
+    if (row.status !== 'done') {
+      return [row.query, row.status, '', row.request.gtin || '', '', '', '', '', ...priceColumns.map(() => ''), row.error || ''];
+    }
+    const summary = summarizeProduct(row.product, { region, nutrition });
+    const { latestPrice } = summary;
+    const prices = latestPrice
+      ? [latestPrice.price.toFixed(2), ...(currency === 'USD' ? [] : [convertPrice(latestPrice.price, latestPrice.year).toFixed(2)])]
+      : priceColumns.map(() => '');
+    return [
+      row.query,
+      row.status,
+      summary.productName,
+      row.product.gtin || row.request.gtin || '',
+      summary.parentCompany,
+      summary.riskScore,
+      summary.harmfulCount,
+      latestPrice ? latestPrice.year : '',
+      ...prices,
+      ''
+    ];
+  });
+
+  return toCsv([header, ...lines]);
+}
@@ -0,0 +1,125 @@
+import { BatchInputError, batchScoresNutrition, batchToCsv, MAX_BATCH_ITEMS, parseBatchInput, runBatch, summarizeProduct } from './index';
+
+const PRODUCT = {
+  productName: 'Fizzy Cola',
+  parentCompany: 'Fizz Corp',
+  priceHistory: [{ year: 2020, price: 1 }, { year: 2023, price: 1.5 }],
+  ingredients: ['Carbonated water', 'Sugar'],
+  harmfulContent: ['High sugar', 'Phosphoric acid'],
+};
+
+describe('parseBatchInput', () => {
+  test('takes a pasted list line by line, recognizing barcodes', () => {
+    expect(parseBatchInput('Oreo, Double Stuf\n\n 5449000000996 \nfizzy cola\nFizzy Cola')).toEqual([
+      { query: 'Oreo, Double Stuf', request: { productName: 'Oreo, Double Stuf' } },
+      { query: '5449000000996', request: { gtin: '5449000000996' } },
+      { query: 'fizzy cola', request: { productName: 'fizzy cola' } },
+    ]);
+  });
+
+  test('reads a CSV by its name and barcode columns, preferring a valid barcode', () => {
+    const csv = 'Store,Product Name,EAN\nA,"Oreo, Original",\nA,Coca-Cola,5449000000996\nB,Tea,123';
+
+    expect(parseBatchInput(csv)).toEqual([
+      { query: 'Oreo, Original', request: { productName: 'Oreo, Original' } },
+      { query: '5449000000996', request: { gtin: '5449000000996' } },
+      { query: 'Tea', request: { productName: 'Tea' } },
+    ]);
+  });
+
+  test('rejects empty and oversized batches', () => {
+    expect(() => parseBatchInput('name\n\n')).toThrow(expect.objectContaining({ name: 'BatchInputError', code: 'empty' }));
+    const tooMany = Array.from({ length: MAX_BATCH_ITEMS + 1 }, (_, index) => `Product ${index}`).join('\n');
+    expect(() => parseBatchInput(tooMany)).toThrow(BatchInputError);
+    expect(() => parseBatchInput(tooMany)).toThrow(expect.objectContaining({
+      code: 'tooMany',
+      params: { max: MAX_BATCH_ITEMS, count: MAX_BATCH_ITEMS + 1 },
+    }));
+  });
+});
+
+describe('runBatch', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  const items = ['A', 'B', 'C', 'D', 'E'].map(name => ({ query: name, request: { productName: name } }));
+
+  test('keeps at most `concurrency` lookups in flight and reports every row', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const updates = [];
+    const lookup = async (request) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      if (request.productName === 'C') throw new Error('No such product.');
+      return { productName: request.productName };
+    };
+
+    await runBatch(items, { lookup, concurrency: 2, onUpdate: (index, changes) => updates.push([index, changes.status]) });
+
+    expect(maxInFlight).toBe(2);
+    expect(updates.filter(([, status]) => status === 'done').map(([index]) => index).sort()).toEqual([0, 1, 3, 4]);
+    expect(updates).toContainEqual([2, 'failed']);
+  });
+
+  test('holds back rows not started yet while a 429 is waited out', async () => {
+    const started = [];
+    const lookup = async (request, { onRetry }) => {
+      started.push({ name: request.productName, at: Date.now() });
+      if (request.productName === 'A') {
+        onRetry({ attempt: 1, maxAttempts: 5, delayMs: 50, status: 429 });
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      return { productName: request.productName };
+    };
+
+    await runBatch(items.slice(0, 3), { lookup, concurrency: 2, onUpdate: () => {} });
+
+    const first = started.find(entry => entry.name === 'A').at;
+    const third = started.find(entry => entry.name === 'C').at;
+    expect(third - first).toBeGreaterThanOrEqual(45);
+  });
+
+  test('stops starting rows once cancelled', async () => {
+    const controller = new AbortController();
+    const started = [];
+    const lookup = async (request) => {
+      started.push(request.productName);
+      controller.abort();
+      return {};
+    };
+
+    await runBatch(items, { lookup, concurrency: 1, signal: controller.signal, onUpdate: () => {} });
+
+    expect(started).toEqual(['A']);
+  });
+});
+
+describe('batchToCsv', () => {
+  test('writes the table columns with prices in USD and the selected currency', () => {
+    const rows = [
+      { query: 'fizzy', request: { productName: 'fizzy' }, status: 'done', product: PRODUCT },
+      { query: '5449000000996', request: { gtin: '5449000000996' }, status: 'failed', error: 'Not found.' },
+    ];
+    const csv = batchToCsv(rows, { currency: 'EUR', convertPrice: (price) => price * 2, region: 'US' });
+    const { riskScore } = summarizeProduct(PRODUCT, { region: 'US' });
+
+    expect(csv.split('\r\n')).toEqual([
+      'query,status,product_name,gtin,parent_company,risk_percent,harmful_ingredients,latest_price_year,latest_price_usd,latest_price_eur,error',
+      `fizzy,done,Fizzy Cola,,Fizz Corp,${riskScore},2,2023,1.50,3.00,`,
+      '5449000000996,failed,,5449000000996,,,,,,,Not found.',
+    ]);
+  });
+});
+
+test('batch risk scores use nutrition facts only when every finished row has them', () => {
+  const labelled = { ...PRODUCT, nutrition: { unit: 'g', per100g: { sugarG: 30 }, perServing: {} } };
+  const row = (product, status = 'done') => ({ status, product });
+
+  expect(batchScoresNutrition([row(labelled), row(undefined, 'failed')])).toBe(true);
+  expect(batchScoresNutrition([row(labelled), row(PRODUCT)])).toBe(false);
+  expect(summarizeProduct(labelled, { nutrition: false }).riskScore).toBe(summarizeProduct(PRODUCT).riskScore);
+});
@@ -0,0 +1,77 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { NetworkError } from '../llm/http';
+import { useAlternatives } from '../hooks/useAlternatives';
+import { useOnlineStatus } from '../offline/connectivity';
+
+// "Better alternatives": comparable products with a lower health risk score than `product`,
+// suggested on request. onLookup(alternative) opens an alternative's full details.
+// Prices are typical current prices, converted at the latest rate.
+const AlternativesSection = ({ product, region, convertPrice, formatPrice, onLookup }) => {
+  const { locale, t, formatPercent } = useI18n();
+  const online = useOnlineStatus();
+  const { status, alternatives, error, load } = useAlternatives({ product, language: locale, region });
+
+  const errorMessage = () => (error instanceof NetworkError
+    ? t('alternatives.offline')
+    : t('alternatives.error', { message: error.message }));
+
+  return (
+    <div className="mt-6 p-4 rounded-md shadow-sm bg-teal-50 border border-teal-200">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-xl font-semibold text-teal-800">{t('alternatives.title')}</h3>
+        {status !== 'loading' && (
+          <button
+            onClick={load}
+            className="px-4 py-2 bg-teal-600 text-white font-semibold rounded-lg hover:bg-teal-700 transition-all duration-200"
+            disabled={!online}
+          >
+            {status === 'idle' ? t('alternatives.find') : t('alternatives.refresh')}
+          </button>
+        )}
+      </div>
+
+      {status === 'idle' && (
+        <p className="text-teal-700">{online ? t('alternatives.description') : t('alternatives.offline')}</p>
+      )}
+      {status === 'loading' && (
+        <p className="text-teal-700" role="status">{t('alternatives.loading')}</p>
+      )}
+      {status === 'error' && (
+        <p className="text-red-700" role="alert">{errorMessage()}</p>
+      )}
+      {status === 'done' && alternatives.length === 0 && (
+        <p className="text-teal-700">{t('alternatives.none')}</p>
+      )}
+
+      {alternatives.length > 0 && (
+        <ul className="space-y-2">
+          {alternatives.map(alternative => (
+            <li key={alternative.productName} className="flex flex-wrap items-center gap-3 p-3 bg-white rounded-md shadow-sm border border-teal-100">
+              <div className="flex-grow min-w-0">
+                <p className="font-semibold text-gray-800">
+                  {alternative.productName}
+                  {alternative.brand && <span className="font-normal text-gray-500"> · {alternative.brand}</span>}
+                </p>
+                {alternative.reason && <p className="text-teal-700">{alternative.reason}</p>}
+                <p className="text-sm text-gray-500">
+                  {t('alternatives.risk', { score: formatPercent(alternative.riskScore) })}
+                  {alternative.price !== null && ` · ${t('alternatives.price', { price: formatPrice(convertPrice(alternative.price)) })}`}
+                </p>
+              </div>
+              <button
+                onClick={() => onLookup(alternative)}
+                className="px-3 py-1 text-sm bg-teal-100 text-teal-800 font-semibold rounded-lg hover:bg-teal-200"
+                aria-label={t('alternatives.lookupLabel', { name: alternative.productName })}
+              >
+                {t('alternatives.lookup')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AlternativesSection;
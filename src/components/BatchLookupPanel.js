@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { useI18n } from '../i18n';
+import { BatchInputError, batchScoresNutrition, batchToCsv, MAX_BATCH_ITEMS, parseBatchInput, summarizeProduct } from '../batch';
+import { downloadBlob } from '../export/download';
+
+const STATUS_STYLES = {
+  pending: 'text-gray-500',
+  running: 'text-blue-700',
+  retrying: 'text-amber-700',
+  done: 'text-green-700',
+  failed: 'text-red-700',
+  cancelled: 'text-gray-500',
+};
+
+// Sortable columns; rows without a result (or without that value) always sort last
+const COLUMNS = ['productName', 'parentCompany', 'riskScore', 'harmfulCount', 'latestPrice'];
+
+// Batch lookup for shelf audits: paste names/barcodes or load a CSV, run them with
+// onStart(text), and review the results in a sortable table that exports to CSV.
+// onOpen(product) shows a row's full details.
+const BatchLookupPanel = ({ rows, running, online, region, currency, convertPrice, formatPrice, onStart, onCancel, onClear, onOpen, onError }) => {
+  const { t, formatPercent } = useI18n();
+  const [input, setInput] = useState('');
+  const [sort, setSort] = useState(null); // { column, direction: 1 | -1 }, or null for input order
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      setInput(await file.text());
+    } catch (error) {
+      onError(t('error.batchInput', { message: error.message }));
+    }
+  };
+
+  const handleStart = () => {
+    let items;
+    try {
+      items = parseBatchInput(input);
+    } catch (error) {
+      onError(error instanceof BatchInputError
+        ? t(`error.batch.${error.code}`, error.params)
+        : t('error.batchInput', { message: error.message }));
+      return;
+    }
+    setSort(null);
+    onStart(items);
+  };
+
+  const nutrition = batchScoresNutrition(rows);
+  const summaries = new Map(rows
+    .filter(row => row.status === 'done')
+    .map(row => [row.id, summarizeProduct(row.product, { region, nutrition })]));
+
+  const sortValue = (row, column) => {
+    const summary = summaries.get(row.id);
+    if (!summary) return null;
+    if (column === 'latestPrice') {
+      return summary.latestPrice ? convertPrice(summary.latestPrice.price, summary.latestPrice.year) : null;
+    }
+    if (column === 'productName' || column === 'parentCompany') return summary[column].toLowerCase() || null;
+    return summary[column];
+  };
+
+  const sortedRows = !sort ? rows : [...rows].sort((a, b) => {
+    const first = sortValue(a, sort.column);
+    const second = sortValue(b, sort.column);
+    if (first === null || second === null) return (first === null) - (second === null);
+    return (first < second ? -1 : first > second ? 1 : 0) * sort.direction;
+  });
+
+  const toggleSort = (column) => {
+    setSort(sort && sort.column === column ? { column, direction: -sort.direction } : { column, direction: 1 });
+  };
+
+  const handleExport = () => {
+    const csv = batchToCsv(sortedRows, { currency, convertPrice, region });
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), 'batch-lookup.csv');
+  };
+
+  const finished = rows.filter(row => !['pending', 'running', 'retrying'].includes(row.status)).length;
+
+  const statusText = (row) => {
+    if (row.status === 'failed') return t('batch.status.failed', { message: row.error });
+    return t(`batch.status.${row.status}`);
+  };
+
+  return (
+    <div className="mb-8 p-6 bg-indigo-50 rounded-lg shadow-inner">
+      <h2 className="text-2xl font-semibold text-indigo-800 mb-4">{t('batch.title')}</h2>
+      <p className="text-gray-600 mb-4">{t('batch.description', { max: MAX_BATCH_ITEMS })}</p>
+      <textarea
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        rows={5}
+        placeholder={t('batch.placeholder')}
+        aria-label={t('batch.inputLabel')}
+        className="w-full p-3 border border-indigo-200 rounded-lg focus:ring-2 focus:ring-indigo-400 focus:border-transparent text-gray-700 placeholder-gray-400"
+        disabled={running}
+      />
+      <div className="flex flex-wrap items-center gap-2 mt-2">
+        <label className="px-4 py-2 bg-indigo-100 text-indigo-700 font-semibold rounded-lg hover:bg-indigo-200 cursor-pointer">
+          {t('batch.loadFile')}
+          <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleFile} className="hidden" disabled={running} />
+        </label>
+        {running ? (
+          <button onClick={onCancel} className="px-4 py-2 bg-gray-200 text-gray-700 font-semibold rounded-lg hover:bg-gray-300">
+            {t('status.cancel')}
+          </button>
+        ) : (
+          <button
+            onClick={handleStart}
+            className="px-6 py-2 bg-indigo-600 text-white font-bold rounded-lg shadow-md hover:bg-indigo-700 transition-all duration-200"
+            disabled={!online || !input.trim()}
+          >
+            {t('batch.run')}
+          </button>
+        )}
+        {rows.length > 0 && !running && (
+          <>
+            <button onClick={handleExport} className="px-4 py-2 bg-white text-indigo-700 font-semibold rounded-lg border border-indigo-200 hover:bg-indigo-100">
+              {t('batch.export')}
+            </button>
+            <button onClick={onClear} className="px-4 py-2 text-gray-600 font-semibold hover:underline">
+              {t('batch.clear')}
+            </button>
+          </>
+        )}
+      </div>
+
+      {rows.length > 0 && (
+        <div className="mt-4">
+          <p className="text-sm text-gray-600 mb-1" role="status">{t('batch.progress', { done: finished, total: rows.length })}</p>
+          <div className="h-2 bg-indigo-100 rounded-full overflow-hidden mb-4">
+            <div className="h-full bg-indigo-500 transition-all duration-300" style={{ width: `${(finished / rows.length) * 100}%` }} />
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-start bg-white rounded-md shadow-sm">
+              <thead>
+                <tr className="border-b border-indigo-100">
+                  {COLUMNS.map(column => (
+                    <th
+                      key={column}
+                      className="p-2 text-start"
+                      aria-sort={sort && sort.column === column ? (sort.direction === 1 ? 'ascending' : 'descending') : 'none'}
+                    >
+                      <button onClick={() => toggleSort(column)} className="font-semibold text-indigo-800 hover:underline">
+                        {t(`batch.column.${column}`)}
+                        {sort && sort.column === column && (sort.direction === 1 ? ' ▲' : ' ▼')}
+                      </button>
+                    </th>
+                  ))}
+                  <th className="p-2 text-start font-semibold text-indigo-800">{t('batch.column.status')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sortedRows.map(row => {
+                  const summary = summaries.get(row.id);
+                  return (
+                    <tr key={row.id} className="border-b border-gray-100 last:border-0">
+                      <td className="p-2">
+                        {summary ? (
+                          <button onClick={() => onOpen(row.product)} className="text-blue-700 font-semibold hover:underline text-start">
+                            {summary.productName}
+                          </button>
+                        ) : row.query}
+                      </td>
+                      <td className="p-2 text-gray-700">{summary ? summary.parentCompany || t('common.notAvailable') : ''}</td>
+                      <td className="p-2 text-gray-700">{summary ? formatPercent(summary.riskScore) : ''}</td>
+                      <td className="p-2 text-gray-700">{summary ? summary.harmfulCount : ''}</td>
+                      <td className="p-2 text-gray-700">
+                        {summary && summary.latestPrice
+                          ? t('batch.price', {
+                            price: formatPrice(convertPrice(summary.latestPrice.price, summary.latestPrice.year)),
+                            year: summary.latestPrice.year,
+                          })
+                          : ''}
+                      </td>
+                      <td className={`p-2 font-semibold ${STATUS_STYLES[row.status]}`}>{statusText(row)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchLookupPanel;
@@ -0,0 +1,124 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { compressImageSource } from '../utils/image';
+import { useI18n } from '../i18n';
+
+// Full class names (not interpolated) so Tailwind can see them
+const ACCENT_BUTTON_CLASSES = {
+  blue: 'px-4 py-2 bg-blue-600 text-white font-bold rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all duration-200',
+  green: 'px-4 py-2 bg-green-600 text-white font-bold rounded-lg shadow-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 transition-all duration-200',
+};
+
+// In-page camera: live viewfinder, capture/retake and front/back toggle.
+// Every accepted shot is passed to onCapture, so several shots (front label,
+// ingredient panel, barcode) can be attached to one request before closing.
+const CameraCapture = ({ onCapture, onClose, accent = 'blue' }) => {
+  const { t } = useI18n();
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const [facingMode, setFacingMode] = useState('environment');
+  const [pendingShot, setPendingShot] = useState(null);
+  const [shotCount, setShotCount] = useState(0);
+  const [error, setError] = useState(''); // camera.* message key
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const startCamera = async () => {
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        setError('camera.unsupported');
+        return;
+      }
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode, width: { ideal: 1920 }, height: { ideal: 1080 } },
+          audio: false
+        });
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        streamRef.current = stream;
+        setError('');
+        if (videoRef.current) {
+          videoRef.current.srcObject = stream;
+        }
+      } catch (err) {
+        console.error('Camera error:', err);
+        setError(err.name === 'NotAllowedError' ? 'camera.denied' : 'camera.failed');
+      }
+    };
+
+    startCamera();
+
+    return () => {
+      cancelled = true;
+      if (streamRef.current) {
+        streamRef.current.getTracks().forEach(track => track.stop());
+        streamRef.current = null;
+      }
+    };
+  }, [facingMode]);
+
+  const handleCapture = () => {
+    const video = videoRef.current;
+    if (!video || !video.videoWidth) return;
+    setPendingShot(compressImageSource(video, video.videoWidth, video.videoHeight));
+  };
+
+  const handleUseShot = () => {
+    onCapture(pendingShot);
+    setPendingShot(null);
+    setShotCount(count => count + 1);
+  };
+
+  const toggleFacingMode = () => {
+    setPendingShot(null);
+    setFacingMode(mode => (mode === 'environment' ? 'user' : 'environment'));
+  };
+
+  const buttonClass = ACCENT_BUTTON_CLASSES[accent] || ACCENT_BUTTON_CLASSES.blue;
+  const secondaryButtonClass = 'px-4 py-2 bg-gray-200 text-gray-700 font-semibold rounded-lg shadow-sm hover:bg-gray-300 transition-all duration-200';
+
+  return (
+    <div className="w-full p-4 border border-gray-300 rounded-lg bg-white shadow-sm">
+      {error ? (
+        <p className="text-red-600 text-center mb-4">{t(error)}</p>
+      ) : (
+        <div className="relative w-full bg-black rounded-md overflow-hidden mb-4">
+          {/* Keep the video mounted while reviewing a shot so the stream isn't interrupted */}
+          <video
+            ref={videoRef}
+            autoPlay
+            playsInline
+            muted
+            className={`w-full max-h-80 object-contain ${pendingShot ? 'hidden' : ''}`}
+          />
+          {pendingShot && (
+            <img src={pendingShot.dataUrl} alt={t('camera.capturedAlt')} className="w-full max-h-80 object-contain" />
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap justify-center gap-2">
+        {pendingShot ? (
+          <>
+            <button onClick={handleUseShot} className={buttonClass}>{t('camera.usePhoto')}</button>
+            <button onClick={() => setPendingShot(null)} className={secondaryButtonClass}>{t('camera.retake')}</button>
+          </>
+        ) : (
+          <>
+            <button onClick={handleCapture} className={buttonClass} disabled={!!error}>{t('camera.capture')}</button>
+            <button onClick={toggleFacingMode} className={secondaryButtonClass} disabled={!!error}>
+              {facingMode === 'environment' ? t('camera.switchToFront') : t('camera.switchToBack')}
+            </button>
+          </>
+        )}
+        <button onClick={onClose} className={secondaryButtonClass}>
+          {shotCount > 0 ? t('camera.done', { count: shotCount }) : t('camera.close')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CameraCapture;
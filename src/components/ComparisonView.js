@@ -0,0 +1,158 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { buildComparison, MAX_COMPARED_PRODUCTS } from '../utils/compareProducts';
+import { useI18n } from '../i18n';
+
+const LINE_COLORS = ['#8884d8', '#82ca9d', '#ff7300', '#e5484d'];
+
+// Column template per product count, spelled out so Tailwind can see the classes
+const GRID_COLUMNS = {
+  2: 'md:grid-cols-2',
+  3: 'md:grid-cols-3',
+  4: 'md:grid-cols-4',
+};
+
+const ItemList = ({ items, uniqueItems = [], highlightClass }) => {
+  const { t } = useI18n();
+  if (items.length === 0) return <p className="text-gray-500 text-sm">{t('compare.noneListed')}</p>;
+  const unique = new Set(uniqueItems);
+  return (
+    <ul className="list-disc list-inside text-sm text-gray-600">
+      {items.map((item, index) => (
+        <li key={index} className={unique.has(item) ? highlightClass : ''}>{item}</li>
+      ))}
+    </ul>
+  );
+};
+
+// Side-by-side view of 2-4 products: parent company, overlaid price history, health risk,
+// and ingredient / good / harmful content differences. Items only one product has are highlighted.
+const ComparisonView = ({ products, convertPrice, formatPrice, region, onRemove, onClear }) => {
+  const { t, formatPercent } = useI18n();
+  if (products.length === 0) return null;
+
+  const comparison = products.length >= 2 ? buildComparison(products, { region }) : null;
+  // Convert each point with the exchange rate of its own year
+  const priceData = comparison
+    ? comparison.priceData.map(row => {
+        const converted = { year: row.year };
+        products.forEach((_, index) => {
+          const key = `p${index}`;
+          if (row[key] !== undefined) converted[key] = convertPrice(row[key], row.year);
+        });
+        return converted;
+      })
+    : [];
+  const gridClass = `grid grid-cols-1 ${GRID_COLUMNS[products.length] || ''} gap-4`;
+
+  return (
+    <div className="mb-8 p-6 bg-purple-50 rounded-lg shadow-inner">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-semibold text-purple-800">
+          {t('compare.title', { count: products.length, max: MAX_COMPARED_PRODUCTS })}
+        </h2>
+        <button onClick={onClear} className="px-3 py-1 text-sm bg-gray-200 text-gray-700 font-semibold rounded-lg hover:bg-gray-300">
+          {t('compare.clear')}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {products.map((product, index) => (
+          <span key={index} className="flex items-center gap-2 px-3 py-1 bg-white rounded-full shadow-sm border border-purple-200 text-gray-700">
+            <span className="h-3 w-3 rounded-full" style={{ backgroundColor: LINE_COLORS[index] }} />
+            {product.productName}
+            <button onClick={() => onRemove(index)} className="text-red-600 font-bold" aria-label={t('compare.remove', { name: product.productName })}>✕</button>
+          </span>
+        ))}
+      </div>
+
+      {!comparison ? (
+        <p className="text-gray-600">{t('compare.needMore')}</p>
+      ) : (
+        <>
+          <div className={`${gridClass} mb-6`}>
+            {products.map((product, index) => (
+              <div key={index} className="bg-white p-4 rounded-md shadow-sm border-t-4" style={{ borderTopColor: LINE_COLORS[index] }}>
+                <h3 className="text-lg font-bold text-gray-800 mb-2">{product.productName}</h3>
+                <p className="text-sm text-gray-500">{t('compare.parentCompany')}</p>
+                <p className="text-gray-700 mb-3">{product.parentCompany || t('common.notAvailable')}</p>
+                <p className="text-sm text-gray-500">{t('compare.healthRisk')}</p>
+                <p className="text-3xl font-extrabold text-red-800">{formatPercent(comparison.healthRisks[index])}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white p-4 rounded-md shadow-sm mb-6">
+            <h3 className="text-xl font-semibold text-gray-700 mb-2">{t('details.priceHistory')}</h3>
+            {priceData.length > 0 ? (
+              <div className="w-full h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={priceData} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" />
+                    <YAxis tickFormatter={formatPrice} />
+                    <Tooltip formatter={formatPrice} />
+                    <Legend />
+                    {products.map((product, index) => (
+                      <Line
+                        key={index}
+                        type="monotone"
+                        dataKey={`p${index}`}
+                        name={product.productName}
+                        stroke={LINE_COLORS[index]}
+                        connectNulls
+                        activeDot={{ r: 6 }}
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            ) : (
+              <p className="text-gray-600">{t('details.noPriceHistory')}</p>
+            )}
+          </div>
+
+          <div className="bg-white p-4 rounded-md shadow-sm mb-6">
+            <h3 className="text-xl font-semibold text-gray-700 mb-2">{t('details.ingredients')}</h3>
+            <p className="text-gray-600 mb-3">
+              <span className="font-semibold">{t('compare.sharedByAll')}</span>{' '}
+              {comparison.ingredients.common.length > 0 ? comparison.ingredients.common.join(', ') : t('compare.none')}
+            </p>
+            <div className={gridClass}>
+              {products.map((product, index) => (
+                <div key={index}>
+                  <p className="font-semibold text-gray-700">{product.productName}</p>
+                  <ItemList items={product.ingredients} uniqueItems={comparison.ingredients.unique[index]} highlightClass="font-semibold text-purple-700" />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="bg-green-50 p-4 rounded-md shadow-sm border border-green-200">
+              <h3 className="text-xl font-semibold text-green-700 mb-2">{t('details.goodContent')}</h3>
+              {products.map((product, index) => (
+                <div key={index} className="mb-3">
+                  <p className="font-semibold text-gray-700">{product.productName}</p>
+                  <ItemList items={product.goodContent} uniqueItems={comparison.goodContent.unique[index]} highlightClass="font-semibold text-green-700" />
+                </div>
+              ))}
+            </div>
+            <div className="bg-red-50 p-4 rounded-md shadow-sm border border-red-200">
+              <h3 className="text-xl font-semibold text-red-700 mb-2">{t('details.harmfulContent')}</h3>
+              {products.map((product, index) => (
+                <div key={index} className="mb-3">
+                  <p className="font-semibold text-gray-700">{product.productName}</p>
+                  <ItemList items={product.harmfulContent} uniqueItems={comparison.harmfulContent.unique[index]} highlightClass="font-semibold text-red-700" />
+                </div>
+              ))}
+            </div>
+          </div>
+          <p className="text-gray-500 text-sm mt-4">{t('compare.highlightNote')}</p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonView;
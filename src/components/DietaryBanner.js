@@ -0,0 +1,40 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+
+const BANNER_STYLES = {
+  compatible: { icon: '✅', box: 'bg-green-50 border-green-300', title: 'text-green-800', text: 'text-green-700' },
+  caution: { icon: '⚠️', box: 'bg-yellow-50 border-yellow-300', title: 'text-yellow-800', text: 'text-yellow-700' },
+  avoid: { icon: '⛔', box: 'bg-red-50 border-red-300', title: 'text-red-800', text: 'text-red-700' },
+};
+
+// Result of checking the product against the active dietary profile.
+const DietaryBanner = ({ profileName, check }) => {
+  const { locale, t } = useI18n();
+  const style = BANNER_STYLES[check.status];
+
+  // Allergy and diet params are keys; show their translated, lower-cased labels mid-sentence
+  const describe = ({ code, params }) => t(`diet.reason.${code}`, {
+    ...params,
+    allergy: params.allergy && t(`allergy.${params.allergy}`).toLocaleLowerCase(locale),
+    diet: params.diet && t(`diet.${params.diet}`).toLocaleLowerCase(locale),
+  });
+
+  return (
+    <div className={`mb-6 p-4 rounded-md shadow-sm border ${style.box}`} role="status">
+      <h3 className={`text-lg font-semibold ${style.title}`}>
+        {style.icon} {t('diet.bannerTitle', { status: t(`diet.status.${check.status}`), profile: profileName })}
+      </h3>
+      {check.reasons.length === 0 ? (
+        <p className={style.text}>{t('diet.noConflicts')}</p>
+      ) : (
+        <ul className={`list-disc list-inside ${style.text}`}>
+          {check.reasons.map((reason, index) => (
+            <li key={index}>{describe(reason)}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DietaryBanner;
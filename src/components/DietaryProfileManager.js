@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { ALLERGIES, DIETS } from '../health/dietaryCheck';
+import { useI18n } from '../i18n';
+
+const EMPTY_PROFILE = { name: '', allergies: [], diets: [], avoid: [] };
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+// Pick the active dietary profile and create, edit or delete profiles.
+const DietaryProfileManager = ({ profiles, activeProfileId, onSelect, onSave, onDelete }) => {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(null);
+  const [avoidText, setAvoidText] = useState('');
+
+  const startEditing = (profile) => {
+    setDraft(profile || EMPTY_PROFILE);
+    setAvoidText((profile ? profile.avoid : []).join(', '));
+  };
+
+  const handleSave = () => {
+    const avoid = avoidText.split(',').map(term => term.trim()).filter(Boolean);
+    onSave({ ...draft, name: draft.name.trim() || t('profile.defaultName'), avoid });
+    setDraft(null);
+  };
+
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId);
+
+  return (
+    <div className="w-full">
+      <label htmlFor="profile-select" className="block text-gray-700 text-lg font-semibold mb-2">
+        {t('profile.label')}
+      </label>
+      <div className="flex flex-wrap gap-2 items-center">
+        <select
+          id="profile-select"
+          value={activeProfileId || ''}
+          onChange={(e) => onSelect(e.target.value || null)}
+          className="p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-400"
+        >
+          <option value="">{t('profile.none')}</option>
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.name}</option>
+          ))}
+        </select>
+        {activeProfile && (
+          <>
+            <button onClick={() => startEditing(activeProfile)} className="px-3 py-1 text-sm bg-gray-200 text-gray-700 font-semibold rounded-lg hover:bg-gray-300">
+              {t('profile.edit')}
+            </button>
+            <button onClick={() => onDelete(activeProfile.id)} className="px-3 py-1 text-sm bg-red-100 text-red-700 font-semibold rounded-lg hover:bg-red-200">
+              {t('profile.delete')}
+            </button>
+          </>
+        )}
+        <button onClick={() => startEditing(null)} className="px-3 py-1 text-sm bg-blue-100 text-blue-700 font-semibold rounded-lg hover:bg-blue-200">
+          {t('profile.new')}
+        </button>
+      </div>
+
+      {draft && (
+        <div className="mt-4 p-4 bg-white rounded-lg border border-gray-200 shadow-sm">
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            placeholder={t('profile.namePlaceholder')}
+            className="w-full p-2 mb-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-400"
+          />
+          <p className="font-semibold text-gray-700 mb-1">{t('profile.allergies')}</p>
+          <div className="flex flex-wrap gap-3 mb-3">
+            {Object.keys(ALLERGIES).map(key => (
+              <label key={key} className="flex items-center gap-1 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={draft.allergies.includes(key)}
+                  onChange={() => setDraft({ ...draft, allergies: toggle(draft.allergies, key) })}
+                />
+                {t(`allergy.${key}`)}
+              </label>
+            ))}
+          </div>
+          <p className="font-semibold text-gray-700 mb-1">{t('profile.diets')}</p>
+          <div className="flex flex-wrap gap-3 mb-3">
+            {Object.keys(DIETS).map(key => (
+              <label key={key} className="flex items-center gap-1 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={draft.diets.includes(key)}
+                  onChange={() => setDraft({ ...draft, diets: toggle(draft.diets, key) })}
+                />
+                {t(`diet.${key}`)}
+              </label>
+            ))}
+          </div>
+          <label htmlFor="avoid-input" className="font-semibold text-gray-700 mb-1 block">{t('profile.avoid')}</label>
+          <input
+            id="avoid-input"
+            type="text"
+            value={avoidText}
+            onChange={(e) => setAvoidText(e.target.value)}
+            placeholder={t('profile.avoidPlaceholder')}
+            className="w-full p-2 mb-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-400"
+          />
+          <div className="flex gap-2">
+            <button onClick={handleSave} className="px-4 py-2 bg-blue-600 text-white font-bold rounded-lg shadow-md hover:bg-blue-700">
+              {t('profile.save')}
+            </button>
+            <button onClick={() => setDraft(null)} className="px-4 py-2 bg-gray-200 text-gray-700 font-semibold rounded-lg hover:bg-gray-300">
+              {t('profile.cancel')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DietaryProfileManager;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { provenanceFlags } from '../llm/provenance';
+
+const BADGE_CLASSES = 'px-2 py-0.5 text-xs font-semibold rounded-full';
+
+// Confidence and sources for one product fact: a badge when the model's confidence is low
+// (or unstated) or it cited no sources, and links to the sources it did cite.
+const FieldProvenance = ({ product, field }) => {
+  const { t } = useI18n();
+  const flags = provenanceFlags(product, field);
+
+  return (
+    <div className="mb-2">
+      {(flags.lowConfidence || flags.unsourced) && (
+        <div className="flex flex-wrap gap-1 mb-1">
+          {flags.lowConfidence && (
+            <span className={`${BADGE_CLASSES} bg-amber-100 text-amber-800`}>
+              {flags.confidence === null ? t('provenance.confidenceUnknown') : t('provenance.lowConfidence')}
+            </span>
+          )}
+          {flags.unsourced && (
+            <span className={`${BADGE_CLASSES} bg-gray-200 text-gray-700`}>{t('provenance.unsourced')}</span>
+          )}
+        </div>
+      )}
+      {flags.sources.length > 0 && (
+        <p className="text-xs text-gray-500">
+          {t('provenance.sources')}{' '}
+          {flags.sources.map((source, index) => (
+            <React.Fragment key={index}>
+              {index > 0 && ', '}
+              {source.url ? (
+                <a href={source.url} target="_blank" rel="noopener noreferrer" className="text-blue-700 hover:underline">
+                  {source.title}
+                </a>
+              ) : source.title}
+            </React.Fragment>
+          ))}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default FieldProvenance;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { SEVERITY_WEIGHTS, REGULATORY_MULTIPLIERS, TRAFFIC_LIGHT_SEVERITY, UNVERIFIED_WEIGHT, describeRiskItem } from '../health/riskEngine';
+import { useI18n } from '../i18n';
+
+const SEVERITY_STYLES = {
+  low: 'bg-yellow-100 text-yellow-800',
+  moderate: 'bg-orange-100 text-orange-800',
+  high: 'bg-red-200 text-red-900',
+};
+
+// Health risk score with an expandable per-ingredient explanation of how it was built.
+const HealthRiskCard = ({ assessment }) => {
+  const { t, formatNumber, formatPercent } = useI18n();
+  const [showBreakdown, setShowBreakdown] = useState(false);
+
+  return (
+    <div className="mb-6 p-4 rounded-md shadow-sm bg-red-50 border border-red-200">
+      <div className="text-center">
+        <h3 className="text-xl font-semibold text-red-700 mb-2">{t('health.title')}</h3>
+        <p className="text-5xl font-extrabold text-red-800">
+          {formatPercent(assessment.score)}
+        </p>
+        <p className="text-red-600 mt-2">
+          {t('health.basis', { count: assessment.items.length, region: assessment.region })}
+        </p>
+        <button
+          onClick={() => setShowBreakdown(!showBreakdown)}
+          className="mt-3 text-sm font-semibold text-red-700 underline"
+          aria-expanded={showBreakdown}
+        >
+          {showBreakdown ? t('health.hideBreakdown') : t('health.showBreakdown')}
+        </button>
+      </div>
+
+      {showBreakdown && (
+        <div className="mt-4 text-start">
+          <p className="text-sm text-gray-600 mb-3">
+            {t('health.method', {
+              low: SEVERITY_WEIGHTS.low,
+              moderate: SEVERITY_WEIGHTS.moderate,
+              high: SEVERITY_WEIGHTS.high,
+              warning: formatNumber(REGULATORY_MULTIPLIERS.warning),
+              restricted: formatNumber(REGULATORY_MULTIPLIERS.restricted),
+              banned: formatNumber(REGULATORY_MULTIPLIERS.banned),
+              region: assessment.region,
+              unverified: UNVERIFIED_WEIGHT,
+            })}
+          </p>
+          <p className="text-sm text-gray-600 mb-3">
+            {t('health.nutritionMethod', { low: SEVERITY_WEIGHTS[TRAFFIC_LIGHT_SEVERITY.amber], high: SEVERITY_WEIGHTS[TRAFFIC_LIGHT_SEVERITY.red] })}
+          </p>
+          {assessment.items.length === 0 ? (
+            <p className="text-gray-600">{t('health.noItems')}</p>
+          ) : (
+            <ul className="space-y-2">
+              {assessment.items.map(item => {
+                const { name, reason } = describeRiskItem(item, { t, formatNumber });
+                return (
+                  <li key={item.id} className="bg-white p-3 rounded-md shadow-sm">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className="font-semibold text-gray-800">{name}</span>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${SEVERITY_STYLES[item.severity]}`}>
+                        {t(`health.severity.${item.severity}`)}
+                      </span>
+                      <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-gray-100 text-gray-700">
+                        {t(`health.category.${item.category}`)}
+                      </span>
+                      <span className="ms-auto text-sm font-mono text-gray-600">{t('health.points', { points: Math.round(item.weight) })}</span>
+                    </div>
+                    <p className="text-sm text-gray-600 mt-1">{reason}</p>
+                    {item.verified && item.matchedText.length > 0 && (
+                      <p className="text-xs text-gray-500 mt-1">{t('health.matched', { items: item.matchedText.join('; ') })}</p>
+                    )}
+                    {item.regulatory.map((flag, index) => (
+                      <p
+                        key={index}
+                        className={`text-xs mt-1 ${flag.region === assessment.region ? 'text-red-700 font-semibold' : 'text-gray-500'}`}
+                      >
+                        {flag.region} · {t(`health.status.${flag.status}`)}: {t(`health.note.${flag.note}`)}
+                      </p>
+                    ))}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HealthRiskCard;
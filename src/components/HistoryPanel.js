@@ -0,0 +1,68 @@
+import React from 'react';
+import { LOCALES, useI18n } from '../i18n';
+
+const QUERY_TYPE_ICONS = {
+  text: '🔤',
+  image: '🖼️',
+  barcode: '🏷️',
+};
+
+// Saved lookups: reopen (no API call), re-run, compare, pin or delete.
+const HistoryPanel = ({ entries, onOpen, onRerun, onCompare, onTogglePin, onDelete, disabled }) => {
+  const { t, formatDate } = useI18n();
+
+  if (entries.length === 0) {
+    return <p className="text-gray-600">{t('history.empty')}</p>;
+  }
+
+  // Rebuild the label from the stored request so it follows the UI language
+  const queryLabel = ({ query, request }) => {
+    if (query.type === 'image' && request.images) return t('history.imageQuery', { count: request.images.length });
+    if (query.type === 'barcode' && request.gtin) return t('history.gtinQuery', { gtin: request.gtin });
+    return query.label;
+  };
+
+  return (
+    <ul className="space-y-2">
+      {entries.map(entry => (
+        <li key={entry.id} className="flex items-center gap-3 p-3 bg-white rounded-md shadow-sm border border-gray-200">
+          {entry.thumbnail ? (
+            <img src={entry.thumbnail} alt="" className="h-12 w-12 rounded-md object-cover border border-gray-200" />
+          ) : (
+            <div className="h-12 w-12 flex items-center justify-center rounded-md bg-gray-100 text-2xl">
+              {QUERY_TYPE_ICONS[entry.query.type] || '🔍'}
+            </div>
+          )}
+          <div className="flex-grow min-w-0">
+            <p className="font-semibold text-gray-800 truncate">
+              {entry.pinned && <span title={t('history.pinned')}>📌 </span>}
+              {entry.product.productName || queryLabel(entry)}
+            </p>
+            <p className="text-sm text-gray-500 truncate">
+              {queryLabel(entry)} · {LOCALES[entry.language] ? LOCALES[entry.language].name : entry.language} · {formatDate(entry.timestamp, { dateStyle: 'medium', timeStyle: 'short' })}
+            </p>
+          </div>
+          <div className="flex flex-wrap justify-end gap-1">
+            <button onClick={() => onOpen(entry)} className="px-3 py-1 text-sm bg-blue-100 text-blue-700 font-semibold rounded-lg hover:bg-blue-200" disabled={disabled}>
+              {t('history.open')}
+            </button>
+            <button onClick={() => onRerun(entry)} className="px-3 py-1 text-sm bg-indigo-100 text-indigo-700 font-semibold rounded-lg hover:bg-indigo-200" disabled={disabled}>
+              {t('history.rerun')}
+            </button>
+            <button onClick={() => onCompare(entry)} className="px-3 py-1 text-sm bg-purple-100 text-purple-700 font-semibold rounded-lg hover:bg-purple-200">
+              {t('history.compare')}
+            </button>
+            <button onClick={() => onTogglePin(entry)} className="px-3 py-1 text-sm bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200">
+              {entry.pinned ? t('history.unpin') : t('history.pin')}
+            </button>
+            <button onClick={() => onDelete(entry)} className="px-3 py-1 text-sm bg-red-100 text-red-700 font-semibold rounded-lg hover:bg-red-200">
+              {t('history.delete')}
+            </button>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default HistoryPanel;
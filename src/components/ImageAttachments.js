@@ -0,0 +1,30 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+
+// Thumbnail strip for the images attached to a search or scan, with per-image removal.
+const ImageAttachments = ({ images, onRemove }) => {
+  const { t } = useI18n();
+  if (images.length === 0) return null;
+
+  return (
+    <div className="mt-4 p-2 border border-gray-300 rounded-lg bg-white shadow-sm w-full">
+      <h3 className="text-lg font-medium text-gray-700 mb-2">{t('attachments.title', { count: images.length })}</h3>
+      <div className="flex flex-wrap gap-2">
+        {images.map((image, index) => (
+          <div key={image.id} className="relative">
+            <img src={image.dataUrl} alt={t('attachments.alt', { index: index + 1 })} className="h-24 w-24 rounded-md object-cover border border-gray-200" />
+            <button
+              onClick={() => onRemove(image.id)}
+              className="absolute -top-2 -end-2 h-6 w-6 bg-red-600 text-white text-xs font-bold rounded-full shadow hover:bg-red-700"
+              aria-label={t('attachments.remove', { index: index + 1 })}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ImageAttachments;
@@ -0,0 +1,120 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { hasBrowserSpeech, hasSpeechBackend, speakWithBrowser, synthesizeSpeechAudio } from '../speech';
+import { useI18n } from '../i18n';
+
+const BUTTON_CLASSES = 'px-4 py-2 bg-gray-200 text-gray-700 font-semibold rounded-lg hover:bg-gray-300 transition-all duration-200';
+
+// Read a text aloud with play / pause / stop. Uses the speech backend's voice when
+// online, and the browser's speechSynthesis when offline or the backend fails.
+const ListenControl = ({ text }) => {
+  const { locale, t } = useI18n();
+  const [status, setStatus] = useState('idle'); // 'idle' | 'loading' | 'playing' | 'paused'
+  const [error, setError] = useState('');
+  const audioRef = useRef(null);
+  const engineRef = useRef(null); // 'audio' | 'browser'
+  const requestRef = useRef(0);
+  const audioUrlRef = useRef(null);
+  const audioTextRef = useRef(null);
+
+  const stop = () => {
+    requestRef.current += 1; // Drop any audio still being synthesized
+    if (audioRef.current) {
+      audioRef.current.pause();
+      audioRef.current.currentTime = 0;
+    }
+    if (engineRef.current === 'browser' && hasBrowserSpeech()) {
+      window.speechSynthesis.cancel();
+    }
+    engineRef.current = null;
+    setStatus('idle');
+  };
+
+  // A new summary (other product or language) invalidates the synthesized audio. The cleanup
+  // goes through stopRef, so it stops with the latest stop() without running every render.
+  const stopRef = useRef(stop);
+  stopRef.current = stop;
+  useEffect(() => () => {
+    stopRef.current();
+    if (audioUrlRef.current) URL.revokeObjectURL(audioUrlRef.current);
+    audioUrlRef.current = null;
+    audioTextRef.current = null;
+    audioRef.current = null;
+  }, [text, locale]);
+
+  const playWithBrowser = () => {
+    if (!hasBrowserSpeech()) {
+      setError(t('listen.unavailable'));
+      setStatus('idle');
+      return;
+    }
+    engineRef.current = 'browser';
+    speakWithBrowser(text, locale, {
+      onEnd: () => {
+        if (engineRef.current === 'browser') stop();
+      }
+    });
+    setStatus('playing');
+  };
+
+  const playWithBackend = async () => {
+    const requestId = ++requestRef.current;
+    setStatus('loading');
+    try {
+      if (audioTextRef.current !== text) {
+        const blob = await synthesizeSpeechAudio(text);
+        if (requestId !== requestRef.current) return;
+        if (audioUrlRef.current) URL.revokeObjectURL(audioUrlRef.current);
+        audioUrlRef.current = URL.createObjectURL(blob);
+        audioTextRef.current = text;
+        audioRef.current = new Audio(audioUrlRef.current);
+        audioRef.current.onended = () => stop();
+      }
+      engineRef.current = 'audio';
+      await audioRef.current.play();
+      if (requestId === requestRef.current) setStatus('playing');
+    } catch (err) {
+      if (requestId !== requestRef.current) return;
+      console.warn('Speech backend unavailable, using browser voice:', err);
+      playWithBrowser();
+    }
+  };
+
+  const handlePlay = () => {
+    setError('');
+    if (status === 'paused') {
+      if (engineRef.current === 'audio') audioRef.current.play();
+      else window.speechSynthesis.resume();
+      setStatus('playing');
+      return;
+    }
+    if (navigator.onLine !== false && hasSpeechBackend()) {
+      playWithBackend();
+    } else {
+      playWithBrowser();
+    }
+  };
+
+  const handlePause = () => {
+    if (engineRef.current === 'audio') audioRef.current.pause();
+    else window.speechSynthesis.pause();
+    setStatus('paused');
+  };
+
+  return (
+    <div className="flex flex-wrap justify-center items-center gap-2">
+      {status === 'playing' ? (
+        <button onClick={handlePause} className={BUTTON_CLASSES}>⏸ {t('listen.pause')}</button>
+      ) : (
+        <button onClick={handlePlay} className={BUTTON_CLASSES} disabled={status === 'loading'}>
+          {status === 'loading' ? t('listen.loading') : status === 'paused' ? `▶ ${t('listen.resume')}` : `🔊 ${t('listen.play')}`}
+        </button>
+      )}
+      {status !== 'idle' && (
+        <button onClick={stop} className={BUTTON_CLASSES}>⏹ {t('listen.stop')}</button>
+      )}
+      {error && <p className="w-full text-center text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ListenControl;
@@ -0,0 +1,40 @@
+import React, { useState, useEffect } from 'react';
+import { useI18n } from '../i18n';
+
+// Spinner for a lookup or scan in flight, with a Cancel button. While the request
+// waits to be retried it counts down to the next attempt.
+const LoadingStatus = ({ retry, streaming, onCancel }) => {
+  const { t } = useI18n();
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!retry) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [retry]);
+
+  let message = streaming ? t('status.receiving') : t('common.loading');
+  if (retry) {
+    message = t(retry.status === 429 ? 'status.rateLimited' : 'status.retrying', {
+      seconds: Math.max(Math.ceil((retry.until - now) / 1000), 0),
+      attempt: retry.attempt + 1,
+      max: retry.maxAttempts,
+    });
+  }
+
+  return (
+    <div className="flex flex-wrap justify-center items-center gap-4 py-8">
+      <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-blue-500"></div>
+      <p className="text-lg text-gray-600" role="status">{message}</p>
+      <button
+        onClick={onCancel}
+        className="px-4 py-2 bg-gray-200 text-gray-700 font-semibold rounded-lg hover:bg-gray-300 transition-all duration-200"
+      >
+        {t('status.cancel')}
+      </button>
+    </div>
+  );
+};
+
+export default LoadingStatus;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+
+// Notification dialog used instead of alert()
+const MessageModal = ({ message, onClose }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div role="dialog" aria-modal="true" aria-labelledby="message-modal-title" className="bg-white rounded-lg shadow-xl p-6 w-80 max-w-sm text-center">
+        <h3 id="message-modal-title" className="text-xl font-semibold text-gray-800 mb-4">{t('modal.title')}</h3>
+        <p className="text-gray-600 mb-6 break-words">{message}</p>
+        <button
+          onClick={onClose}
+          className="px-6 py-2 bg-blue-600 text-white font-bold rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all duration-200"
+        >
+          {t('modal.ok')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MessageModal;
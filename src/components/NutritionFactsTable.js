@@ -0,0 +1,62 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { NUTRIENTS, NUTRIENT_UNITS, rateNutrient } from '../health/nutrition';
+
+const LIGHT_STYLES = {
+  green: { dot: 'bg-green-500', chip: 'bg-green-100 text-green-800' },
+  amber: { dot: 'bg-amber-400', chip: 'bg-amber-100 text-amber-800' },
+  red: { dot: 'bg-red-500', chip: 'bg-red-100 text-red-800' },
+};
+
+// Nutrition facts per 100 g/ml and per serving, with a front-of-pack traffic light for fat,
+// saturated fat, sugar and sodium (see health/nutrition.js)
+const NutritionFactsTable = ({ nutrition }) => {
+  const { t, formatNumber } = useI18n();
+
+  const amount = (key, value) => (value === undefined
+    ? '–'
+    : t('nutrition.amount', { value: formatNumber(value), unit: NUTRIENT_UNITS[key] }));
+
+  return (
+    <div>
+      <p className="text-sm text-gray-500 mb-2">{t(`nutrition.basis.${nutrition.basis}`)}</p>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-start bg-white rounded-md shadow-sm">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="p-2 text-start font-semibold text-gray-700">{t('nutrition.nutrient')}</th>
+              <th className="p-2 text-end font-semibold text-gray-700">{t(`nutrition.per100.${nutrition.unit}`)}</th>
+              <th className="p-2 text-end font-semibold text-gray-700">
+                {nutrition.servingSize ? t('nutrition.perServingSize', { size: nutrition.servingSize }) : t('nutrition.perServing')}
+              </th>
+              <th className="p-2 text-start font-semibold text-gray-700">{t('nutrition.rating')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {NUTRIENTS.map(key => {
+              const rating = rateNutrient(key, nutrition.per100g[key], nutrition.unit);
+              return (
+                <tr key={key} className="border-b border-gray-100 last:border-0">
+                  <th scope="row" className="p-2 text-start font-normal text-gray-700">{t(`nutrition.${key}`)}</th>
+                  <td className="p-2 text-end text-gray-700">{amount(key, nutrition.per100g[key])}</td>
+                  <td className="p-2 text-end text-gray-700">{amount(key, nutrition.perServing[key])}</td>
+                  <td className="p-2">
+                    {rating && (
+                      <span className={`inline-flex items-center gap-1 px-2 py-0.5 text-xs font-semibold rounded-full ${LIGHT_STYLES[rating].chip}`}>
+                        <span className={`w-2 h-2 rounded-full ${LIGHT_STYLES[rating].dot}`} aria-hidden="true" />
+                        {t(`nutrition.light.${rating}`)}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">{t('nutrition.lightsNote')}</p>
+    </div>
+  );
+};
+
+export default NutritionFactsTable;
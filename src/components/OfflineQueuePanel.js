@@ -0,0 +1,81 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+
+const KIND_ICONS = {
+  lookup: '🔍',
+  scan: '🛡️',
+};
+
+const STATUS_STYLES = {
+  pending: 'text-gray-500',
+  done: 'text-green-700',
+  failed: 'text-red-700',
+};
+
+// Searches and scans made while offline: waiting, finished (open or dismiss) or failed
+// (retry or remove). They run by themselves once the connection is back.
+const OfflineQueuePanel = ({ entries, online, running, onOpen, onRetry, onDelete }) => {
+  const { t, formatDate } = useI18n();
+
+  if (entries.length === 0) return null;
+
+  const title = ({ kind, query, request, status, result }) => {
+    if (kind === 'lookup' && status === 'done' && result.productName) return result.productName;
+    if (query.type === 'image' && request.images) return t('history.imageQuery', { count: request.images.length });
+    if (query.type === 'barcode' && request.gtin) return t('history.gtinQuery', { gtin: request.gtin });
+    return query.label;
+  };
+
+  const statusText = (entry) => {
+    if (entry.status === 'done') return t('offline.status.done', { date: formatDate(entry.completedAt, { dateStyle: 'medium', timeStyle: 'short' }) });
+    if (entry.status === 'failed') return t('offline.status.failed', { message: entry.error });
+    return online && running ? t('offline.status.running') : t('offline.status.waiting');
+  };
+
+  return (
+    <div className="mb-8 p-6 bg-amber-50 rounded-lg shadow-inner">
+      <h2 className="text-2xl font-semibold text-amber-800 mb-4">{t('offline.queueTitle', { count: entries.length })}</h2>
+      <ul className="space-y-2">
+        {entries.map(entry => (
+          <li key={entry.id} className="flex items-center gap-3 p-3 bg-white rounded-md shadow-sm border border-amber-200">
+            {entry.thumbnail ? (
+              <img src={entry.thumbnail} alt="" className="h-12 w-12 rounded-md object-cover border border-gray-200" />
+            ) : (
+              <div className="h-12 w-12 flex items-center justify-center rounded-md bg-gray-100 text-2xl">
+                {KIND_ICONS[entry.kind]}
+              </div>
+            )}
+            <div className="flex-grow min-w-0">
+              <p className="font-semibold text-gray-800 truncate">{title(entry)}</p>
+              <p className="text-sm text-gray-500 truncate">
+                {t(`offline.kind.${entry.kind}`)} · {formatDate(entry.createdAt, { dateStyle: 'medium', timeStyle: 'short' })}
+              </p>
+              <p className={`text-sm font-semibold ${STATUS_STYLES[entry.status]}`}>{statusText(entry)}</p>
+            </div>
+            <div className="flex flex-wrap justify-end gap-1">
+              {entry.status === 'done' && (
+                <button onClick={() => onOpen(entry)} className="px-3 py-1 text-sm bg-blue-100 text-blue-700 font-semibold rounded-lg hover:bg-blue-200">
+                  {t('offline.open')}
+                </button>
+              )}
+              {entry.status === 'failed' && (
+                <button onClick={() => onRetry(entry)} className="px-3 py-1 text-sm bg-indigo-100 text-indigo-700 font-semibold rounded-lg hover:bg-indigo-200">
+                  {t('offline.retry')}
+                </button>
+              )}
+              <button
+                onClick={() => onDelete(entry)}
+                className="px-3 py-1 text-sm bg-red-100 text-red-700 font-semibold rounded-lg hover:bg-red-200"
+                disabled={entry.status === 'pending' && online && running}
+              >
+                {entry.status === 'done' ? t('offline.dismiss') : t('offline.remove')}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default OfflineQueuePanel;
@@ -0,0 +1,85 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { useI18n } from '../i18n';
+import { isEstimatedPrice } from '../llm/provenance';
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Position of a snapshot on the year axis, e.g. 1 July 2024 -> ~2024.5
+const fractionalYear = (timestamp) => {
+  const year = new Date(timestamp).getFullYear();
+  return year + (timestamp - new Date(year, 0, 1).getTime()) / YEAR_MS;
+};
+
+// Sourced model prices are drawn as filled dots, the model's own estimates as hollow ones
+const renderPriceDot = ({ key, cx, cy, stroke, payload }) => (
+  cx == null || cy == null ? null : (
+    <circle key={key} cx={cx} cy={cy} r={4} stroke={stroke} strokeWidth={2} fill={payload.estimated ? '#fff' : stroke} />
+  )
+);
+
+// Price history line chart in the selected currency. convertPrice(priceInUsd, year) applies
+// that year's exchange rate; containerRef lets the PDF export capture the rendered chart.
+// `observedPrices` ([{ timestamp, price }] from the watchlist) is drawn as its own series next
+// to the model-reported one, on the same year axis. Tooltips label each model price as sourced
+// or estimated.
+const PriceChart = ({ priceHistory, observedPrices = [], convertPrice, formatPrice, containerRef }) => {
+  const { t, formatDate } = useI18n();
+
+  const yearLabel = (year, estimated) => t(estimated ? 'provenance.estimatedYear' : 'provenance.sourcedYear', { year });
+
+  if (observedPrices.length === 0) {
+    return (
+      <div ref={containerRef} className="w-full h-64"> {/* Set a fixed height for the chart container */}
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart
+            data={priceHistory.map(point => ({ year: point.year, price: convertPrice(point.price, point.year), estimated: isEstimatedPrice(point) }))}
+            margin={{ top: 5, right: 20, left: 10, bottom: 5 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="year" />
+            <YAxis tickFormatter={formatPrice} />
+            <Tooltip
+              formatter={formatPrice}
+              labelFormatter={(year) => yearLabel(year, priceHistory.some(point => point.year === year && isEstimatedPrice(point)))}
+            />
+            <Legend />
+            <Line type="monotone" dataKey="price" name={t('details.price')} stroke="#8884d8" dot={renderPriceDot} activeDot={{ r: 8 }} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    );
+  }
+
+  const rows = [
+    ...priceHistory.map(point => ({ x: point.year, model: convertPrice(point.price, point.year), estimated: isEstimatedPrice(point) })),
+    ...observedPrices.map(({ timestamp, price }) => ({
+      x: fractionalYear(timestamp),
+      observed: convertPrice(price, new Date(timestamp).getFullYear()),
+      timestamp,
+    })),
+  ].sort((a, b) => a.x - b.x);
+
+  const firstYear = Math.floor(rows[0].x);
+  const lastYear = Math.ceil(rows[rows.length - 1].x);
+  const ticks = Array.from({ length: lastYear - firstYear + 1 }, (_, index) => firstYear + index);
+  const labels = new Map(rows.map(row => [row.x, row.timestamp ? formatDate(row.timestamp) : yearLabel(row.x, row.estimated)]));
+
+  return (
+    <div ref={containerRef} className="w-full h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={rows} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="x" type="number" domain={[firstYear, lastYear]} ticks={ticks} allowDecimals={false} />
+          <YAxis tickFormatter={formatPrice} />
+          <Tooltip formatter={formatPrice} labelFormatter={(x) => labels.get(x) || x} />
+          <Legend />
+          <Line type="monotone" dataKey="model" name={t('watchlist.modelSeries')} stroke="#8884d8" connectNulls dot={renderPriceDot} activeDot={{ r: 8 }} />
+          <Line type="monotone" dataKey="observed" name={t('watchlist.observedSeries')} stroke="#d97706" connectNulls activeDot={{ r: 8 }} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default PriceChart;
@@ -0,0 +1,264 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { buildSpeechSummary } from '../speech';
+import HealthRiskCard from './HealthRiskCard';
+import DietaryBanner from './DietaryBanner';
+import ListenControl from './ListenControl';
+import ReportExport from './ReportExport';
+import PriceChart from './PriceChart';
+import AlternativesSection from './AlternativesSection';
+import WatchPriceControl from './WatchPriceControl';
+import FieldProvenance from './FieldProvenance';
+import NutritionFactsTable from './NutritionFactsTable';
+import { isEstimatedPrice, provenanceFlags, safeUrl } from '../llm/provenance';
+import { PROVENANCE_FIELDS } from '../llm/productSchema';
+
+// Placeholder for a details section that hasn't streamed in yet
+const PendingSection = () => <div className="h-4 w-2/3 bg-gray-200 rounded animate-pulse" aria-hidden="true" />;
+
+// The product details panel. While a lookup streams in, `product` is a preview whose
+// `receivedFields` lists the sections that have arrived; `complete` marks the final result,
+// which unlocks the actions (compare, watch, listen, export) and the assessments.
+// `watchItem` is the product's watchlist entry, if any; its snapshots join the price chart.
+// Once complete, the facts the model is unsure of or cites no sources for are badged (see
+// FieldProvenance), and each price is labelled sourced or estimated.
+const ProductDetails = ({
+  product,
+  complete,
+  savedResultDate,
+  assessment,
+  dietaryCheck,
+  profileName,
+  isCompared,
+  onCompare,
+  currency,
+  convertPrice,
+  formatPrice,
+  formatAmount,
+  watchItem,
+  onWatch,
+  onUnwatch,
+  region,
+  chartRef,
+  onMessage,
+  onLookupAlternative,
+}) => {
+  const { t, formatDate, formatPercent } = useI18n();
+
+  const hasField = (field) => complete || product.receivedFields.includes(field);
+
+  const flaggedFields = complete
+    ? PROVENANCE_FIELDS.filter(field => {
+      const flags = provenanceFlags(product, field);
+      return flags.lowConfidence || flags.unsourced;
+    })
+    : [];
+  const sourcedPrices = product.priceHistory.filter(point => !isEstimatedPrice(point));
+
+  const speechSummary = complete && assessment
+    ? buildSpeechSummary(product, { t, formatPercent, riskScore: assessment.score })
+    : '';
+
+  return (
+    <div className="mt-8 p-6 bg-white border border-gray-200 rounded-lg shadow-lg">
+      {product.productName && (
+        <h2 className="text-3xl font-bold text-gray-800 mb-6 text-center">{t('details.title', { name: product.productName })}</h2>
+      )}
+      {product.gtin && (
+        <p className="-mt-4 mb-6 text-center text-gray-500">{t('details.gtin')} <span className="font-mono">{product.gtin}</span></p>
+      )}
+      {complete && savedResultDate && (
+        <p className="-mt-4 mb-6 text-center text-amber-700" role="status">
+          {t('offline.savedResult', { date: formatDate(savedResultDate, { dateStyle: 'medium', timeStyle: 'short' }) })}
+        </p>
+      )}
+      {/* Actions, data quality and assessments wait for the complete response */}
+      {complete && (
+        <>
+          <div className="-mt-2 mb-6 text-center">
+            <button
+              onClick={onCompare}
+              className="px-4 py-2 bg-purple-100 text-purple-700 font-semibold rounded-lg hover:bg-purple-200 transition-all duration-200"
+              disabled={isCompared}
+            >
+              {isCompared ? t('compare.added') : t('compare.add')}
+            </button>
+          </div>
+          <div className="-mt-2 mb-6">
+            <WatchPriceControl
+              watchItem={watchItem}
+              currency={currency}
+              formatAmount={formatAmount}
+              onWatch={onWatch}
+              onUnwatch={onUnwatch}
+            />
+          </div>
+          <div className="-mt-2 mb-6">
+            <ListenControl text={speechSummary} />
+          </div>
+          <div className="-mt-2 mb-6">
+            <ReportExport
+              product={product}
+              assessment={assessment}
+              currency={currency}
+              convertPrice={convertPrice}
+              formatPrice={formatPrice}
+              chartRef={chartRef}
+              onMessage={onMessage}
+            />
+          </div>
+
+          {/* Partial Data Notice */}
+          {product.dataQuality && product.dataQuality.partial && (
+            <div className="mb-6 p-4 rounded-md shadow-sm bg-yellow-50 border border-yellow-300">
+              <h3 className="text-lg font-semibold text-yellow-800 mb-1">{t('partial.title')}</h3>
+              <p className="text-yellow-700">
+                {t('partial.body', { fields: product.dataQuality.missingFields.map(field => t(`field.${field}`)).join(', ') })}
+              </p>
+            </div>
+          )}
+
+          {/* Unverified Facts Notice */}
+          {flaggedFields.length > 0 && (
+            <div className="mb-6 p-4 rounded-md shadow-sm bg-amber-50 border border-amber-300" role="note">
+              <h3 className="text-lg font-semibold text-amber-800 mb-1">{t('provenance.noticeTitle')}</h3>
+              <p className="text-amber-700">
+                {t('provenance.noticeBody', { fields: flaggedFields.map(field => t(`field.${field}`)).join(', ') })}
+              </p>
+            </div>
+          )}
+
+          {/* Health Risk Assessment */}
+          <HealthRiskCard assessment={assessment} />
+        </>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        <div className="bg-gray-50 p-4 rounded-md shadow-sm">
+          <h3 className="text-xl font-semibold text-gray-700 mb-2">{t('details.parentCompany')}</h3>
+          {complete && <FieldProvenance product={product} field="parentCompany" />}
+          {hasField('parentCompany') ? (
+            <p className="text-gray-600">{product.parentCompany || t('common.notAvailable')}</p>
+          ) : <PendingSection />}
+        </div>
+        <div className="bg-gray-50 p-4 rounded-md shadow-sm">
+          <h3 className="text-xl font-semibold text-gray-700 mb-2">{t('details.priceHistory')}</h3>
+          {complete && <FieldProvenance product={product} field="priceHistory" />}
+          {!hasField('priceHistory') ? <PendingSection /> : product.priceHistory.length > 0 ? (
+            <PriceChart
+              priceHistory={product.priceHistory}
+              observedPrices={watchItem ? watchItem.snapshots : []}
+              convertPrice={convertPrice}
+              formatPrice={formatPrice}
+              containerRef={chartRef}
+            />
+          ) : (
+            <p className="text-gray-600">{t('details.noPriceHistory')}</p>
+          )}
+          {complete && product.priceHistory.length > 0 && (
+            <div className="mt-2 text-xs text-gray-500">
+              <p>
+                {sourcedPrices.length === 0
+                  ? t('provenance.allPricesEstimated')
+                  : t('provenance.pricesSourced', { count: sourcedPrices.length, total: product.priceHistory.length })}
+              </p>
+              {sourcedPrices.length > 0 && (
+                <ul>
+                  {sourcedPrices.map(({ year, source }) => (
+                    <li key={year}>
+                      {year}:{' '}
+                      {safeUrl(source) ? (
+                        <a href={safeUrl(source)} target="_blank" rel="noopener noreferrer" className="text-blue-700 hover:underline break-all">
+                          {source}
+                        </a>
+                      ) : source}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Dietary Profile Check */}
+      {dietaryCheck && (
+        <DietaryBanner profileName={profileName} check={dietaryCheck} />
+      )}
+
+      <div className="bg-gray-50 p-4 rounded-md shadow-sm mb-6">
+        <h3 className="text-xl font-semibold text-gray-700 mb-2">{t('details.ingredients')}</h3>
+        {complete && <FieldProvenance product={product} field="ingredients" />}
+        {!hasField('ingredients') ? <PendingSection /> : product.ingredients.length > 0 ? (
+          <ul className="list-disc list-inside text-gray-600">
+            {product.ingredients.map((ingredient, index) => (
+              <li key={index}>{ingredient}</li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-600">{t('common.notAvailable')}</p>
+        )}
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-md shadow-sm mb-6">
+        <h3 className="text-xl font-semibold text-gray-700 mb-2">{t('details.content')}</h3>
+        {hasField('content') ? (
+          <p className="text-gray-600">{product.content || t('common.notAvailable')}</p>
+        ) : <PendingSection />}
+      </div>
+
+      {/* Nutrition Facts (older saved products and some responses have none) */}
+      {hasField('nutrition') && product.nutrition && (
+        <div className="bg-gray-50 p-4 rounded-md shadow-sm mb-6">
+          <h3 className="text-xl font-semibold text-gray-700 mb-2">{t('details.nutrition')}</h3>
+          <NutritionFactsTable nutrition={product.nutrition} />
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        <div className="bg-green-50 p-4 rounded-md shadow-sm border border-green-200">
+          <h3 className="text-xl font-semibold text-green-700 mb-2">{t('details.goodContent')}</h3>
+          {hasField('goodContent') ? (
+            <ul className="list-disc list-inside text-green-600">
+              {product.goodContent.map((item, index) => (
+                <li key={index}>{item}</li>
+              ))}
+            </ul>
+          ) : <PendingSection />}
+        </div>
+        <div className="bg-red-50 p-4 rounded-md shadow-sm border border-red-200">
+          <h3 className="text-xl font-semibold text-red-700 mb-2">{t('details.harmfulContent')}</h3>
+          {complete && <FieldProvenance product={product} field="harmfulContent" />}
+          {hasField('harmfulContent') ? (
+            <ul className="list-disc list-inside text-red-600">
+              {product.harmfulContent.map((item, index) => (
+                <li key={index}>{item}</li>
+              ))}
+            </ul>
+          ) : <PendingSection />}
+        </div>
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-md shadow-sm">
+        <h3 className="text-xl font-semibold text-gray-700 mb-2">{t('details.customerInfo')}</h3>
+        {complete && <FieldProvenance product={product} field="customerInfo" />}
+        {hasField('customerInfo') ? (
+          <p className="text-gray-600">{product.customerInfo || t('common.notAvailable')}</p>
+        ) : <PendingSection />}
+      </div>
+
+      {/* Better Alternatives */}
+      {complete && (
+        <AlternativesSection
+          product={product}
+          region={region}
+          convertPrice={convertPrice}
+          formatPrice={formatPrice}
+          onLookup={onLookupAlternative}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ProductDetails;
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { useI18n } from '../i18n';
+import { priceHistoryToCsv, productToJson } from '../export/productReport';
+import { renderChartImage, renderProductPdf } from '../export/pdfReport';
+import { buildShareUrl } from '../export/shareLink';
+import { downloadBlob, fileSlug } from '../export/download';
+
+const BUTTON_CLASSES = 'px-3 py-1 text-sm bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 transition-all duration-200';
+
+// Export the open product as a PDF report (with the price chart), JSON for re-import or a
+// price history CSV, or copy a link that re-runs the lookup. chartRef points at the chart's container.
+const ReportExport = ({ product, assessment, currency, convertPrice, formatPrice, chartRef, onMessage }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [exportingPdf, setExportingPdf] = useState(false);
+  const baseName = fileSlug(product.productName);
+
+  const handlePdf = async () => {
+    setExportingPdf(true);
+    try {
+      let chart = null;
+      try {
+        chart = await renderChartImage(chartRef.current);
+      } catch (error) {
+        console.warn('Could not render the price chart for the PDF:', error);
+      }
+      const blob = renderProductPdf(product, { i18n, assessment, currency, convertPrice, formatPrice, chart });
+      downloadBlob(blob, `${baseName}.pdf`);
+    } catch (error) {
+      console.error('Error exporting PDF:', error);
+      onMessage(t('error.exportPdf', { message: error.message }));
+    } finally {
+      setExportingPdf(false);
+    }
+  };
+
+  const handleJson = () => {
+    const json = productToJson(product, { language: i18n.locale, currency });
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${baseName}.json`);
+  };
+
+  const handleCsv = () => {
+    const csv = priceHistoryToCsv(product, { currency, convertPrice });
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), `${baseName}-prices.csv`);
+  };
+
+  const handleShare = async () => {
+    const url = buildShareUrl({ productName: product.productName, gtin: product.gtin, language: i18n.locale, currency });
+    try {
+      await navigator.clipboard.writeText(url);
+      onMessage(t('export.linkCopied', { url }));
+    } catch (error) {
+      // No clipboard access (permissions, insecure context): show the link to copy by hand
+      onMessage(t('export.linkManual', { url }));
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap justify-center gap-2">
+      <button onClick={handlePdf} className={BUTTON_CLASSES} disabled={exportingPdf}>
+        {exportingPdf ? t('export.pdfBusy') : t('export.pdf')}
+      </button>
+      <button onClick={handleJson} className={BUTTON_CLASSES}>{t('export.json')}</button>
+      <button onClick={handleCsv} className={BUTTON_CLASSES} disabled={product.priceHistory.length === 0}>
+        {t('export.csv')}
+      </button>
+      <button onClick={handleShare} className={BUTTON_CLASSES}>{t('export.share')}</button>
+    </div>
+  );
+};
+
+export default ReportExport;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+
+// Styling for each authenticity verdict and signal assessment (labels: scan.verdict.*, scan.assessment.*)
+const SCAN_VERDICT_STYLES = {
+  original: { card: 'bg-green-100 border-green-400', text: 'text-green-700' },
+  fake: { card: 'bg-red-100 border-red-400', text: 'text-red-700' },
+  inconclusive: { card: 'bg-yellow-100 border-yellow-400', text: 'text-yellow-700' },
+};
+
+const SIGNAL_ASSESSMENT_STYLES = {
+  consistent: 'bg-green-200 text-green-800',
+  suspicious: 'bg-red-200 text-red-800',
+  unclear: 'bg-gray-200 text-gray-700',
+};
+
+// Verdict, confidence and the visual signals behind an authenticity scan (see llm/authenticity.js)
+const ScanResultCard = ({ result }) => {
+  const { t, formatPercent } = useI18n();
+
+  return (
+    <div className={`mt-8 p-6 rounded-lg shadow-lg border ${SCAN_VERDICT_STYLES[result.verdict].card}`}>
+      <h2 className="text-3xl font-bold mb-4 text-center">{t('scan.resultTitle')}</h2>
+      <p className={`text-5xl font-extrabold text-center ${SCAN_VERDICT_STYLES[result.verdict].text}`}>
+        {t(`scan.verdict.${result.verdict}`)}
+      </p>
+      <p className="text-gray-700 mt-2 text-center">
+        {t('scan.confidence', { value: formatPercent(result.confidence * 100) })}
+        {result.productName && t('scan.identifiedAs', { name: result.productName })}
+      </p>
+      {result.summary && (
+        <p className="text-gray-600 mt-4 text-center">{result.summary}</p>
+      )}
+      {result.signals.length > 0 && (
+        <ul className="mt-6 space-y-2">
+          {result.signals.map((signal, index) => (
+            <li key={index} className="bg-white bg-opacity-70 p-3 rounded-md shadow-sm flex items-start gap-3">
+              <span className={`px-2 py-1 rounded-full text-xs font-semibold whitespace-nowrap ${SIGNAL_ASSESSMENT_STYLES[signal.assessment]}`}>
+                {t(`scan.assessment.${signal.assessment}`)}
+              </span>
+              <div>
+                <p className="font-semibold text-gray-700">{t(`scan.signal.${signal.category}`)}</p>
+                <p className="text-gray-600">{signal.observation}</p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      <p className="text-gray-500 text-sm mt-4 text-center">
+        {t('scan.disclaimer')}
+      </p>
+    </div>
+  );
+};
+
+export default ScanResultCard;
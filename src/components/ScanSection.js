@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { useI18n } from '../i18n';
+import { compressImageFile } from '../utils/image';
+import CameraCapture from './CameraCapture';
+import ImageAttachments from './ImageAttachments';
+
+// Photos for the authenticity check; onScan(images) runs it. `scanning` is true while a
+// scan (not a lookup) is in flight.
+const ScanSection = ({ loading, scanning, onScan, onError }) => {
+  const { t } = useI18n();
+  const [images, setImages] = useState([]); // Compressed images, see utils/image.js
+  const [showCamera, setShowCamera] = useState(false);
+
+  const handleImageUpload = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = ''; // Allow selecting the same file again
+    if (files.length === 0) return;
+
+    try {
+      const added = await Promise.all(files.map(file => compressImageFile(file)));
+      setImages(previous => [...previous, ...added]);
+    } catch (error) {
+      console.error('Error reading image:', error);
+      onError(t('error.readImage', { message: error.message }));
+    }
+  };
+
+  return (
+    <div className="mb-8 p-6 bg-green-50 rounded-lg shadow-inner">
+      <h2 className="text-2xl font-semibold text-green-800 mb-4">{t('scan.title')}</h2>
+      <p className="text-gray-600 mb-4">
+        {t('scan.description')}
+      </p>
+      <div className="flex flex-col items-center gap-4">
+        <input
+          type="file"
+          accept="image/*"
+          multiple
+          onChange={handleImageUpload}
+          aria-label={t('scan.chooseImages')}
+          className="block w-full text-sm text-gray-500
+            file:me-4 file:py-2 file:px-4
+            file:rounded-full file:border-0
+            file:text-sm file:font-semibold
+            file:bg-green-50 file:text-green-700
+            hover:file:bg-green-100"
+        />
+        {showCamera ? (
+          <CameraCapture accent="green" onCapture={(image) => setImages(previous => [...previous, image])} onClose={() => setShowCamera(false)} />
+        ) : (
+          <button
+            onClick={() => setShowCamera(true)}
+            className="px-4 py-2 bg-green-100 text-green-700 font-semibold rounded-full hover:bg-green-200 transition-all duration-200"
+            disabled={loading}
+          >
+            {t('camera.open')}
+          </button>
+        )}
+        <ImageAttachments images={images} onRemove={(id) => setImages(previous => previous.filter(image => image.id !== id))} />
+        <button
+          onClick={() => onScan(images)}
+          className="w-full px-6 py-3 bg-green-600 text-white font-bold rounded-lg shadow-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 transition-all duration-200 transform hover:scale-105"
+          disabled={loading || images.length === 0}
+        >
+          {scanning ? t('scan.scanning') : t('scan.button')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ScanSection;
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { useI18n } from '../i18n';
+import { compressImageFile } from '../utils/image';
+import CameraCapture from './CameraCapture';
+import ImageAttachments from './ImageAttachments';
+
+const PRIMARY_BUTTON = 'px-6 py-3 bg-blue-600 text-white font-bold rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all duration-200 transform hover:scale-105';
+
+// Product search by name, photos (the model identifies the product) or barcode.
+// Owns the typed name and attached images; onSearch(searchType, { productName, images })
+// runs the lookup. `searching` is true while a lookup (not a scan) is in flight.
+const SearchSection = ({ initialProductName = '', loading, searching, onSearch, onOpenReport, onError }) => {
+  const { t } = useI18n();
+  const [productName, setProductName] = useState(initialProductName);
+  const [images, setImages] = useState([]); // Compressed images, see utils/image.js
+  const [showCamera, setShowCamera] = useState(false);
+
+  const search = (searchType) => onSearch(searchType, { productName, images });
+
+  // Attaching photos replaces the typed name
+  const addImages = (added) => {
+    setImages(previous => [...previous, ...added]);
+    setProductName('');
+  };
+
+  const handleImageUpload = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = ''; // Allow selecting the same file again
+    if (files.length === 0) return;
+
+    try {
+      addImages(await Promise.all(files.map(file => compressImageFile(file))));
+    } catch (error) {
+      console.error('Error reading image:', error);
+      onError(t('error.readImage', { message: error.message }));
+    }
+  };
+
+  const handleReportFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) onOpenReport(file);
+  };
+
+  return (
+    <div className="mb-8 p-6 bg-blue-50 rounded-lg shadow-inner">
+      <h2 className="text-2xl font-semibold text-blue-800 mb-4">{t('search.title')}</h2>
+      <p className="text-gray-600 mb-4">
+        {t('search.description')}
+      </p>
+      <div className="flex flex-col sm:flex-row gap-4 mb-4">
+        <input
+          type="text"
+          className="flex-grow p-3 border border-blue-200 rounded-lg focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-700 placeholder-gray-400"
+          placeholder={t('search.placeholder')}
+          value={productName}
+          onChange={(e) => {
+            setProductName(e.target.value);
+            setImages([]); // Clear images if typing
+          }}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              search('text');
+            }
+          }}
+          disabled={images.length > 0} // Disable text input if images are attached
+        />
+        <button
+          onClick={() => search('text')}
+          className={PRIMARY_BUTTON}
+          disabled={loading || !productName.trim() || images.length > 0}
+        >
+          {searching && images.length === 0 ? t('search.searching') : t('search.textButton')}
+        </button>
+      </div>
+
+      <div className="flex flex-col items-center gap-4">
+        <div className="w-full border-t border-blue-200 pt-4 mt-4 text-center">
+          <p className="text-gray-600 mb-2">{t('search.or')}</p>
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={handleImageUpload}
+            aria-label={t('search.chooseImages')}
+            className="block w-full text-sm text-gray-500
+              file:me-4 file:py-2 file:px-4
+              file:rounded-full file:border-0
+              file:text-sm file:font-semibold
+              file:bg-blue-50 file:text-blue-700
+              hover:file:bg-blue-100"
+          />
+          {showCamera ? (
+            <div className="mt-4 w-full">
+              <CameraCapture onCapture={(image) => addImages([image])} onClose={() => setShowCamera(false)} />
+            </div>
+          ) : (
+            <button
+              onClick={() => setShowCamera(true)}
+              className="mt-4 px-4 py-2 bg-blue-100 text-blue-700 font-semibold rounded-full hover:bg-blue-200 transition-all duration-200"
+              disabled={loading}
+            >
+              {t('camera.open')}
+            </button>
+          )}
+          <ImageAttachments images={images} onRemove={(id) => setImages(previous => previous.filter(image => image.id !== id))} />
+          <div className="w-full flex flex-col sm:flex-row gap-4 mt-4">
+            <button
+              onClick={() => search('image')}
+              className={`flex-grow ${PRIMARY_BUTTON}`}
+              disabled={loading || images.length === 0}
+            >
+              {searching && images.length > 0 ? t('search.detecting') : t('search.imageButton')}
+            </button>
+            <button
+              onClick={() => search('barcode')}
+              className="flex-grow px-6 py-3 bg-indigo-600 text-white font-bold rounded-lg shadow-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 transition-all duration-200 transform hover:scale-105"
+              disabled={loading || images.length === 0}
+            >
+              {t('search.barcodeButton')}
+            </button>
+          </div>
+          <label className="mt-2 text-sm text-blue-700 font-semibold cursor-pointer hover:underline">
+            {t('export.openReport')}
+            <input type="file" accept=".json,application/json" onChange={handleReportFile} className="hidden" />
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchSection;
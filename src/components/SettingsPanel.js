@@ -0,0 +1,74 @@
+import React from 'react';
+import { LOCALES, useI18n } from '../i18n';
+import { CURRENCIES, currencyLabel } from '../rates/currencies';
+
+// "2024-06-01" -> localized date; anything else (e.g. a bare year from an imported file) as-is
+const formatRatesDate = (value, formatDate) => (
+  /^\d{4}-\d{2}-\d{2}$/.test(value) ? formatDate(`${value}T00:00:00`) : value
+);
+
+// Language and currency pickers, with the exchange rates in use and rate file import.
+// onImportRates(file) receives the selected CSV/JSON file.
+const SettingsPanel = ({ language, onLanguageChange, currency, onCurrencyChange, rateTable, onImportRates, onClearImportedRates }) => {
+  const { t, formatDate } = useI18n();
+
+  const handleRatesFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) onImportRates(file);
+  };
+
+  return (
+    <div className="mb-8 p-6 bg-gray-50 rounded-lg shadow-inner flex flex-col sm:flex-row justify-around items-center gap-4">
+      <div>
+        <label htmlFor="language-select" className="block text-gray-700 text-lg font-semibold mb-2">
+          {t('settings.language')}
+        </label>
+        <select
+          id="language-select"
+          value={language}
+          onChange={(e) => onLanguageChange(e.target.value)}
+          className="p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-400"
+        >
+          {Object.entries(LOCALES).map(([code, { name }]) => (
+            <option key={code} value={code}>{name}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label htmlFor="currency-select" className="block text-gray-700 text-lg font-semibold mb-2">
+          {t('settings.currency')}
+        </label>
+        <select
+          id="currency-select"
+          value={currency}
+          onChange={(e) => onCurrencyChange(e.target.value)}
+          className="p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-400"
+        >
+          {CURRENCIES.map(code => (
+            <option key={code} value={code}>{code} · {currencyLabel(code, language)}</option>
+          ))}
+        </select>
+        <p className="text-sm text-gray-500 mt-2">
+          {t('rates.asOf', {
+            date: rateTable.asOf ? formatRatesDate(rateTable.asOf, formatDate) : t('rates.notAvailable'),
+            source: t(`rates.source.${rateTable.source}`),
+          })}
+        </p>
+        <div className="flex gap-2 mt-1 text-sm">
+          <label className="text-blue-700 font-semibold cursor-pointer hover:underline">
+            {t('rates.import')}
+            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleRatesFile} className="hidden" />
+          </label>
+          {rateTable.source === 'file' && (
+            <button onClick={onClearImportedRates} className="text-gray-600 font-semibold hover:underline">
+              {t('rates.useLive')}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from 'react';
+import { useI18n } from '../i18n';
+
+// Put the open product on the price watchlist with a target price in the selected currency,
+// or change / remove the target when it is already watched (`watchItem`).
+const WatchPriceControl = ({ watchItem, currency, formatAmount, onWatch, onUnwatch }) => {
+  const { t } = useI18n();
+  const [targetPrice, setTargetPrice] = useState('');
+
+  // Start from the current target, unless it was set in another currency
+  useEffect(() => {
+    setTargetPrice(watchItem && watchItem.currency === currency ? String(watchItem.targetPrice) : '');
+  }, [watchItem, currency]);
+
+  const target = parseFloat(targetPrice);
+  const valid = Number.isFinite(target) && target > 0;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (valid) onWatch(target);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center justify-center gap-2">
+      <label htmlFor="watch-target" className="text-gray-700 font-semibold">
+        {t('watchlist.target', { currency })}
+      </label>
+      <input
+        id="watch-target"
+        type="number"
+        min="0"
+        step="any"
+        inputMode="decimal"
+        value={targetPrice}
+        onChange={(e) => setTargetPrice(e.target.value)}
+        className="w-32 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-amber-400"
+      />
+      <button
+        type="submit"
+        className="px-4 py-2 bg-amber-100 text-amber-800 font-semibold rounded-lg hover:bg-amber-200 transition-all duration-200"
+        disabled={!valid}
+      >
+        {watchItem ? t('watchlist.updateTarget') : t('watchlist.watch')}
+      </button>
+      {watchItem && (
+        <>
+          <span className="text-sm text-gray-500">
+            {t('watchlist.watching', { target: formatAmount(watchItem.targetPrice, watchItem.currency) })}
+          </span>
+          <button type="button" onClick={onUnwatch} className="text-sm text-red-700 font-semibold hover:underline">
+            {t('watchlist.unwatch')}
+          </button>
+        </>
+      )}
+    </form>
+  );
+};
+
+export default WatchPriceControl;
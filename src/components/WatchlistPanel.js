@@ -0,0 +1,87 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { latestSnapshot } from '../watchlist';
+
+// Watched products with their latest observed price against the target. Refreshing looks a
+// product up again and records a new snapshot. convert(priceInUsd, currency) and
+// formatAmount(amount, currency) show prices in each target's own currency.
+const WatchlistPanel = ({ items, refreshingIds, online, convert, formatAmount, onOpen, onRefresh, onRefreshAll, onRemove }) => {
+  const { t, formatDate } = useI18n();
+
+  if (items.length === 0) return null;
+
+  const busy = refreshingIds.length > 0;
+
+  return (
+    <div className="mb-8 p-6 bg-amber-50 rounded-lg shadow-inner">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-2xl font-semibold text-amber-800">{t('watchlist.title', { count: items.length })}</h2>
+        <button
+          onClick={onRefreshAll}
+          className="px-4 py-2 bg-amber-600 text-white font-semibold rounded-lg hover:bg-amber-700 transition-all duration-200"
+          disabled={!online || busy}
+        >
+          {busy ? t('watchlist.refreshing') : t('watchlist.refreshAll')}
+        </button>
+      </div>
+      <ul className="space-y-2">
+        {items.map(item => {
+          const snapshot = latestSnapshot(item);
+          const refreshing = refreshingIds.includes(item.id);
+          return (
+            <li key={item.id} className="flex flex-wrap items-center gap-3 p-3 bg-white rounded-md shadow-sm border border-amber-200">
+              <div className="flex-grow min-w-0">
+                <p className="font-semibold text-gray-800 truncate">
+                  {item.productName}
+                  {item.belowTarget && (
+                    <span className="ms-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                      {t('watchlist.belowTarget')}
+                    </span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-600">
+                  {t('watchlist.summary', {
+                    price: snapshot ? formatAmount(convert(snapshot.price, item.currency), item.currency) : t('common.notAvailable'),
+                    target: formatAmount(item.targetPrice, item.currency),
+                    count: item.snapshots.length,
+                  })}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {refreshing
+                    ? t('watchlist.refreshing')
+                    : t('watchlist.refreshedAt', { date: formatDate(item.refreshedAt || item.createdAt, { dateStyle: 'medium', timeStyle: 'short' }) })}
+                </p>
+                {item.error && <p className="text-sm text-red-700">{t('watchlist.refreshFailed', { message: item.error })}</p>}
+                {!item.error && item.missingCurrentPrice && (
+                  <p className="text-sm text-amber-700">{t('watchlist.noCurrentPrice', { year: new Date(item.refreshedAt).getFullYear() })}</p>
+                )}
+              </div>
+              <div className="flex flex-wrap justify-end gap-1">
+                <button onClick={() => onOpen(item)} className="px-3 py-1 text-sm bg-blue-100 text-blue-700 font-semibold rounded-lg hover:bg-blue-200">
+                  {t('watchlist.open')}
+                </button>
+                <button
+                  onClick={() => onRefresh(item)}
+                  className="px-3 py-1 text-sm bg-amber-100 text-amber-800 font-semibold rounded-lg hover:bg-amber-200"
+                  disabled={!online || busy}
+                  aria-label={t('watchlist.refreshLabel', { name: item.productName })}
+                >
+                  {t('watchlist.refresh')}
+                </button>
+                <button
+                  onClick={() => onRemove(item)}
+                  className="px-3 py-1 text-sm bg-red-100 text-red-700 font-semibold rounded-lg hover:bg-red-200"
+                  disabled={refreshing}
+                >
+                  {t('watchlist.remove')}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default WatchlistPanel;
@@ -0,0 +1,18 @@
+// Save a Blob under `fileName` through a temporary object URL
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// "Coca-Cola Zero 330 ml" -> "coca-cola-zero-330-ml"
+export const fileSlug = (name) => (name || 'product')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[^\p{L}\p{N}]+/gu, '-')
+  .replace(/^-+|-+$/g, '') || 'product';
@@ -0,0 +1,205 @@
+import { jsPDF } from 'jspdf';
+import { loadImage } from '../utils/image';
+import { isEstimatedPrice } from '../llm/provenance';
+import { NUTRIENTS, NUTRIENT_UNITS, rateNutrient } from '../health/nutrition';
+import { describeRiskItem } from '../health/riskEngine';
+
+// A4 portrait in PDF points. Pages are drawn on a canvas (at RENDER_SCALE for sharp text) and
+// embedded as images: jsPDF's built-in fonts only cover Latin-1, while the canvas can draw any
+// script the browser can (Devanagari, Arabic, ...), right-to-left included.
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const RENDER_SCALE = 2;
+const FONT_FAMILY = 'system-ui, -apple-system, "Segoe UI", Roboto, "Noto Sans", "Noto Sans Devanagari", sans-serif';
+
+const TEXT_STYLES = {
+  title: { size: 20, weight: 'bold', color: '#1f2937', after: 4 },
+  subtitle: { size: 9, weight: 'normal', color: '#6b7280', after: 12 },
+  heading: { size: 13, weight: 'bold', color: '#374151', after: 4 },
+  text: { size: 10, weight: 'normal', color: '#4b5563', after: 2 },
+  footer: { size: 8, weight: 'normal', color: '#9ca3af', after: 0 },
+};
+
+// Lays text and images out top to bottom on page-sized canvases, starting a new page when full
+function createPageWriter(dir) {
+  const pages = [];
+  const contentWidth = PAGE_WIDTH - 2 * MARGIN;
+  let context;
+  let y;
+
+  const newPage = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = PAGE_WIDTH * RENDER_SCALE;
+    canvas.height = PAGE_HEIGHT * RENDER_SCALE;
+    context = canvas.getContext('2d');
+    context.scale(RENDER_SCALE, RENDER_SCALE);
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, PAGE_WIDTH, PAGE_HEIGHT);
+    context.direction = dir;
+    context.textAlign = dir === 'rtl' ? 'right' : 'left';
+    context.textBaseline = 'top';
+    pages.push(canvas);
+    y = MARGIN;
+  };
+
+  const setStyle = (style) => {
+    context.font = `${style.weight} ${style.size}px ${FONT_FAMILY}`;
+    context.fillStyle = style.color;
+  };
+
+  // Greedy word wrap; words wider than a line are broken by character
+  const wrap = (value, maxWidth) => {
+    const lines = [];
+    let line = '';
+    String(value).split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (context.measureText(candidate).width <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = '';
+      for (const char of word) {
+        if (context.measureText(line + char).width > maxWidth && line) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    });
+    if (line) lines.push(line);
+    return lines;
+  };
+
+  const text = (value, styleName = 'text', indent = 0) => {
+    const style = TEXT_STYLES[styleName];
+    const lineHeight = style.size * 1.4;
+    setStyle(style);
+    wrap(value, contentWidth - indent).forEach(line => {
+      if (y + lineHeight > PAGE_HEIGHT - MARGIN) {
+        newPage();
+        setStyle(style);
+      }
+      context.fillText(line, dir === 'rtl' ? PAGE_WIDTH - MARGIN - indent : MARGIN + indent, y);
+      y += lineHeight;
+    });
+    y += style.after;
+  };
+
+  const gap = (height) => {
+    y += height;
+  };
+
+  // `image` is anything drawImage accepts (image, canvas) with width/height
+  const image = (source, maxHeight) => {
+    const height = Math.min(maxHeight, source.height * contentWidth / source.width);
+    const width = source.width * height / source.height;
+    if (y + height > PAGE_HEIGHT - MARGIN) newPage();
+    context.drawImage(source, dir === 'rtl' ? PAGE_WIDTH - MARGIN - width : MARGIN, y, width, height);
+    y += height + 8;
+  };
+
+  // Page numbers go on last, once the page count is known
+  const finish = (footer) => {
+    pages.forEach((canvas, index) => {
+      context = canvas.getContext('2d');
+      setStyle(TEXT_STYLES.footer);
+      context.fillText(`${footer} · ${index + 1} / ${pages.length}`, dir === 'rtl' ? PAGE_WIDTH - MARGIN : MARGIN, PAGE_HEIGHT - MARGIN / 2 - TEXT_STYLES.footer.size);
+    });
+    return pages;
+  };
+
+  newPage();
+  return { text, gap, image, finish };
+}
+
+// Render the chart's SVG (Recharts draws into svg.recharts-surface) to a canvas
+export async function renderChartImage(container) {
+  const svg = container && container.querySelector('svg');
+  if (!svg) return null;
+
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  const markup = new XMLSerializer().serializeToString(clone);
+  const image = await loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width * RENDER_SCALE;
+  canvas.height = height * RENDER_SCALE;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+// Build the PDF report for a product and return it as a Blob.
+// `i18n` is the active createI18n() object, `chart` an optional canvas from renderChartImage.
+export function renderProductPdf(product, { i18n, assessment, currency, convertPrice, formatPrice, chart }) {
+  const { t, formatDate, formatNumber, formatPercent } = i18n;
+  const writer = createPageWriter(i18n.dir);
+  const notAvailable = t('common.notAvailable');
+
+  const section = (heading, body) => {
+    writer.text(heading, 'heading');
+    if (Array.isArray(body)) {
+      if (body.length === 0) writer.text(notAvailable);
+      body.forEach(item => writer.text(`• ${item}`, 'text', 8));
+    } else {
+      writer.text(body || notAvailable);
+    }
+    writer.gap(8);
+  };
+
+  writer.text(t('details.title', { name: product.productName }), 'title');
+  writer.text([
+    product.gtin && `${t('details.gtin')} ${product.gtin}`,
+    t('export.generated', { date: formatDate(Date.now(), { dateStyle: 'long', timeStyle: 'short' }) }),
+    currency,
+  ].filter(Boolean).join(' · '), 'subtitle');
+
+  if (assessment) {
+    section(`${t('health.title')}: ${formatPercent(assessment.score)}`, assessment.items.map(item => {
+      const { name, reason } = describeRiskItem(item, { t, formatNumber });
+      return `${name} (${t(`health.severity.${item.severity}`)}): ${reason}`;
+    }));
+  }
+  section(t('details.parentCompany'), product.parentCompany);
+
+  writer.text(t('details.priceHistory'), 'heading');
+  if (chart) writer.image(chart, 220);
+  if (product.priceHistory.length === 0) writer.text(t('details.noPriceHistory'));
+  product.priceHistory.forEach(point => {
+    const label = t(isEstimatedPrice(point) ? 'provenance.estimatedYear' : 'provenance.sourcedYear', { year: point.year });
+    writer.text(`${label}: ${formatPrice(convertPrice(point.price, point.year))}${point.source ? ` – ${point.source}` : ''}`, 'text', 8);
+  });
+  writer.gap(8);
+
+  section(t('details.ingredients'), product.ingredients);
+  section(t('details.content'), product.content);
+  if (product.nutrition) {
+    const { nutrition } = product;
+    section(`${t('details.nutrition')} (${t(`nutrition.per100.${nutrition.unit}`)})`, NUTRIENTS
+      .filter(key => nutrition.per100g[key] !== undefined)
+      .map(key => {
+        const rating = rateNutrient(key, nutrition.per100g[key], nutrition.unit);
+        const amount = t('nutrition.amount', { value: formatNumber(nutrition.per100g[key]), unit: NUTRIENT_UNITS[key] });
+        return `${t(`nutrition.${key}`)}: ${amount}${rating ? ` (${t(`nutrition.light.${rating}`)})` : ''}`;
+      }));
+  }
+  section(t('details.goodContent'), product.goodContent);
+  section(t('details.harmfulContent'), product.harmfulContent);
+  section(t('details.customerInfo'), product.customerInfo);
+
+  const pages = writer.finish(t('app.title'));
+  const pdf = new jsPDF({ unit: 'pt', format: 'a4' });
+  pages.forEach((canvas, index) => {
+    if (index > 0) pdf.addPage();
+    pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, PAGE_WIDTH, PAGE_HEIGHT);
+  });
+  return pdf.output('blob');
+}
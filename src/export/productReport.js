@@ -0,0 +1,54 @@
+import { normalizeProduct } from '../llm/normalizeProduct';
+import { isEstimatedPrice } from '../llm/provenance';
+import { toCsv } from '../utils/csv';
+
+// Marker and version of the JSON report format, checked on import
+export const REPORT_FORMAT = 'product-insight-hub/product';
+export const REPORT_VERSION = 1;
+
+// Serialize a product for re-import. Derived UI state (data quality, streaming info) is left
+// out; it is recomputed by normalizeProduct when the report is opened again.
+export function productToJson(product, { language, currency } = {}) {
+  const { dataQuality, receivedFields, ...data } = product;
+  return JSON.stringify({
+    format: REPORT_FORMAT,
+    version: REPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    language,
+    currency,
+    product: data
+  }, null, 2);
+}
+
+// Parse a JSON report (or a bare product object) back into a normalized product
+export function productFromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (data && data.format !== undefined) {
+    if (data.format !== REPORT_FORMAT) throw new Error('The file is not a product report.');
+    if (data.version > REPORT_VERSION) throw new Error('The report was made by a newer version of the app.');
+    data = data.product;
+  }
+
+  const product = normalizeProduct(data);
+  if (!product.productName) throw new Error('The report has no product name.');
+  return data.gtin ? { ...product, gtin: String(data.gtin) } : product;
+}
+
+// Price history as CSV: the model's USD price plus the price converted to `currency`
+// with the exchange rate of each year, and whether the price is sourced or an estimate
+export function priceHistoryToCsv(product, { currency, convertPrice }) {
+  const priceColumns = currency === 'USD' ? ['price_usd'] : ['price_usd', `price_${currency.toLowerCase()}`];
+  const rows = product.priceHistory.map(point => [
+    point.year,
+    point.price.toFixed(2),
+    ...(currency === 'USD' ? [] : [convertPrice(point.price, point.year).toFixed(2)]),
+    isEstimatedPrice(point) ? 'estimated' : 'sourced',
+    point.source || ''
+  ]);
+  return toCsv([['year', ...priceColumns, 'basis', 'source'], ...rows]);
+}
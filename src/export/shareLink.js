@@ -0,0 +1,32 @@
+import { LOCALES } from '../i18n';
+import { CURRENCIES } from '../rates/currencies';
+import { normalizeGtin } from '../barcode/gtin';
+
+// A shareable link re-runs a lookup when opened: ?q=<product name> or ?gtin=<barcode>,
+// plus the language (lang) and currency it was shared with.
+export function buildShareUrl({ productName, gtin, language, currency }, location = window.location) {
+  const url = new URL(location.pathname, location.origin);
+  if (gtin) url.searchParams.set('gtin', gtin);
+  else url.searchParams.set('q', productName);
+  if (language) url.searchParams.set('lang', language);
+  if (currency) url.searchParams.set('currency', currency);
+  return url.toString();
+}
+
+// Read a shared link's parameters. Unknown languages/currencies and invalid GTINs are ignored.
+// Returns null when the URL carries none of them.
+export function readShareParams(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const shared = {};
+
+  const gtin = params.get('gtin') && normalizeGtin(params.get('gtin'));
+  const productName = (params.get('q') || '').trim();
+  if (gtin) shared.gtin = gtin;
+  else if (productName) shared.productName = productName;
+
+  if (LOCALES[params.get('lang')]) shared.language = params.get('lang');
+  const currency = (params.get('currency') || '').toUpperCase();
+  if (CURRENCIES.includes(currency)) shared.currency = currency;
+
+  return Object.keys(shared).length > 0 ? shared : null;
+}
@@ -0,0 +1,106 @@
+import { INGREDIENT_KNOWLEDGE_BASE } from './ingredientKnowledgeBase';
+import { matchIngredient } from './riskEngine';
+
+// Allergy options and the knowledge base entries that trigger them
+// (display labels live in the i18n catalogs as allergy.<key> / diet.<key>)
+export const ALLERGIES = {
+  nuts: { entryIds: ['peanut', 'tree-nuts'] },
+  gluten: { entryIds: ['gluten'] },
+  lactose: { entryIds: ['milk'] },
+  egg: { entryIds: ['egg'] },
+  soy: { entryIds: ['soy'] },
+  sesame: { entryIds: ['sesame'] },
+  seafood: { entryIds: ['fish', 'shellfish'] },
+};
+
+export const DIETS = {
+  vegan: {},
+  vegetarian: {},
+  halal: {},
+  keto: {},
+  lowSodium: {},
+};
+
+// Animal-derived knowledge base entries that rule out vegan / vegetarian outright
+const NON_VEGAN_ENTRIES = ['milk', 'egg', 'fish', 'shellfish'];
+const NON_VEGETARIAN_ENTRIES = ['fish', 'shellfish'];
+
+// Sodium per 100 g: UK FSA "high" is over 600 mg, "low" is 120 mg or less
+const HIGH_SODIUM_MG = 600;
+const LOW_SODIUM_MG = 120;
+
+export const STATUS_ORDER = ['compatible', 'caution', 'avoid'];
+
+const entryName = (id) => INGREDIENT_KNOWLEDGE_BASE.find(entry => entry.id === id).name.toLowerCase();
+
+const matchedEntryIds = (texts) => new Set(texts.flatMap(text => matchIngredient(text).map(entry => entry.id)));
+
+const mentions = (texts, term) => {
+  const pattern = new RegExp(`(^|[^a-z0-9])${term.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^a-z0-9]|$)`);
+  return texts.some(text => pattern.test(text.toLowerCase()));
+};
+
+// Check a product against a dietary profile ({ allergies, diets, avoid }).
+// Returns { status: 'compatible' | 'caution' | 'avoid', reasons: [{ level, code, params }] },
+// where code is a diet.reason.<code> message key and params fill its placeholders.
+export function checkDietaryCompatibility(product, profile) {
+  const reasons = [];
+  const add = (level, code, params = {}) => reasons.push({ level, code, params });
+
+  const attributes = product.dietaryAttributes || {};
+  const ingredientTexts = [...(product.ingredients || []), ...(product.harmfulContent || [])];
+  const allergenTexts = [...ingredientTexts, ...(attributes.allergens || [])];
+  const ingredientIds = matchedEntryIds(allergenTexts);
+  const traceIds = matchedEntryIds(attributes.mayContain || []);
+
+  (profile.allergies || []).forEach(key => {
+    const allergy = ALLERGIES[key];
+    if (!allergy) return;
+    if (allergy.entryIds.some(id => ingredientIds.has(id))) {
+      add('avoid', 'containsAllergen', { allergy: key });
+    } else if (allergy.entryIds.some(id => traceIds.has(id))) {
+      add('caution', 'mayContain', { allergy: key });
+    }
+  });
+
+  (profile.diets || []).forEach(key => {
+    if (!DIETS[key]) return;
+
+    if (key === 'lowSodium') {
+      // Prefer the nutrition facts, which may have been read off the label
+      const nutritionSodium = product.nutrition ? product.nutrition.per100g.sodiumMg : undefined;
+      const sodium = typeof nutritionSodium === 'number' ? nutritionSodium : attributes.sodiumMgPer100g;
+      if (typeof sodium !== 'number') {
+        add('caution', ingredientIds.has('sodium') ? 'sodiumUnknownSalt' : 'sodiumUnknown');
+      } else if (sodium > HIGH_SODIUM_MG) {
+        add('avoid', 'highSodium', { sodium });
+      } else if (sodium > LOW_SODIUM_MG) {
+        add('caution', 'moderateSodium', { sodium });
+      }
+      return;
+    }
+
+    const excluded = key === 'vegan' ? NON_VEGAN_ENTRIES : key === 'vegetarian' ? NON_VEGETARIAN_ENTRIES : [];
+    const conflict = excluded.find(id => ingredientIds.has(id));
+    if (conflict) {
+      add('avoid', 'notDietContains', { diet: key, ingredient: entryName(conflict) });
+    } else if (attributes[key] === 'no') {
+      add('avoid', 'notDiet', { diet: key });
+    } else if (attributes[key] !== 'yes') {
+      add('caution', 'unconfirmedDiet', { diet: key });
+    }
+  });
+
+  (profile.avoid || []).forEach(term => {
+    if (term.trim() && mentions([...ingredientTexts, product.content || ''], term.trim())) {
+      add('avoid', 'avoidTerm', { term: term.trim() });
+    }
+  });
+
+  const status = reasons.reduce(
+    (worst, reason) => (STATUS_ORDER.indexOf(reason.level) > STATUS_ORDER.indexOf(worst) ? reason.level : worst),
+    'compatible'
+  );
+
+  return { status, reasons };
+}
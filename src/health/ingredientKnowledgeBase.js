@@ -0,0 +1,302 @@
+// Local ingredient knowledge base used by the health risk engine.
+//
+// Each entry:
+//   id          stable key
+//   name        display name
+//   eNumbers    EU E-numbers / Codex INS numbers (matched as "E211", "E 211", "INS 211")
+//   aliases     lower-case names matched as whole words in ingredient strings
+//   category    'additive' | 'allergen' | 'nutrient'
+//   severity    'low' | 'moderate' | 'high'
+//   reason      one-line evidence summary shown to the user
+//   regulatory  per-region flags: { region: 'EU' | 'US' | 'IN', status: 'banned' | 'restricted' | 'warning', note },
+//               where note is a health.note.<note> message key
+//
+// Sources: EU Regulation 1333/2008 and 1169/2011 (Annex II allergens), US FDA food additive
+// status list and FALCPA/FASTER Act, FSSAI Food Safety and Standards regulations, IARC monographs.
+export const INGREDIENT_KNOWLEDGE_BASE = [
+  // Synthetic colours
+  {
+    id: 'tartrazine', name: 'Tartrazine', eNumbers: ['102'], aliases: ['tartrazine', 'yellow 5', 'fd&c yellow 5'],
+    category: 'additive', severity: 'moderate',
+    reason: 'Azo dye linked to hyperactivity in children (Southampton study, 2007).',
+    regulatory: [{ region: 'EU', status: 'warning', note: 'activityWarning' }]
+  },
+  {
+    id: 'quinoline-yellow', name: 'Quinoline Yellow', eNumbers: ['104'], aliases: ['quinoline yellow'],
+    category: 'additive', severity: 'moderate',
+    reason: 'Synthetic dye linked to hyperactivity in children.',
+    regulatory: [
+      { region: 'EU', status: 'warning', note: 'hyperactivityLabel' },
+      { region: 'US', status: 'banned', note: 'notPermittedUs' }
+    ]
+  },
+  {
+    id: 'sunset-yellow', name: 'Sunset Yellow', eNumbers: ['110'], aliases: ['sunset yellow', 'yellow 6', 'fd&c yellow 6'],
+    category: 'additive', severity: 'moderate',
+    reason: 'Azo dye linked to hyperactivity in children.',
+    regulatory: [{ region: 'EU', status: 'warning', note: 'hyperactivityLabel' }]
+  },
+  {
+    id: 'carmoisine', name: 'Carmoisine', eNumbers: ['122'], aliases: ['carmoisine', 'azorubine'],
+    category: 'additive', severity: 'moderate',
+    reason: 'Azo dye linked to hyperactivity in children.',
+    regulatory: [
+      { region: 'EU', status: 'warning', note: 'hyperactivityLabel' },
+      { region: 'US', status: 'banned', note: 'notPermittedUs' }
+    ]
+  },
+  {
+    id: 'ponceau-4r', name: 'Ponceau 4R', eNumbers: ['124'], aliases: ['ponceau 4r', 'cochineal red a'],
+    category: 'additive', severity: 'moderate',
+    reason: 'Azo dye linked to hyperactivity in children.',
+    regulatory: [
+      { region: 'EU', status: 'warning', note: 'hyperactivityLabel' },
+      { region: 'US', status: 'banned', note: 'notPermittedUs' }
+    ]
+  },
+  {
+    id: 'allura-red', name: 'Allura Red', eNumbers: ['129'], aliases: ['allura red', 'red 40', 'fd&c red 40'],
+    category: 'additive', severity: 'moderate',
+    reason: 'Azo dye linked to hyperactivity in children.',
+    regulatory: [{ region: 'EU', status: 'warning', note: 'hyperactivityLabel' }]
+  },
+  {
+    id: 'erythrosine', name: 'Erythrosine', eNumbers: ['127'], aliases: ['erythrosine', 'red 3', 'fd&c red 3'],
+    category: 'additive', severity: 'moderate',
+    reason: 'Caused thyroid tumours in animal studies.',
+    regulatory: [
+      { region: 'US', status: 'restricted', note: 'fdaRevoked2025' },
+      { region: 'EU', status: 'restricted', note: 'cocktailCherries' }
+    ]
+  },
+  {
+    id: 'titanium-dioxide', name: 'Titanium Dioxide', eNumbers: ['171'], aliases: ['titanium dioxide'],
+    category: 'additive', severity: 'moderate',
+    reason: 'EFSA (2021) could not rule out genotoxicity of nanoparticles.',
+    regulatory: [{ region: 'EU', status: 'banned', note: 'banned2022' }]
+  },
+  {
+    id: 'caramel-color', name: 'Caramel Color (ammonia processes)', eNumbers: ['150c', '150d'], aliases: ['caramel color', 'caramel colour'],
+    category: 'additive', severity: 'low',
+    reason: 'Ammonia-process caramels can contain 4-MEI, a possible carcinogen (IARC 2B).',
+    regulatory: []
+  },
+
+  // Preservatives
+  {
+    id: 'sodium-benzoate', name: 'Sodium Benzoate', eNumbers: ['211'], aliases: ['sodium benzoate'],
+    category: 'additive', severity: 'low',
+    reason: 'Can form benzene together with vitamin C; linked to hyperactivity in combination with dyes.',
+    regulatory: []
+  },
+  {
+    id: 'parabens', name: 'Propyl Paraben', eNumbers: ['216', '217'], aliases: ['propylparaben', 'propyl paraben'],
+    category: 'additive', severity: 'moderate',
+    reason: 'Endocrine-disrupting effects in animal studies.',
+    regulatory: [{ region: 'EU', status: 'banned', note: 'removed2006' }]
+  },
+  {
+    id: 'sulphites', name: 'Sulphites', eNumbers: ['220', '221', '222', '223', '224', '225', '226', '227', '228'],
+    aliases: ['sulphite', 'sulphites', 'sulfite', 'sulfites', 'sulphur dioxide', 'sulfur dioxide', 'metabisulphite', 'metabisulfite'],
+    category: 'allergen', severity: 'moderate',
+    reason: 'Can trigger asthma attacks in sensitive people; declared allergen in the EU.',
+    regulatory: [{ region: 'EU', status: 'warning', note: 'declareAbove10mg' }]
+  },
+  {
+    id: 'nitrites', name: 'Nitrites', eNumbers: ['249', '250'], aliases: ['sodium nitrite', 'potassium nitrite'],
+    category: 'additive', severity: 'high',
+    reason: 'Forms carcinogenic nitrosamines; processed meat is an IARC Group 1 carcinogen.',
+    regulatory: [{ region: 'EU', status: 'restricted', note: 'limitsLowered2023' }]
+  },
+  {
+    id: 'nitrates', name: 'Nitrates', eNumbers: ['251', '252'], aliases: ['sodium nitrate', 'potassium nitrate'],
+    category: 'additive', severity: 'moderate',
+    reason: 'Converted to nitrites in the body and in cured products.',
+    regulatory: []
+  },
+  {
+    id: 'bha', name: 'BHA', eNumbers: ['320'], aliases: ['butylated hydroxyanisole', 'bha'],
+    category: 'additive', severity: 'moderate',
+    reason: 'Possible human carcinogen (IARC 2B).',
+    regulatory: []
+  },
+  {
+    id: 'bht', name: 'BHT', eNumbers: ['321'], aliases: ['butylated hydroxytoluene', 'bht'],
+    category: 'additive', severity: 'low',
+    reason: 'Mixed evidence of endocrine effects in animal studies.',
+    regulatory: []
+  },
+  {
+    id: 'phosphoric-acid', name: 'Phosphoric Acid', eNumbers: ['338'], aliases: ['phosphoric acid'],
+    category: 'additive', severity: 'low',
+    reason: 'Associated with dental erosion and lower bone density at high cola intake.',
+    regulatory: []
+  },
+
+  // Flavour enhancers, sweeteners, texturizers
+  {
+    id: 'msg', name: 'Monosodium Glutamate', eNumbers: ['621'], aliases: ['monosodium glutamate', 'msg'],
+    category: 'additive', severity: 'low',
+    reason: 'Generally recognised as safe; some people report short-term sensitivity.',
+    regulatory: []
+  },
+  {
+    id: 'aspartame', name: 'Aspartame', eNumbers: ['951'], aliases: ['aspartame'],
+    category: 'additive', severity: 'moderate',
+    reason: 'Possible human carcinogen (IARC 2B, 2023); a source of phenylalanine (unsafe for PKU).',
+    regulatory: [
+      { region: 'EU', status: 'warning', note: 'phenylalanine' },
+      { region: 'US', status: 'warning', note: 'pkuWarning' }
+    ]
+  },
+  {
+    id: 'acesulfame-k', name: 'Acesulfame K', eNumbers: ['950'], aliases: ['acesulfame', 'acesulfame k', 'acesulfame potassium'],
+    category: 'additive', severity: 'low',
+    reason: 'Approved sweetener; limited long-term human data.',
+    regulatory: []
+  },
+  {
+    id: 'sucralose', name: 'Sucralose', eNumbers: ['955'], aliases: ['sucralose'],
+    category: 'additive', severity: 'low',
+    reason: 'Approved sweetener; emerging evidence on gut microbiome effects.',
+    regulatory: []
+  },
+  {
+    id: 'carrageenan', name: 'Carrageenan', eNumbers: ['407'], aliases: ['carrageenan'],
+    category: 'additive', severity: 'low',
+    reason: 'Linked to gut inflammation in animal studies.',
+    regulatory: [{ region: 'EU', status: 'restricted', note: 'notInInfantFormula' }]
+  },
+  {
+    id: 'polysorbate-80', name: 'Polysorbate 80', eNumbers: ['433'], aliases: ['polysorbate 80', 'polysorbate'],
+    category: 'additive', severity: 'low',
+    reason: 'Emulsifier linked to gut microbiome disruption in animal studies.',
+    regulatory: []
+  },
+  {
+    id: 'carboxymethylcellulose', name: 'Carboxymethylcellulose', eNumbers: ['466'], aliases: ['carboxymethylcellulose', 'cellulose gum'],
+    category: 'additive', severity: 'low',
+    reason: 'Emulsifier linked to gut microbiome disruption.',
+    regulatory: []
+  },
+  {
+    id: 'potassium-bromate', name: 'Potassium Bromate', eNumbers: ['924'], aliases: ['potassium bromate', 'bromated flour'],
+    category: 'additive', severity: 'high',
+    reason: 'Possible human carcinogen (IARC 2B).',
+    regulatory: [
+      { region: 'EU', status: 'banned', note: 'notPermitted' },
+      { region: 'IN', status: 'banned', note: 'bannedFssai2016' }
+    ]
+  },
+  {
+    id: 'azodicarbonamide', name: 'Azodicarbonamide', eNumbers: ['927a'], aliases: ['azodicarbonamide'],
+    category: 'additive', severity: 'moderate',
+    reason: 'Breaks down into semicarbazide during baking; respiratory sensitiser.',
+    regulatory: [{ region: 'EU', status: 'banned', note: 'notFlourTreatment' }]
+  },
+  {
+    id: 'bvo', name: 'Brominated Vegetable Oil', eNumbers: ['443'], aliases: ['brominated vegetable oil', 'bvo'],
+    category: 'additive', severity: 'high',
+    reason: 'Bromine accumulates in body tissue; thyroid effects in animal studies.',
+    regulatory: [
+      { region: 'US', status: 'banned', note: 'fdaRevoked2024' },
+      { region: 'EU', status: 'banned', note: 'notPermitted' }
+    ]
+  },
+
+  // Nutrients of concern
+  {
+    id: 'trans-fat', name: 'Partially Hydrogenated Oil', eNumbers: [],
+    aliases: ['partially hydrogenated', 'hydrogenated vegetable oil', 'hydrogenated oil', 'trans fat', 'vanaspati'],
+    category: 'nutrient', severity: 'high',
+    reason: 'Industrial trans fats raise LDL cholesterol and heart disease risk.',
+    regulatory: [
+      { region: 'US', status: 'banned', note: 'phoNotGras' },
+      { region: 'EU', status: 'restricted', note: 'transFatLimitEu' },
+      { region: 'IN', status: 'restricted', note: 'transFatLimitIn' }
+    ]
+  },
+  {
+    id: 'hfcs', name: 'High Fructose Corn Syrup', eNumbers: [],
+    aliases: ['high fructose corn syrup', 'hfcs', 'glucose-fructose syrup', 'glucose fructose syrup', 'isoglucose'],
+    category: 'nutrient', severity: 'moderate',
+    reason: 'Added sugar; high intake is linked to obesity, type 2 diabetes and fatty liver disease.',
+    regulatory: []
+  },
+  {
+    id: 'added-sugar', name: 'Added Sugar', eNumbers: [],
+    aliases: ['sugar', 'added sugar', 'sucrose', 'glucose syrup', 'corn syrup', 'dextrose', 'cane sugar', 'invert sugar'],
+    category: 'nutrient', severity: 'moderate',
+    reason: 'WHO recommends keeping free sugars below 10% of daily energy.',
+    regulatory: []
+  },
+  {
+    id: 'palm-oil', name: 'Palm Oil', eNumbers: [], aliases: ['palm oil', 'palm fat', 'palmolein', 'palm kernel oil'],
+    category: 'nutrient', severity: 'low',
+    reason: 'High in saturated fat; refined palm oil can contain glycidyl esters.',
+    regulatory: [{ region: 'EU', status: 'restricted', note: 'glycidylEsters' }]
+  },
+  {
+    id: 'sodium', name: 'Salt / Sodium', eNumbers: [], aliases: ['salt', 'sodium', 'sodium chloride'],
+    category: 'nutrient', severity: 'low',
+    reason: 'High intake raises blood pressure; WHO recommends under 5 g salt per day.',
+    regulatory: []
+  },
+  {
+    id: 'caffeine', name: 'Caffeine', eNumbers: [], aliases: ['caffeine', 'guarana'],
+    category: 'nutrient', severity: 'low',
+    reason: 'Stimulant; not recommended for children or during pregnancy in large amounts.',
+    regulatory: [{ region: 'EU', status: 'warning', note: 'caffeineLabel' }]
+  },
+
+  // Major allergens (EU Annex II / US FALCPA + FASTER Act / FSSAI)
+  {
+    id: 'peanut', name: 'Peanut', eNumbers: [], aliases: ['peanut', 'peanuts', 'groundnut', 'groundnuts', 'arachis'],
+    category: 'allergen', severity: 'moderate', reason: 'Major allergen; can cause severe anaphylaxis.', regulatory: []
+  },
+  {
+    id: 'tree-nuts', name: 'Tree Nuts', eNumbers: [],
+    aliases: ['almond', 'almonds', 'hazelnut', 'hazelnuts', 'cashew', 'cashews', 'walnut', 'walnuts', 'pecan', 'pecans', 'pistachio', 'pistachios', 'macadamia', 'brazil nut', 'tree nuts'],
+    category: 'allergen', severity: 'moderate', reason: 'Major allergen; can cause severe anaphylaxis.', regulatory: []
+  },
+  {
+    id: 'milk', name: 'Milk', eNumbers: [], aliases: ['milk', 'lactose', 'whey', 'casein', 'caseinate', 'butterfat', 'cheese', 'milk solids', 'skimmed milk powder'],
+    category: 'allergen', severity: 'moderate', reason: 'Major allergen; lactose is poorly tolerated by many adults.', regulatory: []
+  },
+  {
+    id: 'egg', name: 'Egg', eNumbers: [], aliases: ['egg', 'eggs', 'albumin', 'egg white', 'egg yolk'],
+    category: 'allergen', severity: 'moderate', reason: 'Major allergen.', regulatory: []
+  },
+  {
+    id: 'gluten', name: 'Gluten', eNumbers: [], aliases: ['wheat', 'gluten', 'barley', 'rye', 'spelt', 'malt'],
+    category: 'allergen', severity: 'moderate', reason: 'Major allergen; must be avoided with coeliac disease.', regulatory: []
+  },
+  {
+    id: 'soy', name: 'Soy', eNumbers: [], aliases: ['soy', 'soya', 'soybean', 'soy lecithin', 'soya lecithin'],
+    category: 'allergen', severity: 'moderate', reason: 'Major allergen.', regulatory: []
+  },
+  {
+    id: 'sesame', name: 'Sesame', eNumbers: [], aliases: ['sesame', 'tahini'],
+    category: 'allergen', severity: 'moderate', reason: 'Major allergen (added to US list in 2023).', regulatory: []
+  },
+  {
+    id: 'fish', name: 'Fish', eNumbers: [], aliases: ['fish', 'anchovy', 'cod', 'salmon', 'tuna'],
+    category: 'allergen', severity: 'moderate', reason: 'Major allergen.', regulatory: []
+  },
+  {
+    id: 'shellfish', name: 'Crustaceans & Molluscs', eNumbers: [], aliases: ['shrimp', 'prawn', 'crab', 'lobster', 'shellfish', 'mussel', 'oyster', 'squid'],
+    category: 'allergen', severity: 'moderate', reason: 'Major allergen; can cause severe anaphylaxis.', regulatory: []
+  },
+  {
+    id: 'mustard', name: 'Mustard', eNumbers: [], aliases: ['mustard'],
+    category: 'allergen', severity: 'moderate', reason: 'Major allergen in the EU.', regulatory: []
+  },
+  {
+    id: 'celery', name: 'Celery', eNumbers: [], aliases: ['celery', 'celeriac'],
+    category: 'allergen', severity: 'moderate', reason: 'Major allergen in the EU.', regulatory: []
+  },
+  {
+    id: 'lupin', name: 'Lupin', eNumbers: [], aliases: ['lupin', 'lupine'],
+    category: 'allergen', severity: 'moderate', reason: 'Major allergen in the EU.', regulatory: []
+  },
+];
@@ -0,0 +1,72 @@
+// Nutrition facts: normalization of the model's per-100 g / per-serving values and the UK
+// front-of-pack traffic-light rating used by the nutrition table and the risk engine.
+
+// In display order. Energy in kcal, sodium in mg, everything else in g.
+export const NUTRIENTS = ['energyKcal', 'sugarG', 'fatG', 'saturatedFatG', 'sodiumMg', 'proteinG', 'fiberG'];
+
+export const NUTRIENT_UNITS = {
+  energyKcal: 'kcal',
+  sugarG: 'g',
+  fatG: 'g',
+  saturatedFatG: 'g',
+  sodiumMg: 'mg',
+  proteinG: 'g',
+  fiberG: 'g',
+};
+
+// UK FSA front-of-pack thresholds per 100 g (food) or 100 ml (drinks): [green up to, red above].
+// Sodium limits are the salt limits divided by 2.5. Energy, protein and fiber aren't rated.
+export const TRAFFIC_LIGHT_THRESHOLDS = {
+  g: { fatG: [3, 17.5], saturatedFatG: [1.5, 5], sugarG: [5, 22.5], sodiumMg: [120, 600] },
+  ml: { fatG: [1.5, 8.75], saturatedFatG: [0.75, 2.5], sugarG: [2.5, 11.25], sodiumMg: [120, 300] },
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const cleanValues = (values = {}) => Object.fromEntries(NUTRIENTS
+  .filter(key => Number.isFinite(values[key]) && values[key] >= 0)
+  .map(key => [key, round(values[key])]));
+
+// Normalize the schema-coerced `nutrition` object. When the serving size in g/ml is known, values
+// given only per serving are scaled to per 100 and the other way round. Returns null when
+// there are no usable values.
+export function normalizeNutrition(raw) {
+  if (!raw) return null;
+
+  const servingSizeGrams = Number.isFinite(raw.servingSizeGrams) && raw.servingSizeGrams > 0 ? raw.servingSizeGrams : null;
+  const per100g = cleanValues(raw.per100g);
+  const perServing = cleanValues(raw.perServing);
+
+  if (servingSizeGrams) {
+    NUTRIENTS.forEach(key => {
+      if (per100g[key] === undefined && perServing[key] !== undefined) per100g[key] = round(perServing[key] * 100 / servingSizeGrams);
+      if (perServing[key] === undefined && per100g[key] !== undefined) perServing[key] = round(per100g[key] * servingSizeGrams / 100);
+    });
+  }
+  if (Object.keys(per100g).length === 0 && Object.keys(perServing).length === 0) return null;
+
+  return {
+    unit: raw.unit === 'ml' ? 'ml' : 'g',
+    basis: raw.basis === 'label' ? 'label' : 'typical',
+    servingSize: raw.servingSize || '',
+    servingSizeGrams,
+    per100g,
+    perServing,
+  };
+}
+
+// 'green' | 'amber' | 'red' for a value per 100 g/ml, or null for nutrients that aren't rated
+export function rateNutrient(key, value, unit = 'g') {
+  const limits = TRAFFIC_LIGHT_THRESHOLDS[unit][key];
+  if (!limits || value === undefined) return null;
+  if (value <= limits[0]) return 'green';
+  return value > limits[1] ? 'red' : 'amber';
+}
+
+// Ratings of every rated nutrient the product has a per-100 value for: { sugarG: 'red', ... }
+export function nutritionRatings(nutrition) {
+  if (!nutrition) return {};
+  return Object.fromEntries(NUTRIENTS
+    .map(key => [key, rateNutrient(key, nutrition.per100g[key], nutrition.unit)])
+    .filter(([, rating]) => rating !== null));
+}
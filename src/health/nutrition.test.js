@@ -0,0 +1,111 @@
+import { normalizeNutrition, nutritionRatings, rateNutrient } from './nutrition';
+import { assessHealthRisk, describeRiskItem } from './riskEngine';
+import { checkDietaryCompatibility } from './dietaryCheck';
+import { normalizeProduct } from '../llm/normalizeProduct';
+import { createI18n } from '../i18n';
+
+const COLA = {
+  productName: 'Fizzy Cola',
+  parentCompany: 'Fizz Corp',
+  priceHistory: [],
+  ingredients: ['Carbonated water', 'Sugar', 'Salt'],
+  content: 'A sweet carbonated soft drink.',
+  goodContent: [],
+  harmfulContent: [],
+  customerInfo: 'Best served cold.',
+};
+
+describe('normalizeNutrition', () => {
+  test('fills per-100 and per-serving values from each other using the serving size', () => {
+    expect(normalizeNutrition({
+      basis: 'label',
+      unit: 'ml',
+      servingSize: '1 can (330 ml)',
+      servingSizeGrams: 330,
+      per100g: { energyKcal: 42, sugarG: 10.6, sodiumMg: -1 },
+      perServing: { proteinG: 0, fiberG: 0.33 },
+    })).toEqual({
+      basis: 'label',
+      unit: 'ml',
+      servingSize: '1 can (330 ml)',
+      servingSizeGrams: 330,
+      per100g: { energyKcal: 42, sugarG: 10.6, proteinG: 0, fiberG: 0.1 },
+      perServing: { energyKcal: 138.6, sugarG: 35, proteinG: 0, fiberG: 0.3 },
+    });
+  });
+
+  test('returns null without any values', () => {
+    expect(normalizeNutrition(undefined)).toBeNull();
+    expect(normalizeNutrition({ servingSize: '30 g', per100g: {} })).toBeNull();
+  });
+
+  test('is applied by normalizeProduct', () => {
+    const product = normalizeProduct({ ...COLA, nutrition: { per100g: { sugarG: '25' } } });
+    expect(product.nutrition).toMatchObject({ unit: 'g', basis: 'typical', per100g: { sugarG: 25 } });
+    expect(normalizeProduct(COLA).nutrition).toBeNull();
+  });
+});
+
+describe('traffic lights', () => {
+  test('use the food thresholds per 100 g and the drink thresholds per 100 ml', () => {
+    expect(rateNutrient('sugarG', 5)).toBe('green');
+    expect(rateNutrient('sugarG', 10.6)).toBe('amber');
+    expect(rateNutrient('sugarG', 10.6, 'ml')).toBe('amber');
+    expect(rateNutrient('sugarG', 12, 'ml')).toBe('red');
+    expect(rateNutrient('sodiumMg', 601)).toBe('red');
+  });
+
+  test('only rate fat, saturated fat, sugar and sodium', () => {
+    const nutrition = normalizeNutrition({ per100g: { energyKcal: 500, fatG: 20, saturatedFatG: 1, sugarG: 30, proteinG: 8 } });
+    expect(nutritionRatings(nutrition)).toEqual({ fatG: 'red', saturatedFatG: 'green', sugarG: 'red' });
+  });
+});
+
+describe('health risk with nutrition facts', () => {
+  test('scores amber and red nutrients instead of the sugar and salt in the ingredients', () => {
+    const withoutFacts = assessHealthRisk(normalizeProduct(COLA));
+    expect(withoutFacts.items.map(item => item.id)).toEqual(['added-sugar', 'sodium']);
+
+    const product = normalizeProduct({
+      ...COLA,
+      nutrition: { unit: 'ml', per100g: { sugarG: 12, fatG: 0, saturatedFatG: 0, sodiumMg: 150 } },
+    });
+    const { items, score } = assessHealthRisk(product);
+
+    expect(items.map(item => [item.id, item.severity])).toEqual([['nutrition:sugarG', 'moderate'], ['nutrition:sodiumMg', 'low']]);
+    expect(items[0]).toMatchObject({
+      nameKey: 'nutrition.sugarG',
+      reasonKey: 'health.nutrientReason.red',
+      reasonParams: { value: 12, limit: 11.25, unit: 'g', per: 'ml' },
+    });
+    expect(score).toBe(19);
+  });
+
+  test('describeRiskItem translates nutrient items and passes knowledge base text through', () => {
+    const product = normalizeProduct({ ...COLA, nutrition: { per100g: { fatG: 5.5 } } });
+    const { items } = assessHealthRisk(product);
+    const fat = items.find(item => item.id === 'nutrition:fatG');
+    const sodium = items.find(item => item.id === 'sodium');
+
+    expect(describeRiskItem(fat, createI18n('en-US'))).toEqual({
+      name: 'Fat',
+      reason: 'Medium: 5.5 g per 100 g, over the 3 g front-of-pack limit for "low".',
+    });
+    expect(describeRiskItem(fat, createI18n('es-US'))).toEqual({
+      name: 'Grasa',
+      reason: 'Medio: 5.5 g por 100 g, por encima del límite frontal de 3 g para "bajo".',
+    });
+    expect(describeRiskItem(sodium, createI18n('es-US'))).toEqual({ name: sodium.name, reason: sodium.reason });
+  });
+
+  test('green nutrients add nothing', () => {
+    const product = normalizeProduct({ ...COLA, nutrition: { per100g: { sugarG: 1, sodiumMg: 50 } } });
+    expect(assessHealthRisk(product).items).toEqual([]);
+  });
+
+  test('the low-sodium diet uses the sodium from the nutrition facts', () => {
+    const product = normalizeProduct({ ...COLA, nutrition: { per100g: { sodiumMg: 700 } } });
+    expect(checkDietaryCompatibility(product, { diets: ['lowSodium'] }).reasons)
+      .toEqual([{ level: 'avoid', code: 'highSodium', params: { sodium: 700 } }]);
+  });
+});
@@ -0,0 +1,222 @@
+import { INGREDIENT_KNOWLEDGE_BASE } from './ingredientKnowledgeBase';
+import { NUTRIENT_UNITS, TRAFFIC_LIGHT_THRESHOLDS, nutritionRatings } from './nutrition';
+
+// Points each matched ingredient contributes, by severity
+export const SEVERITY_WEIGHTS = { low: 5, moderate: 15, high: 30 };
+
+// Regulatory flags in the shopper's own region scale the weight up
+export const REGULATORY_MULTIPLIERS = { warning: 1.25, restricted: 1.5, banned: 2 };
+
+// Items the model flagged as harmful that aren't in the knowledge base
+export const UNVERIFIED_WEIGHT = 5;
+
+export const REGIONS = ['US', 'EU', 'IN'];
+
+// Severity of a nutrition facts traffic light; green adds nothing
+export const TRAFFIC_LIGHT_SEVERITY = { amber: 'low', red: 'moderate' };
+
+// Rated nutrients, and the knowledge base entries a measured amount replaces: "sugar" in the
+// ingredient list says nothing about how much there is
+const NUTRIENT_REPLACES = {
+  sugarG: ['added-sugar', 'hfcs'],
+  fatG: [],
+  saturatedFatG: [],
+  sodiumMg: ['sodium'],
+};
+
+// Risk items for the amber and red nutrients in the product's nutrition facts. Their name and
+// reason are message keys (nameKey, reasonKey with reasonParams) for describeRiskItem.
+function nutritionItems(nutrition) {
+  return Object.entries(nutritionRatings(nutrition))
+    .filter(([, rating]) => TRAFFIC_LIGHT_SEVERITY[rating])
+    .map(([key, rating]) => {
+      const [low, high] = TRAFFIC_LIGHT_THRESHOLDS[nutrition.unit][key];
+      const severity = TRAFFIC_LIGHT_SEVERITY[rating];
+      return {
+        id: `nutrition:${key}`,
+        nameKey: `nutrition.${key}`,
+        category: 'nutrient',
+        severity,
+        weight: SEVERITY_WEIGHTS[severity],
+        reasonKey: `health.nutrientReason.${rating}`,
+        reasonParams: {
+          value: nutrition.per100g[key],
+          limit: rating === 'red' ? high : low,
+          unit: NUTRIENT_UNITS[key],
+          per: nutrition.unit,
+        },
+        regulatory: [],
+        regionalFlags: [],
+        matchedText: [],
+        flaggedByModel: false,
+        verified: true
+      };
+    });
+}
+
+// The name and reason of a risk item in the UI language. Knowledge base entries carry English
+// text and unverified items the model's own words; the rest are message keys, with raw
+// amounts in reasonParams for nutrient items.
+export function describeRiskItem(item, { t, formatNumber }) {
+  const name = item.nameKey ? t(item.nameKey) : item.name;
+  if (!item.reasonKey) return { name, reason: item.reason };
+  if (!item.reasonParams) return { name, reason: t(item.reasonKey) };
+
+  const { value, limit, unit, per } = item.reasonParams;
+  return {
+    name,
+    reason: t(item.reasonKey, {
+      amount: t('nutrition.amount', { value: formatNumber(value), unit }),
+      limit: t('nutrition.amount', { value: formatNumber(limit), unit }),
+      per,
+    }),
+  };
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One matcher per alias and E-number; aliases must appear as whole words
+const MATCHERS = INGREDIENT_KNOWLEDGE_BASE.flatMap(entry => [
+  ...entry.aliases.map(alias => ({
+    entry,
+    pattern: new RegExp(`(^|[^a-z0-9])(${escapeRegExp(alias)})(?=[^a-z0-9]|$)`, 'g')
+  })),
+  ...entry.eNumbers.map(code => ({
+    entry,
+    pattern: new RegExp(`(^|[^a-z0-9])((?:e|ins)[\\s-]?${escapeRegExp(code)})(?=[^a-z0-9]|$)`, 'g')
+  }))
+]);
+
+// "sugar-free", "no added sugar", "without palm oil" name an ingredient that isn't there
+const NEGATED_BEFORE = /(?:\bno(?: added)?|\bwithout|\bfree from)\s+$/;
+const NEGATED_AFTER = /^[\s-]*free\b/;
+
+// Find knowledge base entries mentioned in one ingredient string. Overlapping matches
+// keep the longest one, so "sodium benzoate" isn't also counted as "sodium".
+export function matchIngredient(text) {
+  const lower = text.toLowerCase();
+  const spans = [];
+
+  MATCHERS.forEach(({ entry, pattern }) => {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(lower)) !== null) {
+      const start = match.index + match[1].length;
+      const end = start + match[2].length;
+      if (!NEGATED_BEFORE.test(lower.slice(0, start)) && !NEGATED_AFTER.test(lower.slice(end))) {
+        spans.push({ entry, start, end });
+      }
+    }
+  });
+
+  spans.sort((a, b) => (b.end - b.start) - (a.end - a.start));
+  const accepted = [];
+  spans.forEach(span => {
+    const overlaps = accepted.some(other => span.start < other.end && other.start < span.end);
+    if (!overlaps) accepted.push(span);
+  });
+
+  return [...new Set(accepted.map(span => span.entry))];
+}
+
+// Shoppers paying in EUR are assumed to be in the EU; otherwise use the locale's region.
+export function resolveRegion({ language = 'en-US', currency } = {}) {
+  if (currency === 'EUR') return 'EU';
+  const region = language.split('-')[1];
+  return REGIONS.includes(region) ? region : 'US';
+}
+
+function regionalMultiplier(flags) {
+  return flags.reduce((multiplier, flag) => Math.max(multiplier, REGULATORY_MULTIPLIERS[flag.status] || 1), 1);
+}
+
+// Score a product's ingredients and harmful content against the knowledge base.
+//
+// Every matched entry contributes SEVERITY_WEIGHTS[severity] points, scaled by
+// REGULATORY_MULTIPLIERS when it is flagged in `region`. Model-flagged items with no
+// knowledge base match contribute UNVERIFIED_WEIGHT. Weights are combined as
+// independent risks, score = 100 * (1 - Π(1 - w/100)), so several mild items never
+// add up to 100%. With nutrition facts, amber and red nutrients (see nutrition.js) add
+// TRAFFIC_LIGHT_SEVERITY points and replace the sugar and salt matches from the ingredients.
+// `nutrition: false` ignores the nutrition facts, for ranking a product against others that
+// have none (see haveNutrition): the two scores aren't on the same scale.
+//
+// Returns { score, region, items } where items is the per-ingredient breakdown, highest weight
+// first. Show an item's name and reason with describeRiskItem.
+export function assessHealthRisk(product, { region = 'US', nutrition = true } = {}) {
+  const matched = new Map();
+  const unverified = [];
+
+  const scan = (texts, flaggedByModel) => {
+    (texts || []).forEach(text => {
+      const entries = matchIngredient(text);
+      if (entries.length === 0 && flaggedByModel) {
+        unverified.push(text);
+      }
+      entries.forEach(entry => {
+        const item = matched.get(entry.id) || { entry, matchedText: [], flaggedByModel: false };
+        if (!item.matchedText.includes(text)) item.matchedText.push(text);
+        item.flaggedByModel = item.flaggedByModel || flaggedByModel;
+        matched.set(entry.id, item);
+      });
+    });
+  };
+  scan(product.ingredients, false);
+  scan(product.harmfulContent, true);
+
+  const facts = nutrition ? product.nutrition : null;
+  const nutrientItems = nutritionItems(facts);
+  const replaced = Object.keys(nutritionRatings(facts)).flatMap(key => NUTRIENT_REPLACES[key]);
+  replaced.forEach(id => matched.delete(id));
+
+  const items = [...matched.values()].map(({ entry, matchedText, flaggedByModel }) => {
+    const regionalFlags = entry.regulatory.filter(flag => flag.region === region);
+    return {
+      id: entry.id,
+      name: entry.name,
+      category: entry.category,
+      severity: entry.severity,
+      weight: SEVERITY_WEIGHTS[entry.severity] * regionalMultiplier(regionalFlags),
+      reason: entry.reason,
+      regulatory: entry.regulatory,
+      regionalFlags,
+      matchedText,
+      flaggedByModel,
+      verified: true
+    };
+  });
+
+  items.push(...nutrientItems);
+
+  [...new Set(unverified)].forEach(text => {
+    items.push({
+      id: `unverified:${text.toLowerCase()}`,
+      name: text,
+      category: 'unverified',
+      severity: 'low',
+      weight: UNVERIFIED_WEIGHT,
+      reasonKey: 'health.unverifiedReason',
+      regulatory: [],
+      regionalFlags: [],
+      matchedText: [text],
+      flaggedByModel: true,
+      verified: false
+    });
+  });
+
+  items.sort((a, b) => b.weight - a.weight);
+  const safeFraction = items.reduce((remaining, item) => remaining * (1 - Math.min(item.weight, 100) / 100), 1);
+
+  return {
+    score: Math.round(100 * (1 - safeFraction)),
+    region,
+    items
+  };
+}
+
+// Whether scores of these products can all use their nutrition facts
+export const haveNutrition = (products) => products.every(product => Boolean(product.nutrition));
+
+export function calculateHealthRisk(product, options) {
+  return assessHealthRisk(product, options).score;
+}
@@ -0,0 +1,39 @@
+import { assessHealthRisk, describeRiskItem } from './riskEngine';
+import { INGREDIENT_KNOWLEDGE_BASE } from './ingredientKnowledgeBase';
+import { createI18n, LOCALES } from '../i18n';
+
+const PRODUCT = {
+  productName: 'Fizzy Cola',
+  ingredients: ['Carbonated water', 'Sunset Yellow (E110)'],
+  harmfulContent: ['Mystery syrup'],
+};
+
+describe('assessHealthRisk', () => {
+  test('flags knowledge base matches in the region and unverified model flags', () => {
+    const { items } = assessHealthRisk(PRODUCT, { region: 'EU' });
+
+    expect(items.map(item => item.id)).toEqual(['sunset-yellow', 'unverified:mystery syrup']);
+    expect(items[0].regionalFlags).toEqual([{ region: 'EU', status: 'warning', note: 'hyperactivityLabel' }]);
+  });
+});
+
+describe('translated explanations', () => {
+  test('every regulatory note has a message in every catalog', () => {
+    const notes = [...new Set(INGREDIENT_KNOWLEDGE_BASE.flatMap(entry => entry.regulatory.map(flag => flag.note)))];
+
+    Object.values(LOCALES).forEach(({ messages }) => {
+      expect(notes.filter(note => !messages[`health.note.${note}`])).toEqual([]);
+    });
+  });
+
+  test('unverified items explain themselves in the UI language', () => {
+    const unverified = assessHealthRisk(PRODUCT).items.find(item => item.category === 'unverified');
+
+    expect(describeRiskItem(unverified, createI18n('en-US'))).toEqual({
+      name: 'Mystery syrup',
+      reason: 'Flagged as potentially harmful by the model; not found in the local knowledge base.',
+    });
+    expect(describeRiskItem(unverified, createI18n('es-US')).reason)
+      .toBe('El modelo lo marcó como potencialmente dañino; no figura en la base de conocimientos local.');
+  });
+});
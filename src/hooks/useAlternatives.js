@@ -0,0 +1,40 @@
+import { useEffect, useRef, useState } from 'react';
+import { fetchAlternatives } from '../llm/alternatives';
+
+const IDLE = { status: 'idle', alternatives: [], error: null };
+
+// Healthier alternatives to `product`, fetched on demand with load(). `status` is
+// 'idle' | 'loading' | 'done' | 'error'; `error` is the failure itself, for the caller to word.
+// Another product, language or region drops the suggestions (and any request in flight).
+export function useAlternatives({ product, language, region }) {
+  const [state, setState] = useState(IDLE);
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    setState(IDLE);
+    return () => {
+      if (controllerRef.current) controllerRef.current.abort();
+      controllerRef.current = null;
+    };
+  }, [product, language, region]);
+
+  const load = async () => {
+    if (controllerRef.current) controllerRef.current.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setState({ ...IDLE, status: 'loading' });
+
+    try {
+      const alternatives = await fetchAlternatives({ product, language, region }, { signal: controller.signal });
+      if (controllerRef.current === controller) setState({ status: 'done', alternatives, error: null });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Error fetching alternatives:', error);
+      if (controllerRef.current === controller) setState({ status: 'error', alternatives: [], error });
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+    }
+  };
+
+  return { ...state, load };
+}
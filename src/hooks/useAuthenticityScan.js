@@ -0,0 +1,45 @@
+import { useState } from 'react';
+import { fetchAuthenticityScan } from '../llm/authenticity';
+import { NetworkError } from '../llm/http';
+import { toInlineImages } from '../utils/image';
+
+// Authenticity scans run through `request` (see useRequest). Offline, or when the connection
+// drops, the scan is queued instead (onQueue, see useOfflineQueue).
+//   scan(images, language) - images as returned by compressImageFile
+//   show(result), clear()
+export function useAuthenticityScan({ request, online, t, onError, onQueue }) {
+  const [result, setResult] = useState(null);
+
+  const scan = async (images, language) => {
+    const scanRequest = { images: toInlineImages(images), language };
+    const queueScan = () => onQueue('scan', {
+      query: { type: 'image', label: t('history.imageQuery', { count: images.length }) },
+      request: scanRequest,
+      language
+    }, images[0].dataUrl);
+
+    if (!online) {
+      queueScan();
+      return;
+    }
+
+    setResult(null);
+    const requestOptions = request.start('scan');
+
+    try {
+      setResult(await fetchAuthenticityScan(scanRequest, requestOptions));
+    } catch (error) {
+      if (error.name === 'AbortError') return; // Cancelled by the user
+      if (error instanceof NetworkError) {
+        queueScan();
+        return;
+      }
+      console.error('Error checking product authenticity:', error);
+      onError(t('error.scan', { message: error.message }));
+    } finally {
+      request.finish(requestOptions);
+    }
+  };
+
+  return { result, scan, show: setResult, clear: () => setResult(null) };
+}
@@ -0,0 +1,52 @@
+import { useEffect, useRef, useState } from 'react';
+import { fetchProductDetails } from '../llm/product';
+import { runBatch } from '../batch';
+
+const UNFINISHED = ['pending', 'running', 'retrying'];
+
+// A batch of lookups (see batch/index.js), separate from the single lookup in useProductLookup.
+//   start(items, language) - items from parseBatchInput; replaces any earlier batch
+//   cancel(), clear()
+// Each row is { id, query, request, status, product, error, retryUntil }; rows a cancelled
+// batch never finished end up 'cancelled'.
+export function useBatchLookup() {
+  const [rows, setRows] = useState([]);
+  const [running, setRunning] = useState(false);
+  const controllerRef = useRef(null);
+
+  const cancel = () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  };
+
+  useEffect(() => cancel, []);
+
+  const start = async (items, language) => {
+    cancel();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const isCurrent = () => controllerRef.current === controller;
+
+    setRows(items.map((item, index) => ({ id: index, ...item, status: 'pending', product: null, error: null, retryUntil: null })));
+    setRunning(true);
+
+    await runBatch(items, {
+      signal: controller.signal,
+      lookup: (request, options) => fetchProductDetails({ ...request, language }, options),
+      onUpdate: (index, changes) => {
+        if (isCurrent()) setRows(previous => previous.map(row => (row.id === index ? { ...row, ...changes } : row)));
+      }
+    });
+
+    if (!isCurrent()) return;
+    controllerRef.current = null;
+    setRows(previous => previous.map(row => (UNFINISHED.includes(row.status) ? { ...row, status: 'cancelled' } : row)));
+    setRunning(false);
+  };
+
+  const clear = () => {
+    cancel();
+    setRows([]);
+  };
+
+  return { rows, running, start, cancel, clear };
+}
@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useState } from 'react';
+import { runQueuedRequests } from '../offline/runQueue';
+import { addQueuedRequest, deleteQueuedRequest, listQueuedRequests, updateQueuedRequest } from '../storage/offlineQueueStore';
+import { createThumbnail } from '../utils/image';
+
+// Lookups and scans made while offline (see offline/runQueue.js). Pending requests run on
+// load and whenever the connection comes back; finished lookups are added to the history.
+//   enqueue(kind, entry, imageDataUrl) - kind: 'lookup' | 'scan'
+//   retry(entry), remove(entry)
+// onHistoryChange should keep its identity across renders: the queue runs again when it changes.
+export function useOfflineQueue({ online, t, onMessage, onHistoryChange }) {
+  const [entries, setEntries] = useState([]);
+  const [running, setRunning] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await listQueuedRequests());
+    } catch (error) {
+      console.warn('Could not load offline requests:', error);
+    }
+  }, []);
+
+  const runQueue = useCallback(async () => {
+    setRunning(true);
+    try {
+      const finished = await runQueuedRequests({ onChange: refresh });
+      if (finished.some(entry => entry.kind === 'lookup' && entry.status === 'done')) onHistoryChange();
+    } catch (error) {
+      console.warn('Could not run offline requests:', error);
+    } finally {
+      setRunning(false);
+      await refresh();
+    }
+  }, [refresh, onHistoryChange]);
+
+  useEffect(() => {
+    if (online) {
+      runQueue();
+    } else {
+      refresh();
+    }
+  }, [online, runQueue, refresh]);
+
+  // Save a lookup or scan that can't run now; it runs by itself once the connection is back
+  const enqueue = async (kind, entry, imageDataUrl) => {
+    try {
+      const thumbnail = imageDataUrl ? await createThumbnail(imageDataUrl) : null;
+      await addQueuedRequest({ ...entry, kind, thumbnail });
+      await refresh();
+      onMessage(t(kind === 'scan' ? 'offline.scanQueued' : 'offline.lookupQueued'));
+    } catch (error) {
+      onMessage(t('error.queueRequest', { message: error.message }));
+    }
+  };
+
+  const retry = async (entry) => {
+    try {
+      await updateQueuedRequest(entry.id, { status: 'pending', error: null });
+      await refresh();
+      if (online) runQueue();
+    } catch (error) {
+      onMessage(t('error.queueRequest', { message: error.message }));
+    }
+  };
+
+  const remove = async (entry) => {
+    try {
+      await deleteQueuedRequest(entry.id);
+      await refresh();
+    } catch (error) {
+      onMessage(t('error.queueRequest', { message: error.message }));
+    }
+  };
+
+  return { entries, running, enqueue, retry, remove };
+}
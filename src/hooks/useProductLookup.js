@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { fetchProductDetails } from '../llm/product';
+import { NetworkError } from '../llm/http';
+import { addHistoryEntry, findCachedLookup, updateHistoryEntry } from '../storage/historyStore';
+import { createThumbnail } from '../utils/image';
+
+// Product lookups run through `request` (see useRequest). While a lookup streams in,
+// `partialProduct` previews the fields received so far; successful lookups are saved to the
+// history. Offline, a saved result for the same query is shown instead, or the lookup is queued.
+//   lookup(searchType, lookupRequest, queryLabel, imageDataUrl) - searchType: 'text' | 'image' | 'barcode'
+//   rerun(historyEntry), show(product, savedAt), clear()
+// `savedResultDate` is set while a saved result stands in for a lookup that couldn't run.
+export function useProductLookup({ request, online, t, onError, onHistoryChange, onQueue }) {
+  const [product, setProduct] = useState(null);
+  const [partialProduct, setPartialProduct] = useState(null);
+  const [savedResultDate, setSavedResultDate] = useState(null);
+
+  const show = (value, savedAt = null) => {
+    // Prices come back normalized to numbers (in USD) and sorted by year
+    setProduct(value);
+    setPartialProduct(null);
+    setSavedResultDate(savedAt);
+  };
+
+  const clear = () => show(null);
+
+  // History is a convenience: a storage failure must never fail the lookup itself
+  const saveToHistory = async (entry, imageDataUrl) => {
+    try {
+      const thumbnail = imageDataUrl ? await createThumbnail(imageDataUrl) : null;
+      await addHistoryEntry({ ...entry, thumbnail });
+      onHistoryChange();
+    } catch (error) {
+      console.warn('Could not save lookup to history:', error);
+    }
+  };
+
+  const lookupOffline = async (searchType, lookupRequest, queryLabel, imageDataUrl) => {
+    let cached = null;
+    try {
+      cached = await findCachedLookup(lookupRequest);
+    } catch (error) {
+      console.warn('Could not search saved lookups:', error);
+    }
+    if (cached) {
+      show(cached.product, cached.timestamp);
+      return;
+    }
+    onQueue('lookup', {
+      query: { type: searchType, label: queryLabel },
+      request: lookupRequest,
+      language: lookupRequest.language
+    }, imageDataUrl);
+  };
+
+  // Fetch and show a product; onSuccess(product) persists it, onOffline() handles a lost connection
+  const run = async (lookupRequest, onSuccess, onOffline) => {
+    clear();
+    const requestOptions = request.start('lookup');
+
+    try {
+      const result = await fetchProductDetails(lookupRequest, {
+        ...requestOptions,
+        onPartial: (preview) => {
+          request.clearRetry();
+          setPartialProduct(preview);
+        }
+      });
+      show(result);
+      onSuccess(result);
+    } catch (error) {
+      if (error.name === 'AbortError') return; // Cancelled by the user
+      if (error instanceof NetworkError) {
+        onOffline();
+        return;
+      }
+      console.error('Error fetching product details:', error);
+      onError(t('error.fetchProduct', { message: error.message }));
+    } finally {
+      if (request.finish(requestOptions)) setPartialProduct(null);
+    }
+  };
+
+  const lookup = (searchType, lookupRequest, queryLabel, imageDataUrl = null) => {
+    const offline = () => lookupOffline(searchType, lookupRequest, queryLabel, imageDataUrl);
+    if (!online) return offline();
+
+    return run(lookupRequest, (result) => saveToHistory({
+      query: { type: searchType, label: queryLabel },
+      request: lookupRequest,
+      language: lookupRequest.language,
+      product: result
+    }, imageDataUrl), offline);
+  };
+
+  // Offline the saved result is as fresh as it gets
+  const rerun = (entry) => {
+    const showSaved = () => show(entry.product, entry.timestamp);
+    if (!online) return showSaved();
+
+    return run(entry.request, async (result) => {
+      try {
+        await updateHistoryEntry(entry.id, { product: result, timestamp: Date.now() });
+        onHistoryChange();
+      } catch (error) {
+        console.warn('Could not update history entry:', error);
+      }
+    }, showSaved);
+  };
+
+  return {
+    product,
+    partialProduct,
+    displayedProduct: product || partialProduct,
+    savedResultDate,
+    lookup,
+    rerun,
+    show,
+    clear,
+  };
+}
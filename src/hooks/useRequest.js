@@ -0,0 +1,43 @@
+import { useRef, useState } from 'react';
+
+// The lookup or scan in flight. Only one runs at a time: starting another aborts it.
+//   start(kind) -> { signal, onRetry } to pass to fetchProductDetails / fetchAuthenticityScan
+//   finish(options) -> true if that request was still the current one (and is now done)
+// `kind` ('lookup' | 'scan') tells the UI which button is busy; `retryStatus`
+// ({ attempt, maxAttempts, status, until }) drives the retry countdown.
+export function useRequest() {
+  const [activeKind, setActiveKind] = useState(null);
+  const [retryStatus, setRetryStatus] = useState(null);
+  const controllerRef = useRef(null);
+
+  const start = (kind) => {
+    if (controllerRef.current) controllerRef.current.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setActiveKind(kind);
+    setRetryStatus(null);
+    return {
+      signal: controller.signal,
+      onRetry: ({ attempt, maxAttempts, delayMs, status }) => {
+        setRetryStatus({ attempt, maxAttempts, status, until: Date.now() + delayMs });
+      },
+    };
+  };
+
+  const finish = ({ signal }) => {
+    if (!controllerRef.current || controllerRef.current.signal !== signal) return false;
+    controllerRef.current = null;
+    setActiveKind(null);
+    setRetryStatus(null);
+    return true;
+  };
+
+  const cancel = () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  };
+
+  // Data arrived, so any retry wait is over
+  const clearRetry = () => setRetryStatus(null);
+
+  return { loading: activeKind !== null, activeKind, retryStatus, start, finish, cancel, clearRetry };
+}
@@ -0,0 +1,41 @@
+import { useCallback, useEffect, useState } from 'react';
+import { deleteHistoryEntry, listHistoryEntries, updateHistoryEntry } from '../storage/historyStore';
+
+// Saved lookups (see storage/historyStore.js), loaded on mount. Lookups are saved by
+// useProductLookup, which calls refresh() afterwards. refresh keeps its identity across renders,
+// so hooks can list it as an effect dependency (see useOfflineQueue).
+export function useSearchHistory({ t, onError }) {
+  const [entries, setEntries] = useState([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await listHistoryEntries());
+    } catch (error) {
+      console.warn('Could not load search history:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const togglePin = async (entry) => {
+    try {
+      await updateHistoryEntry(entry.id, { pinned: !entry.pinned });
+      await refresh();
+    } catch (error) {
+      onError(t('error.updateHistory', { message: error.message }));
+    }
+  };
+
+  const remove = async (entry) => {
+    try {
+      await deleteHistoryEntry(entry.id);
+      await refresh();
+    } catch (error) {
+      onError(t('error.deleteHistory', { message: error.message }));
+    }
+  };
+
+  return { entries, refresh, togglePin, remove };
+}
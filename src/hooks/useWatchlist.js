@@ -0,0 +1,130 @@
+import { useEffect, useState } from 'react';
+import { fetchProductDetails } from '../llm/product';
+import { NetworkError } from '../llm/http';
+import { addWatchItem, deleteWatchItem, listWatchItems, updateWatchItem } from '../storage/watchlistStore';
+import { checkTarget, latestSnapshot, requestNotificationPermission, showBrowserNotification, snapshotChanges } from '../watchlist';
+import { productKey } from '../utils/compareProducts';
+
+// The price watchlist (see storage/watchlistStore.js), loaded on mount.
+//   watch(product, targetPrice, currency, language) - adds the product, or changes its target
+//   unwatch(item), refresh(item), refreshAll(), itemFor(product)
+// Refreshing looks a product up again and records a price snapshot. When the price drops to
+// the target, the user gets a browser notification if they allowed them, else onMessage.
+// convert(priceInUsd, currency) and formatAmount(amount, currency) come from the app's rates.
+export function useWatchlist({ t, convert, formatAmount, onMessage }) {
+  const [items, setItems] = useState([]);
+  const [refreshingIds, setRefreshingIds] = useState([]);
+
+  const refreshList = async () => {
+    try {
+      setItems(await listWatchItems());
+    } catch (error) {
+      console.warn('Could not load the watchlist:', error);
+    }
+  };
+
+  useEffect(() => {
+    refreshList();
+  }, []);
+
+  const itemFor = (product) => items.find(item => item.productKey === productKey(product)) || null;
+
+  // Where the latest snapshot stands against the target, in the target's currency
+  const targetChanges = (item) => {
+    const snapshot = latestSnapshot(item);
+    return snapshot ? checkTarget(item, convert(snapshot.price, item.currency)) : { belowTarget: false, crossed: false };
+  };
+
+  const alertPriceDrop = (item) => {
+    const params = {
+      name: item.productName,
+      price: formatAmount(convert(latestSnapshot(item).price, item.currency), item.currency),
+      target: formatAmount(item.targetPrice, item.currency),
+    };
+    if (!showBrowserNotification(t('watchlist.alertTitle', params), t('watchlist.alertBody', params))) {
+      onMessage(t('watchlist.alert', params));
+    }
+  };
+
+  // A product already on the list keeps its snapshots; setting a target never alerts by itself
+  const watch = async (product, targetPrice, currency, language) => {
+    requestNotificationPermission();
+    try {
+      const existing = itemFor(product);
+      if (existing) {
+        const item = { ...existing, targetPrice, currency };
+        await updateWatchItem(existing.id, { targetPrice, currency, belowTarget: targetChanges(item).belowTarget });
+      } else {
+        const item = {
+          productKey: productKey(product),
+          productName: product.productName,
+          language,
+          targetPrice,
+          currency,
+          ...snapshotChanges({ snapshots: [] }, product),
+        };
+        await addWatchItem({ ...item, belowTarget: targetChanges(item).belowTarget });
+      }
+      await refreshList();
+    } catch (error) {
+      onMessage(t('error.watchlist', { message: error.message }));
+    }
+  };
+
+  const unwatch = async (item) => {
+    try {
+      await deleteWatchItem(item.id);
+      await refreshList();
+    } catch (error) {
+      onMessage(t('error.watchlist', { message: error.message }));
+    }
+  };
+
+  // Look the product up again (by GTIN when it has one) in the language it was watched in,
+  // skipping the server's lookup cache so each snapshot is a new answer. Lookup failures are
+  // kept on the item; a lost connection is thrown for the caller.
+  const refreshItem = async (item) => {
+    const request = item.product.gtin
+      ? { gtin: item.product.gtin, language: item.language }
+      : { productName: item.product.productName, language: item.language };
+
+    let changes;
+    try {
+      changes = snapshotChanges(item, await fetchProductDetails(request, { fresh: true }));
+    } catch (error) {
+      if (error instanceof NetworkError) throw error;
+      console.error('Error refreshing watched product:', error);
+      await updateWatchItem(item.id, { error: error.message, refreshedAt: Date.now() });
+      return;
+    }
+
+    const { belowTarget, crossed } = targetChanges({ ...item, ...changes });
+    const updated = await updateWatchItem(item.id, { ...changes, belowTarget });
+    if (crossed) alertPriceDrop(updated);
+  };
+
+  const runRefresh = async (targets) => {
+    setRefreshingIds(targets.map(item => item.id));
+    try {
+      for (const item of targets) {
+        await refreshItem(item);
+        setRefreshingIds(previous => previous.filter(id => id !== item.id));
+      }
+    } catch (error) {
+      onMessage(error instanceof NetworkError ? t('watchlist.offline') : t('error.watchlist', { message: error.message }));
+    } finally {
+      setRefreshingIds([]);
+      await refreshList();
+    }
+  };
+
+  return {
+    items,
+    refreshingIds,
+    watch,
+    unwatch,
+    refresh: (item) => runRefresh([item]),
+    refreshAll: () => runRefresh(items),
+    itemFor,
+  };
+}
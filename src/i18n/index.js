@@ -0,0 +1,77 @@
+import { createContext, useContext } from 'react';
+import enUS from './locales/en-US';
+import hiIN from './locales/hi-IN';
+import esUS from './locales/es-US';
+
+// Registered UI locales. To add a language, copy locales/en-US.js to locales/<code>.js,
+// translate the values (keys missing from a catalog fall back to English) and register
+// it here. Right-to-left scripts (Arabic, Hebrew, Urdu, ...) need dir: 'rtl'.
+export const LOCALES = {
+  'en-US': { name: 'English', dir: 'ltr', messages: enUS },
+  'hi-IN': { name: 'हिन्दी', dir: 'ltr', messages: hiIN },
+  'es-US': { name: 'Español', dir: 'ltr', messages: esUS },
+};
+
+export const DEFAULT_LOCALE = 'en-US';
+
+const STORAGE_KEY = 'pih.locale';
+
+export function loadSavedLocale() {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return LOCALES[saved] ? saved : DEFAULT_LOCALE;
+  } catch (error) {
+    return DEFAULT_LOCALE;
+  }
+}
+
+export function saveLocale(locale) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, locale);
+  } catch (error) {
+    console.warn('Could not save language preference:', error);
+  }
+}
+
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+
+// Build t(key, params) for a locale. Messages use {name} placeholders. When params.count
+// is a number, a plural variant `${key}.${category}` (one, few, other, ...) is preferred.
+// Missing keys fall back to English, then to the key itself.
+export function createTranslator(locale) {
+  const messages = (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).messages;
+  const fallback = LOCALES[DEFAULT_LOCALE].messages;
+  const pluralRules = new Intl.PluralRules(locale);
+
+  const lookup = (key) => (messages[key] !== undefined ? messages[key] : fallback[key]);
+
+  return (key, params = {}) => {
+    let message;
+    if (typeof params.count === 'number') {
+      message = lookup(`${key}.${pluralRules.select(params.count)}`) || lookup(`${key}.other`);
+    }
+    if (message === undefined) message = lookup(key);
+    if (message === undefined) return key;
+    return interpolate(message, params);
+  };
+}
+
+// Everything components need for one locale: translation, text direction and
+// locale-aware number/date formatting.
+export function createI18n(locale) {
+  const config = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  return {
+    locale,
+    dir: config.dir,
+    t: createTranslator(locale),
+    formatNumber: (value, options) => new Intl.NumberFormat(locale, options).format(value),
+    // 0-100 score -> "42%" / "42 %" / "४२%"
+    formatPercent: (value) => new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 0 }).format(value / 100),
+    formatDate: (value, options = { dateStyle: 'medium' }) => new Intl.DateTimeFormat(locale, options).format(new Date(value)),
+  };
+}
+
+export const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,379 @@
+// English UI messages. This is the reference catalog: every key used in the UI must exist here.
+const messages = {
+  'app.title': 'Product Insight Hub 🛍️',
+
+  // Settings
+  'settings.language': 'Select Language:',
+  'settings.currency': 'Select Currency:',
+  'rates.asOf': 'Rates as of {date} ({source})',
+  'rates.notAvailable': 'n/a',
+  'rates.source.http': 'live',
+  'rates.source.file': 'imported file',
+  'rates.source.fixed': 'built-in fallback',
+  'rates.import': 'Import rates (CSV/JSON)',
+  'rates.useLive': 'Use live rates',
+
+  // Search
+  'search.title': 'Search Product Details',
+  'search.description': 'Enter a product name OR **upload/take pictures** of the product (front label, ingredient panel, barcode/QR code) to get detailed information.',
+  'search.placeholder': "Enter product name (e.g., 'Coca-Cola', 'iPhone 15')",
+  'search.searching': 'Searching...',
+  'search.textButton': 'Get Details (Text)',
+  'search.or': 'OR',
+  'search.detecting': 'Detecting & Getting Details...',
+  'search.imageButton': 'Get Details (Image)',
+  'search.barcodeButton': 'Get Details (Barcode/QR)',
+  'search.chooseImages': 'Choose product photos',
+
+  // Batch lookup
+  'batch.title': 'Batch Lookup',
+  'batch.description': 'Audit a whole shelf: paste one product name or barcode per line, or load a CSV with a name/product or gtin/barcode column (up to {max} products). Products are looked up a few at a time.',
+  'batch.placeholder': 'Coca-Cola\nOreo Original\n5449000000996',
+  'batch.inputLabel': 'Product names or barcodes, one per line',
+  'batch.loadFile': 'Load CSV or text file',
+  'batch.run': 'Run Batch',
+  'batch.export': 'Export CSV',
+  'batch.clear': 'Clear',
+  'batch.progress': '{done} of {total} done',
+  'batch.column.productName': 'Product',
+  'batch.column.parentCompany': 'Parent Company',
+  'batch.column.riskScore': 'Health Risk',
+  'batch.column.harmfulCount': 'Harmful Ingredients',
+  'batch.column.latestPrice': 'Latest Price',
+  'batch.column.status': 'Status',
+  'batch.price': '{price} ({year})',
+  'batch.status.pending': 'Waiting',
+  'batch.status.running': 'Looking up...',
+  'batch.status.retrying': 'Rate limited, retrying...',
+  'batch.status.done': 'Done',
+  'batch.status.failed': 'Failed: {message}',
+  'batch.status.cancelled': 'Cancelled',
+
+  // Camera and attachments
+  'camera.open': '📷 Use Camera',
+  'camera.unsupported': 'Camera access is not supported in this browser. Please upload a photo instead.',
+  'camera.denied': 'Camera permission was denied. Please allow camera access or upload a photo instead.',
+  'camera.failed': 'Could not start the camera. Please upload a photo instead.',
+  'camera.capturedAlt': 'Captured shot',
+  'camera.usePhoto': 'Use Photo',
+  'camera.retake': 'Retake',
+  'camera.capture': 'Capture',
+  'camera.switchToFront': 'Switch to Front Camera',
+  'camera.switchToBack': 'Switch to Back Camera',
+  'camera.done': 'Done ({count} added)',
+  'camera.close': 'Close Camera',
+  'attachments.title': 'Attached Images ({count}):',
+  'attachments.alt': 'Attachment {index}',
+  'attachments.remove': 'Remove image {index}',
+
+  // Authenticity scan
+  'scan.title': 'Check Product Authenticity',
+  'scan.description': '**Upload/take pictures** of the product and its packaging to check its authenticity.',
+  'scan.scanning': 'Scanning...',
+  'scan.button': 'Scan Product',
+  'scan.chooseImages': 'Choose photos to check',
+  'scan.resultTitle': 'Authenticity Check Result:',
+  'scan.verdict.original': 'Original',
+  'scan.verdict.fake': 'Likely Fake',
+  'scan.verdict.inconclusive': 'Inconclusive',
+  'scan.confidence': 'Confidence: {value}',
+  'scan.identifiedAs': ' · Identified as {name}',
+  'scan.assessment.consistent': 'consistent',
+  'scan.assessment.suspicious': 'suspicious',
+  'scan.assessment.unclear': 'unclear',
+  'scan.signal.logo_typography': 'Logo & typography',
+  'scan.signal.print_quality': 'Print quality',
+  'scan.signal.barcode_batch': 'Barcode / batch format',
+  'scan.signal.packaging_seal': 'Packaging seals',
+  'scan.signal.other': 'Other',
+  'scan.disclaimer': '(Based on a visual inspection by an AI model. Confirm with the manufacturer or seller when in doubt.)',
+
+  // History
+  'history.title': 'Search History ({count})',
+  'history.empty': 'No saved lookups yet. Successful searches are saved here automatically.',
+  'history.pinned': 'Pinned',
+  'history.imageQuery.one': '{count} image',
+  'history.imageQuery.other': '{count} images',
+  'history.gtinQuery': 'GTIN {gtin}',
+  'history.open': 'Open',
+  'history.rerun': 'Re-run',
+  'history.compare': 'Compare',
+  'history.pin': 'Pin',
+  'history.unpin': 'Unpin',
+  'history.delete': 'Delete',
+
+  // Comparison
+  'compare.title': 'Compare Products ({count}/{max})',
+  'compare.clear': 'Clear',
+  'compare.remove': 'Remove {name} from comparison',
+  'compare.needMore': 'Add at least one more product to compare.',
+  'compare.parentCompany': 'Parent Company',
+  'compare.healthRisk': 'Health Risk',
+  'compare.sharedByAll': 'Shared by all:',
+  'compare.none': 'None',
+  'compare.noneListed': 'None listed.',
+  'compare.highlightNote': 'Highlighted items appear in only one of the compared products.',
+  'compare.add': '+ Add to Comparison',
+  'compare.added': '✓ In Comparison',
+
+  // Better alternatives
+  'alternatives.title': 'Better Alternatives',
+  'alternatives.description': 'Comparable products in the same category with a lower health risk score.',
+  'alternatives.find': 'Find Alternatives',
+  'alternatives.refresh': 'Suggest Again',
+  'alternatives.loading': 'Looking for healthier alternatives...',
+  'alternatives.none': 'No comparable products with a lower risk score were found.',
+  'alternatives.offline': 'Alternatives can be suggested once you are back online.',
+  'alternatives.error': 'Could not suggest alternatives. Error: {message}',
+  'alternatives.risk': 'Health risk {score}',
+  'alternatives.price': 'typically {price}',
+  'alternatives.lookup': 'Look Up',
+  'alternatives.lookupLabel': 'Look up {name}',
+
+  // Price watchlist
+  'watchlist.title': 'Price Watchlist ({count})',
+  'watchlist.target': 'Target price ({currency})',
+  'watchlist.watch': 'Watch Price',
+  'watchlist.updateTarget': 'Update Target',
+  'watchlist.watching': 'Watching · target {target}',
+  'watchlist.unwatch': 'Stop watching',
+  'watchlist.refreshAll': 'Refresh Prices',
+  'watchlist.refresh': 'Refresh',
+  'watchlist.refreshLabel': 'Refresh the price of {name}',
+  'watchlist.refreshing': 'Refreshing...',
+  'watchlist.refreshedAt': 'Last checked {date}',
+  'watchlist.refreshFailed': 'Last refresh failed: {message}',
+  'watchlist.noCurrentPrice': 'No price for {year} in the last result, so no snapshot was recorded.',
+  'watchlist.summary.one': 'Now {price} · target {target} · {count} snapshot',
+  'watchlist.summary.other': 'Now {price} · target {target} · {count} snapshots',
+  'watchlist.belowTarget': 'At or below target',
+  'watchlist.open': 'Open',
+  'watchlist.remove': 'Remove',
+  'watchlist.offline': 'You are offline. Prices can be refreshed once the connection is back.',
+  'watchlist.alertTitle': 'Price drop: {name}',
+  'watchlist.alertBody': 'Now {price}, at or below your target of {target}.',
+  'watchlist.alert': 'Price drop: {name} is now {price}, at or below your target of {target}.',
+  'watchlist.modelSeries': 'Model-reported',
+  'watchlist.observedSeries': 'Observed',
+
+  // Product details
+  'common.loading': 'Loading information...',
+  'common.notAvailable': 'Not available.',
+  'details.title': '{name} Details',
+  'details.gtin': 'GTIN:',
+  'details.parentCompany': 'Parent Company',
+  'details.priceHistory': 'Price Over The Years',
+  'details.noPriceHistory': 'No price history available.',
+  'details.price': 'Price',
+  'details.ingredients': 'Ingredients',
+  'details.content': 'Product Content',
+  'details.goodContent': 'Good Content/Ingredients',
+  'details.harmfulContent': 'Potentially Harmful Content/Ingredients',
+  'details.customerInfo': 'Important Customer Information',
+  'details.nutrition': 'Nutrition Facts',
+  'partial.title': 'Partial data',
+  'partial.body': "The model's response was incomplete. Missing or invalid: {fields}.",
+  'field.productName': 'Product Name',
+  'field.parentCompany': 'Parent Company',
+  'field.priceHistory': 'Price History',
+  'field.ingredients': 'Ingredients',
+  'field.content': 'Product Content',
+  'field.goodContent': 'Good Content',
+  'field.harmfulContent': 'Harmful Content',
+  'field.customerInfo': 'Customer Information',
+  'provenance.lowConfidence': 'Low confidence',
+  'provenance.confidenceUnknown': 'Confidence not stated',
+  'provenance.unsourced': 'No sources',
+  'provenance.sources': 'Sources:',
+  'provenance.noticeTitle': 'Unverified information',
+  'provenance.noticeBody': 'The model is unsure of, or cites no sources for: {fields}. Check these before making a purchase decision.',
+  'provenance.allPricesEstimated': 'All prices are estimates by the model, not sourced prices.',
+  'provenance.pricesSourced.one': '{count} of {total} prices is sourced; the rest are estimates by the model.',
+  'provenance.pricesSourced.other': '{count} of {total} prices are sourced; the rest are estimates by the model.',
+  'provenance.estimatedYear': '{year} (estimated)',
+  'provenance.sourcedYear': '{year} (sourced)',
+
+  // Nutrition facts
+  'nutrition.basis.label': 'Read from the nutrition label in your photo.',
+  'nutrition.basis.typical': 'Typical values reported by the model; check the label on the pack.',
+  'nutrition.nutrient': 'Nutrient',
+  'nutrition.per100.g': 'Per 100 g',
+  'nutrition.per100.ml': 'Per 100 ml',
+  'nutrition.perServing': 'Per serving',
+  'nutrition.perServingSize': 'Per serving ({size})',
+  'nutrition.rating': 'Rating',
+  'nutrition.amount': '{value} {unit}',
+  'nutrition.energyKcal': 'Energy',
+  'nutrition.sugarG': 'Sugar',
+  'nutrition.fatG': 'Fat',
+  'nutrition.saturatedFatG': 'Saturated fat',
+  'nutrition.sodiumMg': 'Sodium',
+  'nutrition.proteinG': 'Protein',
+  'nutrition.fiberG': 'Fiber',
+  'nutrition.light.green': 'Low',
+  'nutrition.light.amber': 'Medium',
+  'nutrition.light.red': 'High',
+  'nutrition.lightsNote': 'Traffic lights use the UK front-of-pack thresholds per 100 g (100 ml for drinks).',
+
+  // Health risk
+  'health.title': 'Health Risk Assessment',
+  'health.basis.one': '(Based on {count} matched ingredient, with {region} regulations. Not medical advice.)',
+  'health.basis.other': '(Based on {count} matched ingredients, with {region} regulations. Not medical advice.)',
+  'health.showBreakdown': 'How was this score built?',
+  'health.hideBreakdown': 'Hide how this score was built',
+  'health.method': "Each ingredient found in our knowledge base adds points by severity (low {low}, moderate {moderate}, high {high}), multiplied by {warning}× / {restricted}× / {banned}× when it carries a warning, restriction or ban in {region}. Items the model flagged that aren't in the knowledge base add {unverified}. Points are combined as independent risks, so the score only reaches 100% when the evidence is overwhelming.",
+  'health.nutritionMethod': 'With nutrition facts, a nutrient rated medium adds {low} and one rated high adds {high}, in place of the sugar and salt found in the ingredient list.',
+  'health.nutrientReason.amber': 'Medium: {amount} per 100 {per}, over the {limit} front-of-pack limit for "low".',
+  'health.nutrientReason.red': 'High: {amount} per 100 {per}, over the {limit} front-of-pack limit for "high".',
+  'health.noItems': 'No known additives, allergens or nutrients of concern were found.',
+  'health.points': '+{points} pts',
+  'health.matched': 'Matched: {items}',
+  'health.severity.low': 'low',
+  'health.severity.moderate': 'moderate',
+  'health.severity.high': 'high',
+  'health.category.additive': 'Additive',
+  'health.category.allergen': 'Allergen',
+  'health.category.nutrient': 'Nutrient',
+  'health.category.unverified': 'Unverified',
+  'health.status.warning': 'warning',
+  'health.status.restricted': 'restricted',
+  'health.status.banned': 'banned',
+  'health.unverifiedReason': 'Flagged as potentially harmful by the model; not found in the local knowledge base.',
+  'health.note.activityWarning': 'Must carry "may have an adverse effect on activity and attention in children".',
+  'health.note.hyperactivityLabel': 'Requires a hyperactivity warning label.',
+  'health.note.notPermittedUs': 'Not permitted in food in the US.',
+  'health.note.fdaRevoked2025': 'FDA revoked authorization for food use (2025), with a phase-out period.',
+  'health.note.cocktailCherries': 'Only permitted in cocktail and candied cherries.',
+  'health.note.banned2022': 'Banned as a food additive since 2022.',
+  'health.note.removed2006': 'Removed from the list of permitted food additives (2006).',
+  'health.note.declareAbove10mg': 'Must be declared above 10 mg/kg.',
+  'health.note.limitsLowered2023': 'Maximum levels lowered in 2023.',
+  'health.note.phenylalanine': 'Must state "contains a source of phenylalanine".',
+  'health.note.pkuWarning': 'PKU warning required.',
+  'health.note.notInInfantFormula': 'Not permitted in infant formula.',
+  'health.note.notPermitted': 'Not permitted in food.',
+  'health.note.bannedFssai2016': 'Banned by FSSAI (2016).',
+  'health.note.notFlourTreatment': 'Not permitted as a flour treatment agent.',
+  'health.note.fdaRevoked2024': 'FDA revoked authorization (2024).',
+  'health.note.phoNotGras': 'PHOs no longer GRAS since 2018.',
+  'health.note.transFatLimitEu': 'Limited to 2 g per 100 g of fat (2021).',
+  'health.note.transFatLimitIn': 'Limited to 2% of total fat by FSSAI (2022).',
+  'health.note.glycidylEsters': 'Maximum levels for glycidyl esters.',
+  'health.note.caffeineLabel': 'High-caffeine drinks (>150 mg/l) need a warning label.',
+
+  // Dietary profiles
+  'profile.label': 'Dietary Profile:',
+  'profile.none': 'None',
+  'profile.edit': 'Edit',
+  'profile.delete': 'Delete',
+  'profile.new': '+ New',
+  'profile.namePlaceholder': "Profile name (e.g. 'Me', 'Kids')",
+  'profile.defaultName': 'My profile',
+  'profile.allergies': 'Allergies',
+  'profile.diets': 'Diets',
+  'profile.avoid': 'Things to avoid',
+  'profile.avoidPlaceholder': 'Comma-separated, e.g. palm oil, aspartame',
+  'profile.save': 'Save Profile',
+  'profile.cancel': 'Cancel',
+  'allergy.nuts': 'Nuts',
+  'allergy.gluten': 'Gluten',
+  'allergy.lactose': 'Lactose / Milk',
+  'allergy.egg': 'Egg',
+  'allergy.soy': 'Soy',
+  'allergy.sesame': 'Sesame',
+  'allergy.seafood': 'Fish & Shellfish',
+  'diet.vegan': 'Vegan',
+  'diet.vegetarian': 'Vegetarian',
+  'diet.halal': 'Halal',
+  'diet.keto': 'Keto',
+  'diet.lowSodium': 'Low sodium',
+  'diet.status.compatible': 'Compatible',
+  'diet.status.caution': 'Caution',
+  'diet.status.avoid': 'Avoid',
+  'diet.bannerTitle': '{status} for {profile}',
+  'diet.noConflicts': 'No conflicts with this profile were found.',
+  'diet.reason.containsAllergen': 'Contains {allergy}.',
+  'diet.reason.mayContain': 'May contain traces of {allergy}.',
+  'diet.reason.sodiumUnknownSalt': 'Contains added salt; sodium content unknown.',
+  'diet.reason.sodiumUnknown': 'Sodium content unknown.',
+  'diet.reason.highSodium': 'High in sodium ({sodium} mg per 100 g).',
+  'diet.reason.moderateSodium': 'Moderate sodium ({sodium} mg per 100 g).',
+  'diet.reason.notDiet': 'Not {diet}.',
+  'diet.reason.notDietContains': 'Not {diet} (contains {ingredient}).',
+  'diet.reason.unconfirmedDiet': 'Could not confirm the product is {diet}.',
+  'diet.reason.avoidTerm': 'Contains {term}, which you avoid.',
+
+  // Read aloud
+  'listen.play': 'Listen',
+  'listen.loading': 'Preparing audio...',
+  'listen.pause': 'Pause',
+  'listen.resume': 'Resume',
+  'listen.stop': 'Stop',
+  'listen.unavailable': 'Reading aloud is not available in this browser.',
+  'speech.name': '{name}.',
+  'speech.parentCompany': 'Parent company: {company}.',
+  'speech.riskScore': 'Health risk score: {score}.',
+  'speech.harmful': 'Potentially harmful ingredients: {items}.',
+  'speech.noHarmful': 'No potentially harmful ingredients were listed.',
+  'speech.customerInfo': 'Important information: {info}',
+
+  // Request status
+  'status.receiving': 'Receiving details...',
+  'status.rateLimited': 'Rate limited. Retrying in {seconds} s (attempt {attempt} of {max})...',
+  'status.retrying': 'Service unavailable. Retrying in {seconds} s (attempt {attempt} of {max})...',
+  'status.cancel': 'Cancel',
+
+  // Export and share
+  'export.pdf': '📄 PDF report',
+  'export.pdfBusy': 'Creating PDF...',
+  'export.json': '💾 JSON',
+  'export.csv': '📊 Price history CSV',
+  'export.share': '🔗 Copy share link',
+  'export.linkCopied': 'Link copied. Opening it runs this lookup again: {url}',
+  'export.linkManual': 'Copy this link to share the lookup: {url}',
+  'export.generated': 'Generated {date}',
+  'export.openReport': 'Open a saved report (JSON)',
+
+  // Offline use
+  'offline.banner': "You're offline. Products you've looked up before open from this device; new searches and authenticity checks are queued and run automatically when you're back online.",
+  'offline.updateReady': 'A new version of the app is available.',
+  'offline.reload': 'Reload',
+  'offline.savedResult': 'Offline: showing the result saved on {date}.',
+  'offline.lookupQueued': "You're offline and this product hasn't been looked up on this device yet. The search was queued and will run automatically when you're back online.",
+  'offline.scanQueued': "You're offline. The authenticity check was queued and will run automatically when you're back online.",
+  'offline.queueTitle': 'Offline Requests ({count})',
+  'offline.kind.lookup': 'Product search',
+  'offline.kind.scan': 'Authenticity check',
+  'offline.status.waiting': 'Waiting for a connection',
+  'offline.status.running': 'Running...',
+  'offline.status.done': 'Completed {date}',
+  'offline.status.failed': 'Failed: {message}',
+  'offline.open': 'Open',
+  'offline.retry': 'Retry',
+  'offline.remove': 'Remove',
+  'offline.dismiss': 'Dismiss',
+
+  // Modal and errors
+  'modal.title': 'Notification',
+  'modal.ok': 'OK',
+  'error.enterProduct': 'Please enter a product name or upload an image.',
+  'error.uploadForSearch': 'Please upload an image for product detection.',
+  'error.uploadForScan': 'Please upload an image to scan.',
+  'error.noBarcode': 'No EAN-13, UPC-A or QR code with a valid product number was found in the image.',
+  'error.compareLimit': 'You can compare up to {max} products. Remove one first.',
+  'error.fetchProduct': 'Failed to fetch product details. Error: {message}',
+  'error.scan': 'Failed to check product authenticity. Error: {message}',
+  'error.readImage': 'Failed to read image. Error: {message}',
+  'error.importRates': 'Failed to import exchange rates. Error: {message}',
+  'error.updateHistory': 'Failed to update history. Error: {message}',
+  'error.deleteHistory': 'Failed to delete history entry. Error: {message}',
+  'error.watchlist': 'Failed to update the watchlist. Error: {message}',
+  'error.batchInput': 'Could not read the batch. Error: {message}',
+  'error.batch.empty': 'No product names or barcodes found. Paste one per line or load a CSV with a name or barcode column.',
+  'error.batch.tooMany': 'A batch can have at most {max} products; this one has {count}.',
+  'error.importReport': 'Failed to open the report. Error: {message}',
+  'error.exportPdf': 'Failed to create the PDF. Error: {message}',
+  'error.queueRequest': 'Failed to save the request for later. Error: {message}',
+};
+
+export default messages;
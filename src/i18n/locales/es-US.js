@@ -0,0 +1,379 @@
+// Spanish UI messages. Keys mirror en-US.js; missing keys fall back to English.
+const messages = {
+  'app.title': 'Product Insight Hub 🛍️',
+
+  // Settings
+  'settings.language': 'Seleccionar idioma:',
+  'settings.currency': 'Seleccionar moneda:',
+  'rates.asOf': 'Tipos de cambio al {date} ({source})',
+  'rates.notAvailable': 'n/d',
+  'rates.source.http': 'en vivo',
+  'rates.source.file': 'archivo importado',
+  'rates.source.fixed': 'valores predeterminados',
+  'rates.import': 'Importar tipos de cambio (CSV/JSON)',
+  'rates.useLive': 'Usar tipos en vivo',
+
+  // Search
+  'search.title': 'Buscar detalles del producto',
+  'search.description': 'Escribe el nombre de un producto O **sube/toma fotos** del producto (etiqueta frontal, lista de ingredientes, código de barras/QR) para obtener información detallada.',
+  'search.placeholder': "Nombre del producto (p. ej., 'Coca-Cola', 'iPhone 15')",
+  'search.searching': 'Buscando...',
+  'search.textButton': 'Ver detalles (texto)',
+  'search.or': 'O',
+  'search.detecting': 'Detectando y obteniendo detalles...',
+  'search.imageButton': 'Ver detalles (imagen)',
+  'search.barcodeButton': 'Ver detalles (código de barras/QR)',
+  'search.chooseImages': 'Elegir fotos del producto',
+
+  // Batch lookup
+  'batch.title': 'Consulta por lotes',
+  'batch.description': 'Audita un estante completo: pega un nombre de producto o código de barras por línea, o carga un CSV con una columna name/product o gtin/barcode (hasta {max} productos). Los productos se consultan de a pocos.',
+  'batch.placeholder': 'Coca-Cola\nOreo Original\n5449000000996',
+  'batch.inputLabel': 'Nombres de productos o códigos de barras, uno por línea',
+  'batch.loadFile': 'Cargar archivo CSV o de texto',
+  'batch.run': 'Ejecutar lote',
+  'batch.export': 'Exportar CSV',
+  'batch.clear': 'Borrar',
+  'batch.progress': '{done} de {total} listos',
+  'batch.column.productName': 'Producto',
+  'batch.column.parentCompany': 'Empresa matriz',
+  'batch.column.riskScore': 'Riesgo para la salud',
+  'batch.column.harmfulCount': 'Ingredientes dañinos',
+  'batch.column.latestPrice': 'Último precio',
+  'batch.column.status': 'Estado',
+  'batch.price': '{price} ({year})',
+  'batch.status.pending': 'En espera',
+  'batch.status.running': 'Consultando...',
+  'batch.status.retrying': 'Límite de solicitudes, reintentando...',
+  'batch.status.done': 'Listo',
+  'batch.status.failed': 'Error: {message}',
+  'batch.status.cancelled': 'Cancelado',
+
+  // Camera and attachments
+  'camera.open': '📷 Usar cámara',
+  'camera.unsupported': 'Este navegador no permite usar la cámara. Sube una foto en su lugar.',
+  'camera.denied': 'Se denegó el permiso de la cámara. Permite el acceso o sube una foto en su lugar.',
+  'camera.failed': 'No se pudo iniciar la cámara. Sube una foto en su lugar.',
+  'camera.capturedAlt': 'Foto tomada',
+  'camera.usePhoto': 'Usar foto',
+  'camera.retake': 'Repetir',
+  'camera.capture': 'Capturar',
+  'camera.switchToFront': 'Cambiar a cámara frontal',
+  'camera.switchToBack': 'Cambiar a cámara trasera',
+  'camera.done': 'Listo ({count} añadidas)',
+  'camera.close': 'Cerrar cámara',
+  'attachments.title': 'Imágenes adjuntas ({count}):',
+  'attachments.alt': 'Adjunto {index}',
+  'attachments.remove': 'Quitar imagen {index}',
+
+  // Authenticity scan
+  'scan.title': 'Verificar autenticidad del producto',
+  'scan.description': '**Sube/toma fotos** del producto y su empaque para verificar su autenticidad.',
+  'scan.scanning': 'Escaneando...',
+  'scan.button': 'Escanear producto',
+  'scan.chooseImages': 'Elegir fotos para verificar',
+  'scan.resultTitle': 'Resultado de la verificación:',
+  'scan.verdict.original': 'Original',
+  'scan.verdict.fake': 'Probablemente falso',
+  'scan.verdict.inconclusive': 'No concluyente',
+  'scan.confidence': 'Confianza: {value}',
+  'scan.identifiedAs': ' · Identificado como {name}',
+  'scan.assessment.consistent': 'coincide',
+  'scan.assessment.suspicious': 'sospechoso',
+  'scan.assessment.unclear': 'poco claro',
+  'scan.signal.logo_typography': 'Logotipo y tipografía',
+  'scan.signal.print_quality': 'Calidad de impresión',
+  'scan.signal.barcode_batch': 'Código de barras / formato de lote',
+  'scan.signal.packaging_seal': 'Sellos del empaque',
+  'scan.signal.other': 'Otro',
+  'scan.disclaimer': '(Basado en una inspección visual de un modelo de IA. Si tienes dudas, confírmalo con el fabricante o el vendedor.)',
+
+  // History
+  'history.title': 'Historial de búsqueda ({count})',
+  'history.empty': 'Aún no hay búsquedas guardadas. Las búsquedas exitosas se guardan aquí automáticamente.',
+  'history.pinned': 'Fijado',
+  'history.imageQuery.one': '{count} imagen',
+  'history.imageQuery.other': '{count} imágenes',
+  'history.gtinQuery': 'GTIN {gtin}',
+  'history.open': 'Abrir',
+  'history.rerun': 'Repetir',
+  'history.compare': 'Comparar',
+  'history.pin': 'Fijar',
+  'history.unpin': 'Desfijar',
+  'history.delete': 'Eliminar',
+
+  // Comparison
+  'compare.title': 'Comparar productos ({count}/{max})',
+  'compare.clear': 'Limpiar',
+  'compare.remove': 'Quitar {name} de la comparación',
+  'compare.needMore': 'Añade al menos un producto más para comparar.',
+  'compare.parentCompany': 'Empresa matriz',
+  'compare.healthRisk': 'Riesgo para la salud',
+  'compare.sharedByAll': 'En común:',
+  'compare.none': 'Ninguno',
+  'compare.noneListed': 'Nada indicado.',
+  'compare.highlightNote': 'Los elementos resaltados aparecen en solo uno de los productos comparados.',
+  'compare.add': '+ Añadir a la comparación',
+  'compare.added': '✓ En la comparación',
+
+  // Better alternatives
+  'alternatives.title': 'Mejores alternativas',
+  'alternatives.description': 'Productos comparables de la misma categoría con un menor puntaje de riesgo para la salud.',
+  'alternatives.find': 'Buscar alternativas',
+  'alternatives.refresh': 'Sugerir de nuevo',
+  'alternatives.loading': 'Buscando alternativas más saludables...',
+  'alternatives.none': 'No se encontraron productos comparables con un menor puntaje de riesgo.',
+  'alternatives.offline': 'Se pueden sugerir alternativas cuando vuelvas a estar en línea.',
+  'alternatives.error': 'No se pudieron sugerir alternativas. Error: {message}',
+  'alternatives.risk': 'Riesgo para la salud {score}',
+  'alternatives.price': 'normalmente {price}',
+  'alternatives.lookup': 'Consultar',
+  'alternatives.lookupLabel': 'Consultar {name}',
+
+  // Price watchlist
+  'watchlist.title': 'Lista de seguimiento de precios ({count})',
+  'watchlist.target': 'Precio objetivo ({currency})',
+  'watchlist.watch': 'Seguir precio',
+  'watchlist.updateTarget': 'Actualizar objetivo',
+  'watchlist.watching': 'En seguimiento · objetivo {target}',
+  'watchlist.unwatch': 'Dejar de seguir',
+  'watchlist.refreshAll': 'Actualizar precios',
+  'watchlist.refresh': 'Actualizar',
+  'watchlist.refreshLabel': 'Actualizar el precio de {name}',
+  'watchlist.refreshing': 'Actualizando...',
+  'watchlist.refreshedAt': 'Última consulta {date}',
+  'watchlist.refreshFailed': 'La última actualización falló: {message}',
+  'watchlist.noCurrentPrice': 'El último resultado no tenía precio para {year}, así que no se registró ninguna instantánea.',
+  'watchlist.summary.one': 'Ahora {price} · objetivo {target} · {count} registro',
+  'watchlist.summary.other': 'Ahora {price} · objetivo {target} · {count} registros',
+  'watchlist.belowTarget': 'En el objetivo o por debajo',
+  'watchlist.open': 'Abrir',
+  'watchlist.remove': 'Quitar',
+  'watchlist.offline': 'No tienes conexión. Los precios se pueden actualizar cuando vuelva la conexión.',
+  'watchlist.alertTitle': 'Bajada de precio: {name}',
+  'watchlist.alertBody': 'Ahora {price}, en tu objetivo de {target} o por debajo.',
+  'watchlist.alert': 'Bajada de precio: {name} cuesta ahora {price}, en tu objetivo de {target} o por debajo.',
+  'watchlist.modelSeries': 'Según el modelo',
+  'watchlist.observedSeries': 'Observado',
+
+  // Product details
+  'common.loading': 'Cargando información...',
+  'common.notAvailable': 'No disponible.',
+  'details.title': 'Detalles de {name}',
+  'details.gtin': 'GTIN:',
+  'details.parentCompany': 'Empresa matriz',
+  'details.priceHistory': 'Precio a lo largo de los años',
+  'details.noPriceHistory': 'No hay historial de precios disponible.',
+  'details.price': 'Precio',
+  'details.ingredients': 'Ingredientes',
+  'details.content': 'Contenido del producto',
+  'details.goodContent': 'Contenido/ingredientes beneficiosos',
+  'details.harmfulContent': 'Contenido/ingredientes potencialmente dañinos',
+  'details.customerInfo': 'Información importante para el cliente',
+  'details.nutrition': 'Información nutricional',
+  'partial.title': 'Datos parciales',
+  'partial.body': 'La respuesta del modelo estaba incompleta. Faltan o no son válidos: {fields}.',
+  'field.productName': 'Nombre del producto',
+  'field.parentCompany': 'Empresa matriz',
+  'field.priceHistory': 'Historial de precios',
+  'field.ingredients': 'Ingredientes',
+  'field.content': 'Contenido del producto',
+  'field.goodContent': 'Contenido beneficioso',
+  'field.harmfulContent': 'Contenido dañino',
+  'field.customerInfo': 'Información para el cliente',
+  'provenance.lowConfidence': 'Confianza baja',
+  'provenance.confidenceUnknown': 'Confianza no indicada',
+  'provenance.unsourced': 'Sin fuentes',
+  'provenance.sources': 'Fuentes:',
+  'provenance.noticeTitle': 'Información no verificada',
+  'provenance.noticeBody': 'El modelo no está seguro de estos datos o no cita fuentes para ellos: {fields}. Compruébelos antes de decidir una compra.',
+  'provenance.allPricesEstimated': 'Todos los precios son estimaciones del modelo, no precios con fuente.',
+  'provenance.pricesSourced.one': '{count} de {total} precios tiene fuente; el resto son estimaciones del modelo.',
+  'provenance.pricesSourced.other': '{count} de {total} precios tienen fuente; el resto son estimaciones del modelo.',
+  'provenance.estimatedYear': '{year} (estimado)',
+  'provenance.sourcedYear': '{year} (con fuente)',
+
+  // Nutrition facts
+  'nutrition.basis.label': 'Leído de la etiqueta nutricional de su foto.',
+  'nutrition.basis.typical': 'Valores típicos indicados por el modelo; compruebe la etiqueta del envase.',
+  'nutrition.nutrient': 'Nutriente',
+  'nutrition.per100.g': 'Por 100 g',
+  'nutrition.per100.ml': 'Por 100 ml',
+  'nutrition.perServing': 'Por porción',
+  'nutrition.perServingSize': 'Por porción ({size})',
+  'nutrition.rating': 'Valoración',
+  'nutrition.amount': '{value} {unit}',
+  'nutrition.energyKcal': 'Energía',
+  'nutrition.sugarG': 'Azúcar',
+  'nutrition.fatG': 'Grasa',
+  'nutrition.saturatedFatG': 'Grasa saturada',
+  'nutrition.sodiumMg': 'Sodio',
+  'nutrition.proteinG': 'Proteína',
+  'nutrition.fiberG': 'Fibra',
+  'nutrition.light.green': 'Bajo',
+  'nutrition.light.amber': 'Medio',
+  'nutrition.light.red': 'Alto',
+  'nutrition.lightsNote': 'El semáforo usa los umbrales frontales del Reino Unido por 100 g (100 ml para bebidas).',
+
+  // Health risk
+  'health.title': 'Evaluación de riesgo para la salud',
+  'health.basis.one': '(Basado en {count} ingrediente identificado y la normativa de {region}. No es consejo médico.)',
+  'health.basis.other': '(Basado en {count} ingredientes identificados y la normativa de {region}. No es consejo médico.)',
+  'health.showBreakdown': '¿Cómo se calculó esta puntuación?',
+  'health.hideBreakdown': 'Ocultar el cálculo',
+  'health.method': 'Cada ingrediente de nuestra base de conocimiento suma puntos según su gravedad (baja {low}, moderada {moderate}, alta {high}), multiplicados por {warning}× / {restricted}× / {banned}× si tiene una advertencia, restricción o prohibición en {region}. Los elementos que el modelo marcó y no están en la base de conocimiento suman {unverified}. Los puntos se combinan como riesgos independientes, así que la puntuación solo llega al 100% cuando la evidencia es abrumadora.',
+  'health.nutritionMethod': 'Con información nutricional, un nutriente valorado como medio suma {low} y uno valorado como alto suma {high}, en lugar del azúcar y la sal de la lista de ingredientes.',
+  'health.nutrientReason.amber': 'Medio: {amount} por 100 {per}, por encima del límite frontal de {limit} para "bajo".',
+  'health.nutrientReason.red': 'Alto: {amount} por 100 {per}, por encima del límite frontal de {limit} para "alto".',
+  'health.noItems': 'No se encontraron aditivos, alérgenos ni nutrientes preocupantes conocidos.',
+  'health.points': '+{points} pts',
+  'health.matched': 'Coincidencias: {items}',
+  'health.severity.low': 'baja',
+  'health.severity.moderate': 'moderada',
+  'health.severity.high': 'alta',
+  'health.category.additive': 'Aditivo',
+  'health.category.allergen': 'Alérgeno',
+  'health.category.nutrient': 'Nutriente',
+  'health.category.unverified': 'Sin verificar',
+  'health.status.warning': 'advertencia',
+  'health.status.restricted': 'restringido',
+  'health.status.banned': 'prohibido',
+  'health.unverifiedReason': 'El modelo lo marcó como potencialmente dañino; no figura en la base de conocimientos local.',
+  'health.note.activityWarning': 'Debe llevar la advertencia "puede tener un efecto negativo sobre la actividad y la atención de los niños".',
+  'health.note.hyperactivityLabel': 'Requiere una etiqueta de advertencia sobre hiperactividad.',
+  'health.note.notPermittedUs': 'No está permitido en alimentos en EE. UU.',
+  'health.note.fdaRevoked2025': 'La FDA revocó su autorización para uso alimentario (2025), con un periodo de eliminación gradual.',
+  'health.note.cocktailCherries': 'Solo se permite en cerezas de cóctel y confitadas.',
+  'health.note.banned2022': 'Prohibido como aditivo alimentario desde 2022.',
+  'health.note.removed2006': 'Retirado de la lista de aditivos alimentarios permitidos (2006).',
+  'health.note.declareAbove10mg': 'Debe declararse por encima de 10 mg/kg.',
+  'health.note.limitsLowered2023': 'Niveles máximos reducidos en 2023.',
+  'health.note.phenylalanine': 'Debe indicar "contiene una fuente de fenilalanina".',
+  'health.note.pkuWarning': 'Se requiere advertencia para fenilcetonúricos (PKU).',
+  'health.note.notInInfantFormula': 'No está permitido en fórmulas infantiles.',
+  'health.note.notPermitted': 'No está permitido en alimentos.',
+  'health.note.bannedFssai2016': 'Prohibido por la FSSAI (2016).',
+  'health.note.notFlourTreatment': 'No está permitido como agente de tratamiento de harinas.',
+  'health.note.fdaRevoked2024': 'La FDA revocó su autorización (2024).',
+  'health.note.phoNotGras': 'Los aceites parcialmente hidrogenados dejaron de ser GRAS en 2018.',
+  'health.note.transFatLimitEu': 'Limitado a 2 g por 100 g de grasa (2021).',
+  'health.note.transFatLimitIn': 'Limitado por la FSSAI al 2 % de la grasa total (2022).',
+  'health.note.glycidylEsters': 'Niveles máximos para ésteres de glicidilo.',
+  'health.note.caffeineLabel': 'Las bebidas con mucha cafeína (>150 mg/l) necesitan una etiqueta de advertencia.',
+
+  // Dietary profiles
+  'profile.label': 'Perfil alimentario:',
+  'profile.none': 'Ninguno',
+  'profile.edit': 'Editar',
+  'profile.delete': 'Eliminar',
+  'profile.new': '+ Nuevo',
+  'profile.namePlaceholder': "Nombre del perfil (p. ej., 'Yo', 'Niños')",
+  'profile.defaultName': 'Mi perfil',
+  'profile.allergies': 'Alergias',
+  'profile.diets': 'Dietas',
+  'profile.avoid': 'Cosas que evitar',
+  'profile.avoidPlaceholder': 'Separadas por comas, p. ej., aceite de palma, aspartamo',
+  'profile.save': 'Guardar perfil',
+  'profile.cancel': 'Cancelar',
+  'allergy.nuts': 'Frutos secos',
+  'allergy.gluten': 'Gluten',
+  'allergy.lactose': 'Lactosa / leche',
+  'allergy.egg': 'Huevo',
+  'allergy.soy': 'Soya',
+  'allergy.sesame': 'Ajonjolí',
+  'allergy.seafood': 'Pescado y mariscos',
+  'diet.vegan': 'Vegana',
+  'diet.vegetarian': 'Vegetariana',
+  'diet.halal': 'Halal',
+  'diet.keto': 'Keto',
+  'diet.lowSodium': 'Baja en sodio',
+  'diet.status.compatible': 'Compatible',
+  'diet.status.caution': 'Precaución',
+  'diet.status.avoid': 'Evitar',
+  'diet.bannerTitle': '{status} para {profile}',
+  'diet.noConflicts': 'No se encontraron conflictos con este perfil.',
+  'diet.reason.containsAllergen': 'Contiene {allergy}.',
+  'diet.reason.mayContain': 'Puede contener trazas de {allergy}.',
+  'diet.reason.sodiumUnknownSalt': 'Contiene sal añadida; se desconoce el contenido de sodio.',
+  'diet.reason.sodiumUnknown': 'Se desconoce el contenido de sodio.',
+  'diet.reason.highSodium': 'Alto en sodio ({sodium} mg por 100 g).',
+  'diet.reason.moderateSodium': 'Sodio moderado ({sodium} mg por 100 g).',
+  'diet.reason.notDiet': 'No apto para dieta {diet}.',
+  'diet.reason.notDietContains': 'No apto para dieta {diet} (contiene {ingredient}).',
+  'diet.reason.unconfirmedDiet': 'No se pudo confirmar que sea apto para dieta {diet}.',
+  'diet.reason.avoidTerm': 'Contiene {term}, que prefieres evitar.',
+
+  // Read aloud
+  'listen.play': 'Escuchar',
+  'listen.loading': 'Preparando audio...',
+  'listen.pause': 'Pausar',
+  'listen.resume': 'Reanudar',
+  'listen.stop': 'Detener',
+  'listen.unavailable': 'La lectura en voz alta no está disponible en este navegador.',
+  'speech.name': '{name}.',
+  'speech.parentCompany': 'Empresa matriz: {company}.',
+  'speech.riskScore': 'Riesgo para la salud: {score}.',
+  'speech.harmful': 'Ingredientes potencialmente dañinos: {items}.',
+  'speech.noHarmful': 'No se indicaron ingredientes potencialmente dañinos.',
+  'speech.customerInfo': 'Información importante: {info}',
+
+  // Request status
+  'status.receiving': 'Recibiendo detalles...',
+  'status.rateLimited': 'Límite de solicitudes alcanzado. Reintentando en {seconds} s (intento {attempt} de {max})...',
+  'status.retrying': 'Servicio no disponible. Reintentando en {seconds} s (intento {attempt} de {max})...',
+  'status.cancel': 'Cancelar',
+
+  // Export and share
+  'export.pdf': '📄 Informe PDF',
+  'export.pdfBusy': 'Creando PDF...',
+  'export.json': '💾 JSON',
+  'export.csv': '📊 CSV de precios',
+  'export.share': '🔗 Copiar enlace',
+  'export.linkCopied': 'Enlace copiado. Al abrirlo se repite esta búsqueda: {url}',
+  'export.linkManual': 'Copia este enlace para compartir la búsqueda: {url}',
+  'export.generated': 'Generado el {date}',
+  'export.openReport': 'Abrir un informe guardado (JSON)',
+
+  // Offline use
+  'offline.banner': 'Estás sin conexión. Los productos que ya consultaste se abren desde este dispositivo; las nuevas búsquedas y verificaciones de autenticidad quedan en cola y se ejecutan automáticamente cuando vuelvas a estar en línea.',
+  'offline.updateReady': 'Hay una nueva versión de la aplicación disponible.',
+  'offline.reload': 'Recargar',
+  'offline.savedResult': 'Sin conexión: se muestra el resultado guardado el {date}.',
+  'offline.lookupQueued': 'Estás sin conexión y este producto aún no se ha consultado en este dispositivo. La búsqueda quedó en cola y se ejecutará automáticamente cuando vuelvas a estar en línea.',
+  'offline.scanQueued': 'Estás sin conexión. La verificación de autenticidad quedó en cola y se ejecutará automáticamente cuando vuelvas a estar en línea.',
+  'offline.queueTitle': 'Solicitudes sin conexión ({count})',
+  'offline.kind.lookup': 'Búsqueda de producto',
+  'offline.kind.scan': 'Verificación de autenticidad',
+  'offline.status.waiting': 'Esperando conexión',
+  'offline.status.running': 'En curso...',
+  'offline.status.done': 'Completada el {date}',
+  'offline.status.failed': 'Error: {message}',
+  'offline.open': 'Abrir',
+  'offline.retry': 'Reintentar',
+  'offline.remove': 'Quitar',
+  'offline.dismiss': 'Descartar',
+
+  // Modal and errors
+  'modal.title': 'Aviso',
+  'modal.ok': 'Aceptar',
+  'error.enterProduct': 'Escribe el nombre de un producto o sube una imagen.',
+  'error.uploadForSearch': 'Sube una imagen para detectar el producto.',
+  'error.uploadForScan': 'Sube una imagen para escanear.',
+  'error.noBarcode': 'No se encontró en la imagen ningún código EAN-13, UPC-A o QR con un número de producto válido.',
+  'error.compareLimit': 'Puedes comparar hasta {max} productos. Quita uno primero.',
+  'error.fetchProduct': 'No se pudieron obtener los detalles del producto. Error: {message}',
+  'error.scan': 'No se pudo verificar la autenticidad del producto. Error: {message}',
+  'error.readImage': 'No se pudo leer la imagen. Error: {message}',
+  'error.importRates': 'No se pudieron importar los tipos de cambio. Error: {message}',
+  'error.updateHistory': 'No se pudo actualizar el historial. Error: {message}',
+  'error.deleteHistory': 'No se pudo eliminar la entrada del historial. Error: {message}',
+  'error.watchlist': 'No se pudo actualizar la lista de seguimiento. Error: {message}',
+  'error.batchInput': 'No se pudo leer el lote. Error: {message}',
+  'error.batch.empty': 'No se encontraron nombres de productos ni códigos de barras. Pega uno por línea o carga un CSV con una columna de nombre o código de barras.',
+  'error.batch.tooMany': 'Un lote puede tener como máximo {max} productos; este tiene {count}.',
+  'error.importReport': 'No se pudo abrir el informe. Error: {message}',
+  'error.exportPdf': 'No se pudo crear el PDF. Error: {message}',
+  'error.queueRequest': 'No se pudo guardar la solicitud para más tarde. Error: {message}',
+};
+
+export default messages;
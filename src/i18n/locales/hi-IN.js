@@ -0,0 +1,379 @@
+// Hindi UI messages. Keys mirror en-US.js; missing keys fall back to English.
+const messages = {
+  'app.title': 'प्रोडक्ट इनसाइट हब 🛍️',
+
+  // Settings
+  'settings.language': 'भाषा चुनें:',
+  'settings.currency': 'मुद्रा चुनें:',
+  'rates.asOf': 'दरें: {date} ({source})',
+  'rates.notAvailable': 'उपलब्ध नहीं',
+  'rates.source.http': 'लाइव',
+  'rates.source.file': 'आयातित फ़ाइल',
+  'rates.source.fixed': 'अंतर्निहित दरें',
+  'rates.import': 'दरें आयात करें (CSV/JSON)',
+  'rates.useLive': 'लाइव दरें इस्तेमाल करें',
+
+  // Search
+  'search.title': 'उत्पाद की जानकारी खोजें',
+  'search.description': 'विस्तृत जानकारी पाने के लिए उत्पाद का नाम दर्ज करें या उत्पाद की **तस्वीरें अपलोड करें/लें** (सामने का लेबल, सामग्री पैनल, बारकोड/QR कोड)।',
+  'search.placeholder': "उत्पाद का नाम दर्ज करें (जैसे 'Coca-Cola', 'iPhone 15')",
+  'search.searching': 'खोज रहे हैं...',
+  'search.textButton': 'जानकारी पाएँ (टेक्स्ट)',
+  'search.or': 'या',
+  'search.detecting': 'पहचान कर जानकारी ला रहे हैं...',
+  'search.imageButton': 'जानकारी पाएँ (तस्वीर)',
+  'search.barcodeButton': 'जानकारी पाएँ (बारकोड/QR)',
+  'search.chooseImages': 'उत्पाद की तस्वीरें चुनें',
+
+  // Batch lookup
+  'batch.title': 'एक साथ कई उत्पाद खोजें',
+  'batch.description': 'पूरी शेल्फ़ की जाँच करें: हर पंक्ति में एक उत्पाद का नाम या बारकोड चिपकाएँ, या name/product या gtin/barcode कॉलम वाली CSV फ़ाइल लोड करें (अधिकतम {max} उत्पाद)। उत्पाद कुछ-कुछ करके खोजे जाते हैं।',
+  'batch.placeholder': 'Coca-Cola\nOreo Original\n5449000000996',
+  'batch.inputLabel': 'उत्पादों के नाम या बारकोड, हर पंक्ति में एक',
+  'batch.loadFile': 'CSV या टेक्स्ट फ़ाइल लोड करें',
+  'batch.run': 'सभी खोजें',
+  'batch.export': 'CSV निर्यात करें',
+  'batch.clear': 'साफ़ करें',
+  'batch.progress': '{total} में से {done} पूरे',
+  'batch.column.productName': 'उत्पाद',
+  'batch.column.parentCompany': 'मूल कंपनी',
+  'batch.column.riskScore': 'स्वास्थ्य जोखिम',
+  'batch.column.harmfulCount': 'हानिकारक सामग्री',
+  'batch.column.latestPrice': 'नवीनतम मूल्य',
+  'batch.column.status': 'स्थिति',
+  'batch.price': '{price} ({year})',
+  'batch.status.pending': 'प्रतीक्षा में',
+  'batch.status.running': 'खोज रहे हैं...',
+  'batch.status.retrying': 'दर सीमा पार, फिर से कोशिश...',
+  'batch.status.done': 'पूरा',
+  'batch.status.failed': 'विफल: {message}',
+  'batch.status.cancelled': 'रद्द',
+
+  // Camera and attachments
+  'camera.open': '📷 कैमरा इस्तेमाल करें',
+  'camera.unsupported': 'इस ब्राउज़र में कैमरा समर्थित नहीं है। कृपया इसके बजाय तस्वीर अपलोड करें।',
+  'camera.denied': 'कैमरे की अनुमति नहीं दी गई। कृपया कैमरे की अनुमति दें या तस्वीर अपलोड करें।',
+  'camera.failed': 'कैमरा शुरू नहीं हो सका। कृपया इसके बजाय तस्वीर अपलोड करें।',
+  'camera.capturedAlt': 'ली गई तस्वीर',
+  'camera.usePhoto': 'यह तस्वीर लें',
+  'camera.retake': 'फिर से लें',
+  'camera.capture': 'तस्वीर लें',
+  'camera.switchToFront': 'सामने का कैमरा',
+  'camera.switchToBack': 'पीछे का कैमरा',
+  'camera.done': 'हो गया ({count} जोड़ी गईं)',
+  'camera.close': 'कैमरा बंद करें',
+  'attachments.title': 'संलग्न तस्वीरें ({count}):',
+  'attachments.alt': 'संलग्नक {index}',
+  'attachments.remove': 'तस्वीर {index} हटाएँ',
+
+  // Authenticity scan
+  'scan.title': 'उत्पाद की प्रामाणिकता जाँचें',
+  'scan.description': 'प्रामाणिकता जाँचने के लिए उत्पाद और उसकी पैकेजिंग की **तस्वीरें अपलोड करें/लें**।',
+  'scan.scanning': 'स्कैन हो रहा है...',
+  'scan.button': 'उत्पाद स्कैन करें',
+  'scan.chooseImages': 'जाँच के लिए तस्वीरें चुनें',
+  'scan.resultTitle': 'प्रामाणिकता जाँच का परिणाम:',
+  'scan.verdict.original': 'असली',
+  'scan.verdict.fake': 'संभवतः नकली',
+  'scan.verdict.inconclusive': 'अनिर्णीत',
+  'scan.confidence': 'विश्वास स्तर: {value}',
+  'scan.identifiedAs': ' · पहचाना गया: {name}',
+  'scan.assessment.consistent': 'मेल खाता है',
+  'scan.assessment.suspicious': 'संदिग्ध',
+  'scan.assessment.unclear': 'अस्पष्ट',
+  'scan.signal.logo_typography': 'लोगो और अक्षर-शैली',
+  'scan.signal.print_quality': 'छपाई की गुणवत्ता',
+  'scan.signal.barcode_batch': 'बारकोड / बैच प्रारूप',
+  'scan.signal.packaging_seal': 'पैकेजिंग सील',
+  'scan.signal.other': 'अन्य',
+  'scan.disclaimer': '(यह AI मॉडल द्वारा दृश्य जाँच पर आधारित है। संदेह होने पर निर्माता या विक्रेता से पुष्टि करें।)',
+
+  // History
+  'history.title': 'खोज इतिहास ({count})',
+  'history.empty': 'अभी तक कोई खोज सहेजी नहीं गई है। सफल खोजें यहाँ अपने-आप सहेजी जाती हैं।',
+  'history.pinned': 'पिन किया गया',
+  'history.imageQuery.one': '{count} तस्वीर',
+  'history.imageQuery.other': '{count} तस्वीरें',
+  'history.gtinQuery': 'GTIN {gtin}',
+  'history.open': 'खोलें',
+  'history.rerun': 'फिर से चलाएँ',
+  'history.compare': 'तुलना करें',
+  'history.pin': 'पिन करें',
+  'history.unpin': 'पिन हटाएँ',
+  'history.delete': 'हटाएँ',
+
+  // Comparison
+  'compare.title': 'उत्पादों की तुलना ({count}/{max})',
+  'compare.clear': 'साफ़ करें',
+  'compare.remove': '{name} को तुलना से हटाएँ',
+  'compare.needMore': 'तुलना के लिए कम से कम एक और उत्पाद जोड़ें।',
+  'compare.parentCompany': 'मूल कंपनी',
+  'compare.healthRisk': 'स्वास्थ्य जोखिम',
+  'compare.sharedByAll': 'सभी में मौजूद:',
+  'compare.none': 'कोई नहीं',
+  'compare.noneListed': 'कुछ सूचीबद्ध नहीं है।',
+  'compare.highlightNote': 'हाइलाइट की गई चीज़ें केवल एक उत्पाद में हैं।',
+  'compare.add': '+ तुलना में जोड़ें',
+  'compare.added': '✓ तुलना में है',
+
+  // Better alternatives
+  'alternatives.title': 'बेहतर विकल्प',
+  'alternatives.description': 'इसी श्रेणी के मिलते-जुलते उत्पाद जिनका स्वास्थ्य जोखिम स्कोर कम है।',
+  'alternatives.find': 'विकल्प खोजें',
+  'alternatives.refresh': 'फिर से सुझाएँ',
+  'alternatives.loading': 'स्वास्थ्यवर्धक विकल्प खोज रहे हैं...',
+  'alternatives.none': 'कम जोखिम स्कोर वाला कोई मिलता-जुलता उत्पाद नहीं मिला।',
+  'alternatives.offline': 'ऑनलाइन होने पर विकल्प सुझाए जा सकते हैं।',
+  'alternatives.error': 'विकल्प नहीं सुझाए जा सके। त्रुटि: {message}',
+  'alternatives.risk': 'स्वास्थ्य जोखिम {score}',
+  'alternatives.price': 'आम तौर पर {price}',
+  'alternatives.lookup': 'जानकारी देखें',
+  'alternatives.lookupLabel': '{name} की जानकारी देखें',
+
+  // Price watchlist
+  'watchlist.title': 'मूल्य वॉचलिस्ट ({count})',
+  'watchlist.target': 'लक्ष्य मूल्य ({currency})',
+  'watchlist.watch': 'मूल्य पर नज़र रखें',
+  'watchlist.updateTarget': 'लक्ष्य बदलें',
+  'watchlist.watching': 'नज़र रखी जा रही है · लक्ष्य {target}',
+  'watchlist.unwatch': 'नज़र रखना बंद करें',
+  'watchlist.refreshAll': 'मूल्य ताज़ा करें',
+  'watchlist.refresh': 'ताज़ा करें',
+  'watchlist.refreshLabel': '{name} का मूल्य ताज़ा करें',
+  'watchlist.refreshing': 'ताज़ा कर रहे हैं...',
+  'watchlist.refreshedAt': 'पिछली जाँच {date}',
+  'watchlist.refreshFailed': 'पिछली बार ताज़ा नहीं हो सका: {message}',
+  'watchlist.noCurrentPrice': 'पिछले परिणाम में {year} का मूल्य नहीं था, इसलिए कोई स्नैपशॉट दर्ज नहीं हुआ।',
+  'watchlist.summary.one': 'अभी {price} · लक्ष्य {target} · {count} स्नैपशॉट',
+  'watchlist.summary.other': 'अभी {price} · लक्ष्य {target} · {count} स्नैपशॉट',
+  'watchlist.belowTarget': 'लक्ष्य पर या उससे कम',
+  'watchlist.open': 'खोलें',
+  'watchlist.remove': 'हटाएँ',
+  'watchlist.offline': 'आप ऑफ़लाइन हैं। कनेक्शन लौटने पर मूल्य ताज़ा किए जा सकते हैं।',
+  'watchlist.alertTitle': 'मूल्य घटा: {name}',
+  'watchlist.alertBody': 'अब {price}, आपके लक्ष्य {target} पर या उससे कम।',
+  'watchlist.alert': 'मूल्य घटा: {name} अब {price} है, आपके लक्ष्य {target} पर या उससे कम।',
+  'watchlist.modelSeries': 'मॉडल द्वारा बताया गया',
+  'watchlist.observedSeries': 'दर्ज किया गया',
+
+  // Product details
+  'common.loading': 'जानकारी लोड हो रही है...',
+  'common.notAvailable': 'उपलब्ध नहीं।',
+  'details.title': '{name} का विवरण',
+  'details.gtin': 'GTIN:',
+  'details.parentCompany': 'मूल कंपनी',
+  'details.priceHistory': 'वर्षों में कीमत',
+  'details.noPriceHistory': 'कीमत का इतिहास उपलब्ध नहीं है।',
+  'details.price': 'कीमत',
+  'details.ingredients': 'सामग्री',
+  'details.content': 'उत्पाद की सामग्री',
+  'details.goodContent': 'लाभकारी तत्व/सामग्री',
+  'details.harmfulContent': 'संभावित रूप से हानिकारक तत्व/सामग्री',
+  'details.customerInfo': 'ग्राहकों के लिए महत्वपूर्ण जानकारी',
+  'details.nutrition': 'पोषण तथ्य',
+  'partial.title': 'अधूरा डेटा',
+  'partial.body': 'मॉडल का जवाब अधूरा था। गायब या अमान्य: {fields}।',
+  'field.productName': 'उत्पाद का नाम',
+  'field.parentCompany': 'मूल कंपनी',
+  'field.priceHistory': 'कीमत का इतिहास',
+  'field.ingredients': 'सामग्री',
+  'field.content': 'उत्पाद की सामग्री',
+  'field.goodContent': 'लाभकारी तत्व',
+  'field.harmfulContent': 'हानिकारक तत्व',
+  'field.customerInfo': 'ग्राहक जानकारी',
+  'provenance.lowConfidence': 'कम भरोसा',
+  'provenance.confidenceUnknown': 'भरोसा नहीं बताया गया',
+  'provenance.unsourced': 'कोई स्रोत नहीं',
+  'provenance.sources': 'स्रोत:',
+  'provenance.noticeTitle': 'असत्यापित जानकारी',
+  'provenance.noticeBody': 'मॉडल इनके बारे में निश्चित नहीं है या इनका कोई स्रोत नहीं देता: {fields}। खरीदारी का निर्णय लेने से पहले इनकी जाँच करें।',
+  'provenance.allPricesEstimated': 'सभी कीमतें मॉडल के अनुमान हैं, स्रोत से ली गई कीमतें नहीं।',
+  'provenance.pricesSourced.one': '{total} में से {count} कीमत स्रोत से ली गई है; बाकी मॉडल के अनुमान हैं।',
+  'provenance.pricesSourced.other': '{total} में से {count} कीमतें स्रोत से ली गई हैं; बाकी मॉडल के अनुमान हैं।',
+  'provenance.estimatedYear': '{year} (अनुमानित)',
+  'provenance.sourcedYear': '{year} (स्रोत सहित)',
+
+  // Nutrition facts
+  'nutrition.basis.label': 'आपकी फ़ोटो में पोषण लेबल से पढ़ा गया।',
+  'nutrition.basis.typical': 'मॉडल द्वारा बताए गए सामान्य मान; पैक पर लेबल जाँचें।',
+  'nutrition.nutrient': 'पोषक तत्व',
+  'nutrition.per100.g': 'प्रति 100 ग्रा.',
+  'nutrition.per100.ml': 'प्रति 100 मि.ली.',
+  'nutrition.perServing': 'प्रति सर्विंग',
+  'nutrition.perServingSize': 'प्रति सर्विंग ({size})',
+  'nutrition.rating': 'रेटिंग',
+  'nutrition.amount': '{value} {unit}',
+  'nutrition.energyKcal': 'ऊर्जा',
+  'nutrition.sugarG': 'चीनी',
+  'nutrition.fatG': 'वसा',
+  'nutrition.saturatedFatG': 'संतृप्त वसा',
+  'nutrition.sodiumMg': 'सोडियम',
+  'nutrition.proteinG': 'प्रोटीन',
+  'nutrition.fiberG': 'फ़ाइबर',
+  'nutrition.light.green': 'कम',
+  'nutrition.light.amber': 'मध्यम',
+  'nutrition.light.red': 'अधिक',
+  'nutrition.lightsNote': 'ट्रैफ़िक लाइट प्रति 100 ग्रा. (पेय के लिए 100 मि.ली.) के यूके फ़्रंट-ऑफ़-पैक मानकों पर आधारित हैं।',
+
+  // Health risk
+  'health.title': 'स्वास्थ्य जोखिम मूल्यांकन',
+  'health.basis.one': '({count} मिलती हुई सामग्री और {region} के नियमों पर आधारित। यह चिकित्सा सलाह नहीं है।)',
+  'health.basis.other': '({count} मिलती हुई सामग्रियों और {region} के नियमों पर आधारित। यह चिकित्सा सलाह नहीं है।)',
+  'health.showBreakdown': 'यह स्कोर कैसे बना?',
+  'health.hideBreakdown': 'स्कोर का विवरण छिपाएँ',
+  'health.method': 'हमारे ज्ञानकोश में मिली हर सामग्री गंभीरता के अनुसार अंक जोड़ती है (कम {low}, मध्यम {moderate}, अधिक {high})। {region} में चेतावनी, प्रतिबंध या रोक होने पर इन्हें {warning}× / {restricted}× / {banned}× से गुणा किया जाता है। मॉडल द्वारा चिह्नित पर ज्ञानकोश में न मिलने वाली चीज़ें {unverified} अंक जोड़ती हैं। अंकों को स्वतंत्र जोखिमों की तरह जोड़ा जाता है, इसलिए स्कोर 100% तभी होता है जब प्रमाण बहुत मज़बूत हों।',
+  'health.nutritionMethod': 'पोषण तथ्य होने पर, मध्यम रेटिंग वाला पोषक तत्व {low} और अधिक रेटिंग वाला {high} अंक जोड़ता है, सामग्री सूची में मिली चीनी और नमक के बजाय।',
+  'health.nutrientReason.amber': 'मध्यम: प्रति 100 {per} में {amount}, जो "कम" की फ़्रंट-ऑफ़-पैक सीमा {limit} से अधिक है।',
+  'health.nutrientReason.red': 'अधिक: प्रति 100 {per} में {amount}, जो "अधिक" की फ़्रंट-ऑफ़-पैक सीमा {limit} से अधिक है।',
+  'health.noItems': 'कोई ज्ञात योजक, एलर्जेन या चिंताजनक पोषक तत्व नहीं मिला।',
+  'health.points': '+{points} अंक',
+  'health.matched': 'मिला: {items}',
+  'health.severity.low': 'कम',
+  'health.severity.moderate': 'मध्यम',
+  'health.severity.high': 'अधिक',
+  'health.category.additive': 'योजक',
+  'health.category.allergen': 'एलर्जेन',
+  'health.category.nutrient': 'पोषक तत्व',
+  'health.category.unverified': 'असत्यापित',
+  'health.status.warning': 'चेतावनी',
+  'health.status.restricted': 'सीमित',
+  'health.status.banned': 'प्रतिबंधित',
+  'health.unverifiedReason': 'मॉडल ने इसे संभावित रूप से हानिकारक बताया; यह स्थानीय ज्ञानकोष में नहीं मिला।',
+  'health.note.activityWarning': 'इस पर "बच्चों की सक्रियता और ध्यान पर प्रतिकूल प्रभाव डाल सकता है" चेतावनी होनी चाहिए।',
+  'health.note.hyperactivityLabel': 'अतिसक्रियता की चेतावनी का लेबल ज़रूरी है।',
+  'health.note.notPermittedUs': 'अमेरिका में भोजन में अनुमति नहीं है।',
+  'health.note.fdaRevoked2025': 'FDA ने भोजन में उपयोग की अनुमति रद्द की (2025), चरणबद्ध समाप्ति अवधि के साथ।',
+  'health.note.cocktailCherries': 'केवल कॉकटेल और कैंडीड चेरी में अनुमति है।',
+  'health.note.banned2022': '2022 से खाद्य योजक के रूप में प्रतिबंधित।',
+  'health.note.removed2006': 'अनुमत खाद्य योजकों की सूची से हटाया गया (2006)।',
+  'health.note.declareAbove10mg': '10 mg/kg से अधिक होने पर घोषित करना ज़रूरी है।',
+  'health.note.limitsLowered2023': '2023 में अधिकतम सीमा घटाई गई।',
+  'health.note.phenylalanine': 'इस पर "फ़ेनिलएलानिन का स्रोत है" लिखा होना चाहिए।',
+  'health.note.pkuWarning': 'PKU चेतावनी ज़रूरी है।',
+  'health.note.notInInfantFormula': 'शिशु आहार (इन्फ़ैंट फ़ॉर्मूला) में अनुमति नहीं है।',
+  'health.note.notPermitted': 'भोजन में अनुमति नहीं है।',
+  'health.note.bannedFssai2016': 'FSSAI द्वारा प्रतिबंधित (2016)।',
+  'health.note.notFlourTreatment': 'आटा उपचार एजेंट के रूप में अनुमति नहीं है।',
+  'health.note.fdaRevoked2024': 'FDA ने अनुमति रद्द की (2024)।',
+  'health.note.phoNotGras': 'आंशिक रूप से हाइड्रोजनीकृत तेल 2018 से GRAS नहीं हैं।',
+  'health.note.transFatLimitEu': 'वसा के प्रति 100 g में 2 g तक सीमित (2021)।',
+  'health.note.transFatLimitIn': 'FSSAI द्वारा कुल वसा के 2% तक सीमित (2022)।',
+  'health.note.glycidylEsters': 'ग्लाइसिडिल एस्टर के लिए अधिकतम सीमा तय है।',
+  'health.note.caffeineLabel': 'अधिक कैफ़ीन वाले पेय (>150 mg/l) पर चेतावनी लेबल ज़रूरी है।',
+
+  // Dietary profiles
+  'profile.label': 'आहार प्रोफ़ाइल:',
+  'profile.none': 'कोई नहीं',
+  'profile.edit': 'बदलें',
+  'profile.delete': 'हटाएँ',
+  'profile.new': '+ नई',
+  'profile.namePlaceholder': "प्रोफ़ाइल का नाम (जैसे 'मैं', 'बच्चे')",
+  'profile.defaultName': 'मेरी प्रोफ़ाइल',
+  'profile.allergies': 'एलर्जी',
+  'profile.diets': 'आहार',
+  'profile.avoid': 'जिनसे बचना है',
+  'profile.avoidPlaceholder': 'कॉमा से अलग करें, जैसे पाम ऑयल, एस्पार्टेम',
+  'profile.save': 'प्रोफ़ाइल सहेजें',
+  'profile.cancel': 'रद्द करें',
+  'allergy.nuts': 'मेवे',
+  'allergy.gluten': 'ग्लूटेन',
+  'allergy.lactose': 'लैक्टोज़ / दूध',
+  'allergy.egg': 'अंडा',
+  'allergy.soy': 'सोया',
+  'allergy.sesame': 'तिल',
+  'allergy.seafood': 'मछली और शेलफ़िश',
+  'diet.vegan': 'वीगन',
+  'diet.vegetarian': 'शाकाहारी',
+  'diet.halal': 'हलाल',
+  'diet.keto': 'कीटो',
+  'diet.lowSodium': 'कम सोडियम',
+  'diet.status.compatible': 'उपयुक्त',
+  'diet.status.caution': 'सावधानी',
+  'diet.status.avoid': 'न लें',
+  'diet.bannerTitle': '{profile} के लिए: {status}',
+  'diet.noConflicts': 'इस प्रोफ़ाइल से कोई टकराव नहीं मिला।',
+  'diet.reason.containsAllergen': 'इसमें {allergy} है।',
+  'diet.reason.mayContain': 'इसमें {allergy} के अंश हो सकते हैं।',
+  'diet.reason.sodiumUnknownSalt': 'इसमें नमक मिलाया गया है; सोडियम की मात्रा अज्ञात है।',
+  'diet.reason.sodiumUnknown': 'सोडियम की मात्रा अज्ञात है।',
+  'diet.reason.highSodium': 'सोडियम अधिक है (प्रति 100 ग्राम {sodium} मि.ग्रा.)।',
+  'diet.reason.moderateSodium': 'सोडियम मध्यम है (प्रति 100 ग्राम {sodium} मि.ग्रा.)।',
+  'diet.reason.notDiet': '{diet} नहीं है।',
+  'diet.reason.notDietContains': '{diet} नहीं है ({ingredient} शामिल है)।',
+  'diet.reason.unconfirmedDiet': 'पुष्टि नहीं हो सकी कि उत्पाद {diet} है।',
+  'diet.reason.avoidTerm': 'इसमें {term} है, जिससे आप बचते हैं।',
+
+  // Read aloud
+  'listen.play': 'सुनें',
+  'listen.loading': 'ऑडियो तैयार हो रहा है...',
+  'listen.pause': 'रोकें',
+  'listen.resume': 'जारी रखें',
+  'listen.stop': 'बंद करें',
+  'listen.unavailable': 'इस ब्राउज़र में पढ़कर सुनाने की सुविधा उपलब्ध नहीं है।',
+  'speech.name': '{name}।',
+  'speech.parentCompany': 'मूल कंपनी: {company}।',
+  'speech.riskScore': 'स्वास्थ्य जोखिम स्कोर: {score}।',
+  'speech.harmful': 'संभावित रूप से हानिकारक सामग्री: {items}।',
+  'speech.noHarmful': 'कोई संभावित रूप से हानिकारक सामग्री सूचीबद्ध नहीं है।',
+  'speech.customerInfo': 'महत्वपूर्ण जानकारी: {info}',
+
+  // Request status
+  'status.receiving': 'जानकारी मिल रही है...',
+  'status.rateLimited': 'अनुरोधों की सीमा पूरी हो गई। {seconds} सेकंड में फिर कोशिश होगी (प्रयास {attempt}/{max})...',
+  'status.retrying': 'सेवा उपलब्ध नहीं है। {seconds} सेकंड में फिर कोशिश होगी (प्रयास {attempt}/{max})...',
+  'status.cancel': 'रद्द करें',
+
+  // Export and share
+  'export.pdf': '📄 PDF रिपोर्ट',
+  'export.pdfBusy': 'PDF बन रही है...',
+  'export.json': '💾 JSON',
+  'export.csv': '📊 कीमत इतिहास CSV',
+  'export.share': '🔗 शेयर लिंक कॉपी करें',
+  'export.linkCopied': 'लिंक कॉपी हो गया। इसे खोलने पर यह खोज फिर से चलेगी: {url}',
+  'export.linkManual': 'खोज शेयर करने के लिए यह लिंक कॉपी करें: {url}',
+  'export.generated': '{date} को बनाई गई',
+  'export.openReport': 'सहेजी गई रिपोर्ट खोलें (JSON)',
+
+  // Offline use
+  'offline.banner': 'आप ऑफ़लाइन हैं। पहले खोजे गए उत्पाद इसी डिवाइस से खुलेंगे; नई खोजें और प्रामाणिकता जाँचें कतार में रखी जाती हैं और इंटरनेट लौटते ही अपने-आप चलेंगी।',
+  'offline.updateReady': 'ऐप का नया संस्करण उपलब्ध है।',
+  'offline.reload': 'फिर से लोड करें',
+  'offline.savedResult': 'ऑफ़लाइन: {date} को सहेजा गया परिणाम दिखाया जा रहा है।',
+  'offline.lookupQueued': 'आप ऑफ़लाइन हैं और यह उत्पाद इस डिवाइस पर पहले नहीं खोजा गया। खोज कतार में रख दी गई है और इंटरनेट लौटते ही अपने-आप चलेगी।',
+  'offline.scanQueued': 'आप ऑफ़लाइन हैं। प्रामाणिकता जाँच कतार में रख दी गई है और इंटरनेट लौटते ही अपने-आप चलेगी।',
+  'offline.queueTitle': 'ऑफ़लाइन अनुरोध ({count})',
+  'offline.kind.lookup': 'उत्पाद खोज',
+  'offline.kind.scan': 'प्रामाणिकता जाँच',
+  'offline.status.waiting': 'कनेक्शन की प्रतीक्षा',
+  'offline.status.running': 'चल रहा है...',
+  'offline.status.done': '{date} को पूरा हुआ',
+  'offline.status.failed': 'विफल: {message}',
+  'offline.open': 'खोलें',
+  'offline.retry': 'फिर से प्रयास करें',
+  'offline.remove': 'हटाएँ',
+  'offline.dismiss': 'बंद करें',
+
+  // Modal and errors
+  'modal.title': 'सूचना',
+  'modal.ok': 'ठीक है',
+  'error.enterProduct': 'कृपया उत्पाद का नाम दर्ज करें या तस्वीर अपलोड करें।',
+  'error.uploadForSearch': 'उत्पाद पहचानने के लिए कृपया एक तस्वीर अपलोड करें।',
+  'error.uploadForScan': 'स्कैन करने के लिए कृपया एक तस्वीर अपलोड करें।',
+  'error.noBarcode': 'तस्वीर में मान्य उत्पाद संख्या वाला कोई EAN-13, UPC-A या QR कोड नहीं मिला।',
+  'error.compareLimit': 'आप अधिकतम {max} उत्पादों की तुलना कर सकते हैं। पहले एक हटाएँ।',
+  'error.fetchProduct': 'उत्पाद की जानकारी नहीं मिल सकी। त्रुटि: {message}',
+  'error.scan': 'प्रामाणिकता की जाँच नहीं हो सकी। त्रुटि: {message}',
+  'error.readImage': 'तस्वीर पढ़ी नहीं जा सकी। त्रुटि: {message}',
+  'error.importRates': 'विनिमय दरें आयात नहीं हो सकीं। त्रुटि: {message}',
+  'error.updateHistory': 'इतिहास अपडेट नहीं हो सका। त्रुटि: {message}',
+  'error.deleteHistory': 'इतिहास की प्रविष्टि हटाई नहीं जा सकी। त्रुटि: {message}',
+  'error.watchlist': 'वॉचलिस्ट अपडेट नहीं हो सकी। त्रुटि: {message}',
+  'error.batchInput': 'सूची पढ़ी नहीं जा सकी। त्रुटि: {message}',
+  'error.batch.empty': 'कोई उत्पाद नाम या बारकोड नहीं मिला। हर पंक्ति में एक चिपकाएँ या नाम या बारकोड कॉलम वाली CSV लोड करें।',
+  'error.batch.tooMany': 'एक सूची में अधिकतम {max} उत्पाद हो सकते हैं; इसमें {count} हैं।',
+  'error.importReport': 'रिपोर्ट खोली नहीं जा सकी। त्रुटि: {message}',
+  'error.exportPdf': 'PDF नहीं बन सकी। त्रुटि: {message}',
+  'error.queueRequest': 'अनुरोध को बाद के लिए सहेजा नहीं जा सका। त्रुटि: {message}',
+};
+
+export default messages;
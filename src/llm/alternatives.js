@@ -0,0 +1,99 @@
+import { getProvider } from './index';
+import { parsePrice } from './normalizeProduct';
+import { assessHealthRisk } from '../health/riskEngine';
+
+export const MIN_ALTERNATIVES = 3;
+export const MAX_ALTERNATIVES = 5;
+
+export const ALTERNATIVES_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    "alternatives": {
+      "type": "ARRAY",
+      "items": {
+        "type": "OBJECT",
+        "properties": {
+          "productName": { "type": "STRING" },
+          "brand": { "type": "STRING" },
+          "reason": { "type": "STRING" },
+          "ingredients": { "type": "ARRAY", "items": { "type": "STRING" } },
+          "harmfulContent": { "type": "ARRAY", "items": { "type": "STRING" } },
+          "typicalPrice": { "type": "STRING" } // In USD, parsed like the price history
+        },
+        "required": ["productName", "reason", "ingredients", "harmfulContent"]
+      }
+    }
+  },
+  "required": ["alternatives"]
+};
+
+// Turn { productName, ingredients, harmfulContent, language } (the product just looked up)
+// into a task asking for comparable products with fewer concerning ingredients.
+export function buildAlternativesTask({ productName, ingredients = [], harmfulContent = [], language }) {
+  const details = [
+    ingredients.length > 0 ? `Its key ingredients are: ${ingredients.join('; ')}.` : '',
+    harmfulContent.length > 0 ? `Its potentially harmful or concerning content is: ${harmfulContent.join('; ')}.` : ''
+  ].filter(Boolean).join(' ');
+
+  return {
+    kind: 'alternatives',
+    prompt: `Suggest ${MIN_ALTERNATIVES} to ${MAX_ALTERNATIVES} real, widely available products in the same category as "${productName}" that a shopper could buy instead and that are healthier, with fewer or none of its concerning ingredients. ${details} Do not suggest the same product or another size of it. For each alternative, give its brand, a short reason it is the better choice (a few words, such as "no added sugar" or "palm-oil free"), its 5-7 key ingredients, any potentially harmful or concerning content it still has, and its typical current retail price in USD. Respond in JSON format according to the schema provided. Ensure all text is in ${language}.`,
+    images: [],
+    schema: ALTERNATIVES_SCHEMA,
+    input: { productName, ingredients, harmfulContent, language }
+  };
+}
+
+const cleanStrings = (value) => (Array.isArray(value) ? value : [])
+  .filter(item => typeof item === 'string' && item.trim())
+  .map(item => item.trim());
+
+// Validate the model's suggestions and score each one with the local risk engine.
+// Only alternatives scoring below `baselineScore` (the looked-up product's score) are kept,
+// lowest risk first, at most MAX_ALTERNATIVES; the product itself is dropped if suggested.
+export function normalizeAlternatives(raw, { productName = '', baselineScore = 100, region = 'US' } = {}) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.alternatives)) {
+    throw new Error('LLM response is not a list of alternatives.');
+  }
+
+  const seen = new Set([productName.trim().toLowerCase()]);
+  return raw.alternatives
+    .filter(item => item && typeof item.productName === 'string' && item.productName.trim())
+    .map(item => {
+      const alternative = {
+        productName: item.productName.trim(),
+        brand: typeof item.brand === 'string' ? item.brand.trim() : '',
+        reason: typeof item.reason === 'string' ? item.reason.trim() : '',
+        ingredients: cleanStrings(item.ingredients),
+        harmfulContent: cleanStrings(item.harmfulContent),
+        price: parsePrice(item.typicalPrice)
+      };
+      return { ...alternative, riskScore: assessHealthRisk(alternative, { region }).score };
+    })
+    .filter(alternative => {
+      const key = alternative.productName.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return alternative.riskScore < baselineScore;
+    })
+    .sort((a, b) => a.riskScore - b.riskScore)
+    .slice(0, MAX_ALTERNATIVES);
+}
+
+// Ask for alternatives to a looked-up product. `request` is { product, language, region };
+// the result is normalized (see normalizeAlternatives) against the product's own risk score.
+// Alternatives come without nutrition facts, so that score leaves the product's out too.
+export async function fetchAlternatives({ product, language, region }, { signal } = {}, provider = getProvider()) {
+  const task = buildAlternativesTask({
+    productName: product.productName,
+    ingredients: product.ingredients,
+    harmfulContent: product.harmfulContent,
+    language
+  });
+  const raw = await provider.generateJson(task, { signal });
+  return normalizeAlternatives(raw, {
+    productName: product.productName,
+    baselineScore: assessHealthRisk(product, { region, nutrition: false }).score,
+    region
+  });
+}
@@ -0,0 +1,88 @@
+import { buildAlternativesTask, fetchAlternatives, MAX_ALTERNATIVES, normalizeAlternatives } from './alternatives';
+
+const alternative = (productName, harmfulContent = [], extra = {}) => ({
+  productName,
+  brand: 'Brand',
+  reason: 'No added sugar',
+  ingredients: ['Carbonated water'],
+  harmfulContent,
+  typicalPrice: '$1.25',
+  ...extra,
+});
+
+describe('buildAlternativesTask', () => {
+  test('describes the product and asks for output in the selected language', () => {
+    const task = buildAlternativesTask({
+      productName: 'Fizzy Cola',
+      ingredients: ['Sugar', 'Caffeine'],
+      harmfulContent: ['High sugar'],
+      language: 'es-US',
+    });
+
+    expect(task.kind).toBe('alternatives');
+    expect(task.prompt).toContain('"Fizzy Cola"');
+    expect(task.prompt).toContain('Sugar; Caffeine');
+    expect(task.prompt).toContain('Ensure all text is in es-US.');
+    expect(task.input).toEqual({ productName: 'Fizzy Cola', ingredients: ['Sugar', 'Caffeine'], harmfulContent: ['High sugar'], language: 'es-US' });
+  });
+});
+
+describe('normalizeAlternatives', () => {
+  test('keeps only lower-risk alternatives, lowest risk first', () => {
+    const result = normalizeAlternatives({
+      alternatives: [
+        alternative('Diet Fizz', ['Aspartame']),
+        alternative('Plain Sparkling Water'),
+        alternative('Syrup Soda', ['High fructose corn syrup', 'Aspartame', 'Phosphoric acid', 'Caramel color']),
+      ],
+    }, { productName: 'Fizzy Cola', baselineScore: 20 });
+
+    expect(result.map(item => item.productName)).toEqual(['Plain Sparkling Water', 'Diet Fizz']);
+    expect(result[0]).toMatchObject({ brand: 'Brand', reason: 'No added sugar', price: 1.25, riskScore: 0 });
+    expect(result[1].riskScore).toBeGreaterThan(0);
+    expect(result[1].riskScore).toBeLessThan(20);
+  });
+
+  test('drops the product itself, duplicates and nameless entries', () => {
+    const result = normalizeAlternatives({
+      alternatives: [
+        alternative('fizzy cola'),
+        alternative('Sparkling Water'),
+        alternative('sparkling water '),
+        alternative('  '),
+        null,
+      ],
+    }, { productName: 'Fizzy Cola', baselineScore: 50 });
+
+    expect(result.map(item => item.productName)).toEqual(['Sparkling Water']);
+  });
+
+  test(`returns at most ${MAX_ALTERNATIVES} and tolerates missing fields`, () => {
+    const raw = { alternatives: Array.from({ length: 8 }, (_, index) => ({ productName: `Water ${index}` })) };
+    const result = normalizeAlternatives(raw, { baselineScore: 10 });
+
+    expect(result).toHaveLength(MAX_ALTERNATIVES);
+    expect(result[0]).toEqual({ productName: 'Water 0', brand: '', reason: '', ingredients: [], harmfulContent: [], price: null, riskScore: 0 });
+  });
+
+  test('rejects a response without a list of alternatives', () => {
+    expect(() => normalizeAlternatives({ products: [] })).toThrow('LLM response is not a list of alternatives.');
+  });
+});
+
+describe('fetchAlternatives', () => {
+  test('compares against the product scored without its nutrition facts, like the alternatives', async () => {
+    // All-green nutrition facts replace the sugar and salt matches, scoring 0 on their own
+    const product = {
+      productName: 'Fizzy Cola',
+      ingredients: ['Sugar', 'Salt'],
+      harmfulContent: [],
+      nutrition: { unit: 'ml', per100g: { sugarG: 1, fatG: 0, saturatedFatG: 0, sodiumMg: 10 }, perServing: {} },
+    };
+    const provider = { generateJson: jest.fn(() => Promise.resolve({ alternatives: [alternative('Sparkling Water')] })) };
+
+    const result = await fetchAlternatives({ product, language: 'en-US', region: 'US' }, {}, provider);
+
+    expect(result.map(item => item.productName)).toEqual(['Sparkling Water']);
+  });
+});
@@ -0,0 +1,89 @@
+import { getProvider } from './index';
+
+export const VERDICTS = ['original', 'fake', 'inconclusive'];
+
+// Visual signal categories the model is asked to inspect
+export const SIGNAL_CATEGORIES = {
+  logo_typography: 'Logo & typography',
+  print_quality: 'Print quality',
+  barcode_batch: 'Barcode / batch format',
+  packaging_seal: 'Packaging seals',
+  other: 'Other',
+};
+
+const ASSESSMENTS = ['consistent', 'suspicious', 'unclear'];
+
+// Below this confidence a definite verdict is reported as inconclusive
+export const MIN_CONFIDENCE = 0.6;
+
+export const AUTHENTICITY_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    "productName": { "type": "STRING" },
+    "verdict": { "type": "STRING", "enum": VERDICTS },
+    "confidence": { "type": "NUMBER" },
+    "summary": { "type": "STRING" },
+    "signals": {
+      "type": "ARRAY",
+      "items": {
+        "type": "OBJECT",
+        "properties": {
+          "category": { "type": "STRING", "enum": Object.keys(SIGNAL_CATEGORIES) },
+          "observation": { "type": "STRING" },
+          "assessment": { "type": "STRING", "enum": ASSESSMENTS }
+        },
+        "required": ["category", "observation", "assessment"]
+      }
+    }
+  },
+  "required": ["productName", "verdict", "confidence", "summary", "signals"]
+};
+
+export function buildAuthenticityTask({ images, language }) {
+  return {
+    kind: 'authenticity',
+    prompt: `You are inspecting ${images.length === 1 ? 'a photo' : `${images.length} photos`} of a retail product for signs of counterfeiting. Identify the product, then examine concrete visual signals: logo typography and spacing, print quality and colour registration, barcode and batch/lot code format, and packaging seals or tamper-evident features. For each signal you can see, describe what you observe and assess it as consistent, suspicious or unclear compared with the genuine product. Give an overall verdict of original, fake or inconclusive with a confidence between 0 and 1. Answer inconclusive if the images don't show enough detail. Respond in JSON format according to the schema provided. Ensure all text is in ${language}.`,
+    images,
+    schema: AUTHENTICITY_SCHEMA,
+    input: { language }
+  };
+}
+
+export function normalizeAuthenticity(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('LLM response is not an authenticity result.');
+  }
+
+  let confidence = typeof raw.confidence === 'number' ? raw.confidence : parseFloat(raw.confidence);
+  if (!Number.isFinite(confidence)) confidence = 0;
+  if (confidence > 1) confidence = confidence / 100; // Model answered in percent
+  confidence = Math.min(Math.max(confidence, 0), 1);
+
+  const signals = (Array.isArray(raw.signals) ? raw.signals : [])
+    .filter(signal => signal && typeof signal.observation === 'string' && signal.observation.trim())
+    .map(signal => ({
+      category: SIGNAL_CATEGORIES[signal.category] ? signal.category : 'other',
+      observation: signal.observation.trim(),
+      assessment: ASSESSMENTS.includes(signal.assessment) ? signal.assessment : 'unclear'
+    }));
+
+  let verdict = VERDICTS.includes(raw.verdict) ? raw.verdict : 'inconclusive';
+  if (verdict !== 'inconclusive' && (confidence < MIN_CONFIDENCE || signals.length === 0)) {
+    verdict = 'inconclusive';
+  }
+
+  return {
+    productName: typeof raw.productName === 'string' ? raw.productName.trim() : '',
+    verdict,
+    confidence,
+    summary: typeof raw.summary === 'string' ? raw.summary.trim() : '',
+    signals
+  };
+}
+
+// Send product photos through the active provider and return a normalized authenticity result.
+// Options: `signal` cancels the scan and onRetry reports retry waits (see http.js).
+export async function fetchAuthenticityScan(request, { signal, onRetry } = {}, provider = getProvider()) {
+  const raw = await provider.generateJson(buildAuthenticityTask(request), { signal, onRetry });
+  return normalizeAuthenticity(raw);
+}
@@ -0,0 +1,12 @@
+// LLM provider configuration, read from REACT_APP_* environment variables at build time.
+// REACT_APP_LLM_PROVIDER picks the backend: 'backend' (default, our API server in server/)
+// or 'mock'. Model API keys are only ever configured on the server (see server/config.js).
+// Variables are read one by one: CRA inlines the whole environment into the bundle wherever
+// `process.env` itself is referenced.
+export const LLM_CONFIG = {
+  provider: (process.env.REACT_APP_LLM_PROVIDER || 'backend').toLowerCase(),
+  backend: {
+    // Empty means the page's own origin; in development the dev server proxies /api (package.json "proxy")
+    baseUrl: process.env.REACT_APP_API_BASE_URL || '',
+  },
+};
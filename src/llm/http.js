@@ -0,0 +1,164 @@
+export const MAX_ATTEMPTS = 5;
+const BASE_DELAY = 1000;
+// Longest Retry-After we are willing to wait out; beyond this the request fails instead
+const MAX_RETRY_DELAY = 60 * 1000;
+// Rate limiting, timeouts and transient server errors are worth retrying; other 4xx are not
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// A non-2xx response. `status` is the HTTP status; the message comes from the error body when present.
+// `retryAfter` is the server's Retry-After in milliseconds, or null.
+export class HttpError extends Error {
+  constructor(status, message, retryAfter = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// The request never got a response (offline, DNS failure, connection reset), even after retrying
+export class NetworkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NetworkError';
+  }
+}
+
+const abortError = () => new DOMException('The request was cancelled.', 'AbortError');
+
+// Resolve after `ms`, or reject with an AbortError as soon as `signal` aborts
+export const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(abortError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  }
+});
+
+// Retry-After is either delay-seconds or an HTTP date. Returns milliseconds, or null if absent/invalid.
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\s*\d+\s*$/.test(value)) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+// Pull a readable message out of a provider error body ({ error: { message } } for Gemini and OpenAI)
+const errorMessage = async (response) => {
+  const fallback = `Request failed with status ${response.status}${response.statusText ? ` ${response.statusText}` : ''}.`;
+  try {
+    const text = await response.text();
+    try {
+      const body = JSON.parse(text);
+      const message = body && (body.error ? body.error.message || body.error : body.message);
+      return typeof message === 'string' && message ? message : fallback;
+    } catch (error) {
+      return text.trim() ? text.trim().slice(0, 300) : fallback;
+    }
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// POST a JSON body and return the successful Response.
+// Retries rate limiting (429), timeouts, 5xx and network errors with exponential backoff,
+// waiting for Retry-After when the server sends one. Other 4xx fail immediately with an HttpError;
+// running out of attempts without any response throws a NetworkError. `maxAttempts: 1` turns
+// retrying off, for callers that leave it to their own client (see server/).
+// onRetry({ attempt, maxAttempts, delayMs, status }) is called before each wait (status is null
+// for network errors). Aborting `signal` cancels both the request and any pending wait.
+export async function postWithRetry(url, body, { headers = {}, signal, onRetry, maxAttempts = MAX_ATTEMPTS } = {}) {
+  let attempt = 1;
+
+  while (true) {
+    let delay = BASE_DELAY * Math.pow(2, attempt - 1);
+    let status = null;
+    let failure;
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal
+      });
+
+      if (response.ok) return response;
+
+      status = response.status;
+      const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+      failure = new HttpError(status, await errorMessage(response), retryAfter);
+      if (!RETRYABLE_STATUSES.includes(status)) throw failure;
+
+      if (retryAfter !== null) {
+        if (retryAfter > MAX_RETRY_DELAY) throw failure;
+        delay = retryAfter;
+      }
+    } catch (error) {
+      if (error.name === 'AbortError' || error === failure) throw error;
+      console.error('Fetch error:', error);
+      failure = error;
+    }
+
+    if (attempt >= maxAttempts) {
+      if (maxAttempts === 1) throw status ? failure : new NetworkError(failure.message);
+      throw status
+        ? new HttpError(status, `Request failed after ${maxAttempts} attempts: ${failure.message}`, failure.retryAfter)
+        : new NetworkError(`Request failed after ${maxAttempts} attempts.`);
+    }
+
+    console.warn(`${status === 429 ? 'Rate limit hit' : 'Request failed'}. Retrying in ${delay / 1000} seconds...`);
+    if (onRetry) onRetry({ attempt, maxAttempts, delayMs: delay, status });
+    await wait(delay, signal);
+    attempt++;
+  }
+}
+
+// POST a JSON body and return the parsed JSON response (see postWithRetry for the retry policy).
+export async function postJson(url, body, options = {}) {
+  const response = await postWithRetry(url, body, options);
+  return response.json();
+}
+
+// POST a JSON body to a server-sent events endpoint and call onEvent(data) for every
+// `data:` line as it arrives. Retries only happen before the stream starts.
+export async function postEventStream(url, body, { onEvent, ...options }) {
+  const response = await postWithRetry(url, body, options);
+  const emitLines = (lines) => lines.forEach(line => {
+    if (line.startsWith('data:')) onEvent(line.slice(5).trim());
+  });
+
+  // Environments without streaming bodies still get the events, just all at once
+  if (!response.body || !response.body.getReader) {
+    emitLines((await response.text()).split(/\r?\n/));
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    emitLines(lines);
+  }
+  emitLines([buffer + decoder.decode()]);
+}
+
+// Parse the model's full JSON text, with a clear error when it isn't JSON
+export function parseModelJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error('The model returned malformed JSON.');
+  }
+}
@@ -0,0 +1,72 @@
+import { HttpError, NetworkError, parseRetryAfter, postJson } from './http';
+
+const jsonResponse = (body, status = 200, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+// Serve the queued responses in order; a function entry throws like a failed fetch
+const queueResponses = (...queue) => {
+  const calls = [];
+  window.fetch = async (url, options) => {
+    calls.push({ url, options });
+    const next = queue.shift();
+    if (typeof next === 'function') return next();
+    return next;
+  };
+  return calls;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('parseRetryAfter', () => {
+  test('reads delay-seconds and HTTP dates', () => {
+    const now = Date.parse('2024-06-01T12:00:00Z');
+    expect(parseRetryAfter('7', now)).toBe(7000);
+    expect(parseRetryAfter('Sat, 01 Jun 2024 12:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Sat, 01 Jun 2024 11:00:00 GMT', now)).toBe(0);
+  });
+
+  test('ignores missing and invalid values', () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('postJson', () => {
+  test('retries a 429 after Retry-After and reports the wait', async () => {
+    const calls = queueResponses(
+      jsonResponse({ error: { message: 'Slow down.' } }, 429, { 'Retry-After': '0' }),
+      jsonResponse({ ok: true })
+    );
+    const retries = [];
+
+    await expect(postJson('/api/test', { q: 1 }, { onRetry: (retry) => retries.push(retry) })).resolves.toEqual({ ok: true });
+    expect(calls).toHaveLength(2);
+    expect(JSON.parse(calls[1].options.body)).toEqual({ q: 1 });
+    expect(retries).toEqual([{ attempt: 1, maxAttempts: 5, delayMs: 0, status: 429 }]);
+  });
+
+  test('gives up on a Retry-After longer than a minute', async () => {
+    queueResponses(jsonResponse({ error: { message: 'Quota exhausted.' } }, 429, { 'Retry-After': '3600' }));
+
+    const error = await postJson('/api/test', {}).catch(caught => caught);
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error).toMatchObject({ status: 429, message: 'Quota exhausted.', retryAfter: 3600000 });
+  });
+
+  test('fails other 4xx immediately with the error body message', async () => {
+    const calls = queueResponses(jsonResponse({ error: { message: 'Bad request body.' } }, 400));
+
+    await expect(postJson('/api/test', {})).rejects.toMatchObject({ name: 'HttpError', status: 400, message: 'Bad request body.' });
+    expect(calls).toHaveLength(1);
+  });
+
+  test('throws a NetworkError when no attempt gets a response', async () => {
+    const offline = () => { throw new TypeError('Failed to fetch'); };
+    queueResponses(offline);
+
+    await expect(postJson('/api/test', {}, { maxAttempts: 1 })).rejects.toBeInstanceOf(NetworkError);
+  });
+});
@@ -0,0 +1,41 @@
+import { LLM_CONFIG } from './config';
+import { createBackendProvider } from './providers/backend';
+import { createMockProvider } from './providers/mock';
+
+// Every provider exposes the same interface:
+//   generateJson({ kind, prompt, images: [{ mimeType, data }], schema, input }, { signal, onRetry, onText })
+//     -> parsed JSON object
+// `kind` names the task (e.g. 'product'), `input` carries the original request for providers
+// (like the mock) that don't read the prompt. The options are all optional: `signal` (AbortSignal)
+// cancels the request, onRetry is forwarded to the HTTP retry policy (see http.js), and onText
+// switches to a streamed response, called with the accumulated text as chunks arrive.
+// Providers with a speech backend also expose synthesizeSpeech(text) -> { mimeType, data }
+// (base64 PCM); without it the app reads aloud with the browser's speechSynthesis.
+// The browser only uses the API server or the mock; the Gemini and OpenAI adapters run on the
+// server (see server/provider.js) so their keys never reach the client.
+const PROVIDER_FACTORIES = {
+  backend: () => createBackendProvider(LLM_CONFIG.backend),
+  mock: () => createMockProvider(),
+};
+
+export function createProvider(name = LLM_CONFIG.provider) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}.`);
+  }
+  return factory();
+}
+
+let activeProvider = null;
+
+export function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider();
+  }
+  return activeProvider;
+}
+
+// Swap the active provider (used by tests and local tooling).
+export function setProvider(provider) {
+  activeProvider = provider;
+}
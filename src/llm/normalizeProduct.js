@@ -0,0 +1,180 @@
+import { PRODUCT_SCHEMA } from './productSchema';
+import { normalizeProvenance } from './provenance';
+import { normalizeNutrition } from '../health/nutrition';
+
+const MIN_YEAR = 1800;
+
+// Parse a price the model returned as a string ("$1,299.00", "1.299,00 €", "N/A") into a number.
+// Returns null when no usable number can be found.
+export function parsePrice(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  let cleaned = value.replace(/[^0-9.,]/g, '');
+  if (!/[0-9]/.test(cleaned)) return null;
+
+  const lastComma = cleaned.lastIndexOf(',');
+  const lastDot = cleaned.lastIndexOf('.');
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Whichever separator comes last is the decimal separator.
+    cleaned = lastComma > lastDot
+      ? cleaned.replace(/\./g, '').replace(',', '.')
+      : cleaned.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    // "1,299" is a thousands separator, "1,99" is a decimal comma.
+    const decimals = cleaned.length - lastComma - 1;
+    cleaned = decimals === 3 || cleaned.indexOf(',') !== lastComma
+      ? cleaned.replace(/,/g, '')
+      : cleaned.replace(',', '.');
+  } else if (cleaned.indexOf('.') !== lastDot) {
+    // "1.299.000" - dots used as thousands separators.
+    cleaned = cleaned.replace(/\./g, '');
+  }
+
+  const price = parseFloat(cleaned);
+  return Number.isFinite(price) ? price : null;
+}
+
+export function parseYear(value) {
+  const year = typeof value === 'number' ? value : parseInt(String(value).trim(), 10);
+  const maxYear = new Date().getFullYear() + 1;
+  if (!Number.isInteger(year) || year < MIN_YEAR || year > maxYear) return null;
+  return year;
+}
+
+// Coerce a value to the shape described by a Gemini-style schema node.
+// Returns undefined when the value can't be coerced; array items that fail are dropped.
+function coerce(value, schema, path, warnings) {
+  if (value === undefined || value === null) return undefined;
+
+  switch (schema.type) {
+    case 'STRING': {
+      let text;
+      if (typeof value === 'string') text = value.trim();
+      else if (typeof value === 'number' || typeof value === 'boolean') text = String(value);
+      else return undefined;
+      if (schema.enum) {
+        text = text.toLowerCase();
+        return schema.enum.includes(text) ? text : undefined;
+      }
+      return text;
+    }
+    case 'NUMBER': {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case 'ARRAY': {
+      if (!Array.isArray(value)) return undefined;
+      const items = [];
+      value.forEach((item, index) => {
+        const coerced = coerce(item, schema.items, `${path}[${index}]`, warnings);
+        if (coerced === undefined || coerced === '') {
+          warnings.push(`Dropped invalid entry ${path}[${index}].`);
+        } else {
+          items.push(coerced);
+        }
+      });
+      return items;
+    }
+    case 'OBJECT': {
+      if (typeof value !== 'object' || Array.isArray(value)) return undefined;
+      const result = {};
+      Object.entries(schema.properties).forEach(([key, propSchema]) => {
+        const coerced = coerce(value[key], propSchema, `${path}.${key}`, warnings);
+        if (coerced !== undefined) result[key] = coerced;
+      });
+      return result;
+    }
+    default:
+      return value;
+  }
+}
+
+const EMPTY_VALUES = { STRING: '', NUMBER: 0, ARRAY: [], OBJECT: {} };
+
+function normalizePriceHistory(points, warnings) {
+  const byYear = new Map();
+  points.forEach(point => {
+    const year = parseYear(point.year);
+    const price = parsePrice(point.price);
+    if (year === null || price === null) {
+      warnings.push(`Dropped price point ${JSON.stringify(point)}: invalid ${year === null ? 'year' : 'price'}.`);
+      return;
+    }
+    if (byYear.has(year)) {
+      warnings.push(`Duplicate price for ${year}; kept the first value.`);
+      return;
+    }
+    byYear.set(year, point.source ? { year, price, source: point.source } : { year, price });
+  });
+  return [...byYear.values()].sort((a, b) => a.year - b.year);
+}
+
+function dedupeStrings(items) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = item.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Validate the raw LLM output against PRODUCT_SCHEMA and normalize it into a product
+// that is always safe to render. Missing or invalid required fields are replaced with
+// empty values and reported in `dataQuality` so the UI can show a partial-data state.
+// `provenance` always has an entry for every PROVENANCE_FIELDS field (see provenance.js), and
+// price points keep their `source` when the model cited one. `nutrition` is null when the
+// model gave no nutrition facts (see health/nutrition.js).
+// `quiet` skips the console warning, for previews of a response that is still streaming.
+export function normalizeProduct(raw, fallbackName = '', { quiet = false } = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('LLM response is not a product object.');
+  }
+
+  const warnings = [];
+  const product = coerce(raw, PRODUCT_SCHEMA, 'product', warnings);
+  const missingFields = [];
+
+  PRODUCT_SCHEMA.required.forEach(field => {
+    const value = product[field];
+    // An empty array is a legitimate answer (e.g. no harmful content); a blank string is not.
+    if (value === undefined || value === '') {
+      missingFields.push(field);
+      if (value === undefined) {
+        product[field] = EMPTY_VALUES[PRODUCT_SCHEMA.properties[field].type];
+      }
+    }
+  });
+
+  if (!product.productName && fallbackName) {
+    product.productName = fallbackName.trim();
+  }
+
+  product.priceHistory = normalizePriceHistory(product.priceHistory, warnings);
+  product.provenance = normalizeProvenance(product.provenance);
+  product.nutrition = normalizeNutrition(product.nutrition);
+  ['ingredients', 'goodContent', 'harmfulContent'].forEach(field => {
+    product[field] = dedupeStrings(product[field]);
+  });
+
+  if (Array.isArray(raw.priceHistory) && raw.priceHistory.length > 0 && product.priceHistory.length === 0 &&
+      !missingFields.includes('priceHistory')) {
+    missingFields.push('priceHistory');
+  }
+
+  if (warnings.length > 0 && !quiet) {
+    console.warn('Product response normalized with warnings:', warnings);
+  }
+
+  return {
+    ...product,
+    dataQuality: {
+      partial: missingFields.length > 0,
+      missingFields,
+      warnings
+    }
+  };
+}
@@ -0,0 +1,97 @@
+import { normalizeProduct, parsePrice, parseYear } from './normalizeProduct';
+
+const RAW = {
+  productName: 'Fizzy Cola',
+  parentCompany: 'Fizz Corp',
+  priceHistory: [{ year: 2023, price: '$1.50' }, { year: 2020, price: '$1.00' }],
+  ingredients: ['Carbonated water', 'Sugar'],
+  content: 'A sweet carbonated soft drink.',
+  goodContent: [],
+  harmfulContent: ['High sugar'],
+  customerInfo: 'Best served cold.',
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('parsePrice', () => {
+  test('reads thousands separators and decimal commas', () => {
+    expect(parsePrice('1,299.00')).toBe(1299);
+    expect(parsePrice('$1,299.00')).toBe(1299);
+    expect(parsePrice('1.299,00 €')).toBe(1299);
+    expect(parsePrice('1.299.000')).toBe(1299000);
+    expect(parsePrice('1,299')).toBe(1299);
+    expect(parsePrice('1,99')).toBe(1.99);
+    expect(parsePrice('USD 0.99')).toBe(0.99);
+  });
+
+  test('returns null without a usable number', () => {
+    expect(parsePrice('N/A')).toBeNull();
+    expect(parsePrice('')).toBeNull();
+    expect(parsePrice(null)).toBeNull();
+    expect(parsePrice(-1)).toBeNull();
+    expect(parsePrice(NaN)).toBeNull();
+    expect(parsePrice(2.5)).toBe(2.5);
+  });
+});
+
+test('parseYear accepts numbers and numeric strings up to next year', () => {
+  expect(parseYear(' 2020 ')).toBe(2020);
+  expect(parseYear(2021)).toBe(2021);
+  expect(parseYear('around 2020')).toBeNull();
+  expect(parseYear(1700)).toBeNull();
+  expect(parseYear(new Date().getFullYear() + 2)).toBeNull();
+});
+
+describe('normalizeProduct', () => {
+  test('sorts the price history by year and parses its prices', () => {
+    const product = normalizeProduct(RAW);
+
+    expect(product.priceHistory).toEqual([{ year: 2020, price: 1 }, { year: 2023, price: 1.5 }]);
+    expect(product.dataQuality).toEqual({ partial: false, missingFields: [], warnings: [] });
+  });
+
+  test('keeps the first price of a duplicate year and drops unusable points', () => {
+    const product = normalizeProduct({
+      ...RAW,
+      priceHistory: [
+        { year: '2020', price: '$1.00' },
+        { year: 2020, price: '$9.00' },
+        { year: 2021, price: 'N/A' },
+        { year: 'unknown', price: '$2.00' },
+        { year: 2022, price: '1,299.00' },
+      ],
+    });
+
+    expect(product.priceHistory).toEqual([{ year: 2020, price: 1 }, { year: 2022, price: 1299 }]);
+    expect(product.dataQuality.warnings).toEqual([
+      'Duplicate price for 2020; kept the first value.',
+      'Dropped price point {"year":2021,"price":"N/A"}: invalid price.',
+      // The schema coercion already dropped the non-numeric year
+      'Dropped price point {"price":"$2.00"}: invalid year.',
+    ]);
+    expect(product.dataQuality.partial).toBe(false);
+  });
+
+  test('fills missing arrays with empty ones and reports them', () => {
+    const { ingredients, harmfulContent, priceHistory, ...rest } = RAW;
+    const product = normalizeProduct(rest);
+
+    expect(product).toMatchObject({ ingredients: [], harmfulContent: [], priceHistory: [] });
+    expect(product.dataQuality.partial).toBe(true);
+    expect(product.dataQuality.missingFields).toEqual(expect.arrayContaining(['ingredients', 'harmfulContent', 'priceHistory']));
+  });
+
+  test('reports a price history whose points were all unusable', () => {
+    const product = normalizeProduct({ ...RAW, priceHistory: [{ year: 2020, price: 'N/A' }] });
+
+    expect(product.priceHistory).toEqual([]);
+    expect(product.dataQuality.missingFields).toEqual(['priceHistory']);
+  });
+
+  test('uses the searched name when the model gives none, and rejects non-objects', () => {
+    expect(normalizeProduct({ ...RAW, productName: '' }, ' Fizzy Cola ').productName).toBe('Fizzy Cola');
+    expect(() => normalizeProduct([RAW])).toThrow('LLM response is not a product object.');
+  });
+});
@@ -0,0 +1,45 @@
+// Best-effort parsing of a JSON document that is still streaming in, so the fields that
+// have already arrived can be rendered before the response is complete.
+
+// Close any open string, array and object in a truncated JSON text
+function closeJson(text) {
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      closers.push('}');
+    } else if (char === '[') {
+      closers.push(']');
+    } else if (char === '}' || char === ']') {
+      closers.pop();
+    }
+  }
+
+  let closed = text;
+  if (inString) closed = `${escaped ? closed.slice(0, -1) : closed}"`;
+  closed = closed.replace(/,\s*$/, '');
+  return closed + closers.reverse().join('');
+}
+
+// Parse as much of `text` as possible. A dangling key, number or literal at the end is
+// dropped by backing off one character at a time until the closed document parses.
+// Returns null when nothing usable has arrived yet.
+export function parsePartialJson(text) {
+  let candidate = (text || '').trim();
+  while (candidate) {
+    try {
+      return JSON.parse(closeJson(candidate));
+    } catch (error) {
+      candidate = candidate.slice(0, -1);
+    }
+  }
+  return null;
+}
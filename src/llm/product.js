@@ -0,0 +1,65 @@
+import { getProvider } from './index';
+import { PRODUCT_SCHEMA } from './productSchema';
+import { normalizeProduct } from './normalizeProduct';
+import { parsePartialJson } from './partialJson';
+
+// The price history runs up to the current year, whose price is what the watchlist records
+const basePrompt = () => `Provide detailed information for the product. Include its parent company, a brief price history in USD from its launch up to the current year, ${new Date().getFullYear()}, a list of 5-7 key ingredients, a general description of its content, and an analysis of which content/ingredients are generally considered good/beneficial and which might be harmful/concerning. Also, add any other necessary information for a customer. In dietaryAttributes, list the declared allergens and any "may contain" trace allergens, say whether the product is vegan, vegetarian, halal and keto-friendly (yes, no or unknown), and give its sodium content in mg per 100 g if known. In nutrition, give the energy (kcal), sugar, fat, saturated fat, protein and fiber (g) and sodium (mg) per 100 g (per 100 ml for drinks, with unit "ml") and per serving, with the serving size as printed and in g or ml; convert salt to sodium by dividing by 2.5, and set basis to "typical" for values not read from a label. Do not present estimates as facts: for each price, give the source it was published in (a URL or the publication's name) if you know one, and leave the source empty when the price is your own estimate. In provenance, rate your confidence (high, medium or low) in the parent company, the price history, the ingredients, the harmful content and the customer information, and list the sources (title and URL) each is based on, or none if it is from general knowledge. Respond in JSON format according to the schema provided.`;
+
+// Photos may include the back panel: its nutrition table beats typical values
+const LABEL_PROMPT = `If a nutrition facts table is visible in any image (usually on the back panel), copy its per-100 g (or 100 ml) and per-serving values into nutrition exactly as printed, and set basis to "label".`;
+
+// Turn a product request ({ productName }, { gtin } or { images: [{ mimeType, data }] }, plus language)
+// into a provider-neutral task.
+export function buildProductTask({ productName, gtin, images = [], language }) {
+  if (gtin) {
+    return {
+      kind: 'product',
+      prompt: `${basePrompt().replace('the product', `the product with barcode GTIN ${gtin}`)} Only describe the product registered under this exact GTIN. Ensure all text is in ${language}.`,
+      images: [],
+      schema: PRODUCT_SCHEMA,
+      input: { gtin, language }
+    };
+  }
+
+  if (images.length > 0) {
+    const identify = images.length === 1
+      ? 'Identify the product in this image.'
+      : `Identify the product shown in these ${images.length} images; they are different views of the same product (e.g. front label, ingredient panel, nutrition facts table, barcode).`;
+    return {
+      kind: 'product',
+      prompt: `${identify} Then, ${basePrompt()} ${LABEL_PROMPT} Ensure all text is in ${language}.`,
+      images,
+      schema: PRODUCT_SCHEMA,
+      input: { language }
+    };
+  }
+
+  return {
+    kind: 'product',
+    prompt: `${basePrompt().replace('the product', `the product "${productName}"`)} Ensure all text is in ${language}.`,
+    images: [],
+    schema: PRODUCT_SCHEMA,
+    input: { productName, language }
+  };
+}
+
+// Barcode lookups keep the exact GTIN that was scanned
+const withGtin = (product, request) => (request.gtin ? { ...product, gtin: request.gtin } : product);
+
+// Look up a product and return it validated and normalized (see normalizeProduct).
+// Options: `signal` cancels the lookup, onRetry reports retry waits (see http.js), and
+// onPartial(preview) streams the response: it is called with a normalized preview of the fields
+// received so far, plus `receivedFields` listing which of them have arrived. `fresh` bypasses
+// the API server's lookup cache (see providers/backend.js).
+export async function fetchProductDetails(request, { signal, onRetry, onPartial, fresh } = {}, provider = getProvider()) {
+  const onText = onPartial && ((text) => {
+    const partial = parsePartialJson(text);
+    if (!partial || typeof partial !== 'object' || Array.isArray(partial)) return;
+    const preview = normalizeProduct(partial, request.productName, { quiet: true });
+    onPartial({ ...withGtin(preview, request), receivedFields: Object.keys(partial) });
+  });
+
+  const raw = await provider.generateJson(buildProductTask(request), { signal, onRetry, onText, fresh });
+  return withGtin(normalizeProduct(raw, request.productName), request);
+}
@@ -0,0 +1,100 @@
+import { NUTRIENTS } from '../health/nutrition';
+
+// Fields whose confidence and sources the model reports in `provenance`
+export const PROVENANCE_FIELDS = ['parentCompany', 'priceHistory', 'ingredients', 'harmfulContent', 'customerInfo'];
+
+const FIELD_PROVENANCE_SCHEMA = {
+  "type": "OBJECT",
+  "properties": {
+    "confidence": { "type": "STRING", "enum": ["high", "medium", "low"] },
+    "sources": {
+      "type": "ARRAY",
+      "items": {
+        "type": "OBJECT",
+        "properties": {
+          "title": { "type": "STRING" },
+          "url": { "type": "STRING" }
+        }
+      }
+    }
+  }
+};
+
+// Nutrient amounts: energyKcal, sugarG, fatG, saturatedFatG, sodiumMg, proteinG, fiberG
+const NUTRIENT_VALUES_SCHEMA = {
+  "type": "OBJECT",
+  "properties": Object.fromEntries(NUTRIENTS.map(key => [key, { "type": "NUMBER" }]))
+};
+
+// Response schema sent with every product lookup. Gemini-style (upper-case OpenAPI types);
+// adapters convert it to their own format and normalizeProduct validates against it.
+export const PRODUCT_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    "productName": { "type": "STRING" },
+    "parentCompany": { "type": "STRING" },
+    "priceHistory": {
+      "type": "ARRAY",
+      "items": {
+        "type": "OBJECT",
+        "properties": {
+          "year": { "type": "NUMBER" },
+          "price": { "type": "STRING" }, // LLM still returns string, we parse it
+          // Where the price was published; left empty for the model's own estimates
+          "source": { "type": "STRING" }
+        }
+      }
+    },
+    "ingredients": {
+      "type": "ARRAY",
+      "items": { "type": "STRING" }
+    },
+    "content": { "type": "STRING" },
+    "goodContent": { "type": "ARRAY", "items": { "type": "STRING" } },
+    "harmfulContent": { "type": "ARRAY", "items": { "type": "STRING" } },
+    "customerInfo": { "type": "STRING" },
+    // Attributes needed to check the product against dietary profiles (optional, so
+    // older saved products stay valid)
+    "dietaryAttributes": {
+      "type": "OBJECT",
+      "properties": {
+        "allergens": { "type": "ARRAY", "items": { "type": "STRING" } },
+        "mayContain": { "type": "ARRAY", "items": { "type": "STRING" } },
+        "vegan": { "type": "STRING", "enum": ["yes", "no", "unknown"] },
+        "vegetarian": { "type": "STRING", "enum": ["yes", "no", "unknown"] },
+        "halal": { "type": "STRING", "enum": ["yes", "no", "unknown"] },
+        "keto": { "type": "STRING", "enum": ["yes", "no", "unknown"] },
+        "sodiumMgPer100g": { "type": "NUMBER" }
+      }
+    },
+    // Nutrition facts per 100 g (100 ml for drinks) and per serving; `basis` says whether
+    // they were read from a nutrition label in the photos or are typical values (optional)
+    "nutrition": {
+      "type": "OBJECT",
+      "properties": {
+        "basis": { "type": "STRING", "enum": ["label", "typical"] },
+        "unit": { "type": "STRING", "enum": ["g", "ml"] },
+        "servingSize": { "type": "STRING" },
+        "servingSizeGrams": { "type": "NUMBER" },
+        "per100g": NUTRIENT_VALUES_SCHEMA,
+        "perServing": NUTRIENT_VALUES_SCHEMA
+      }
+    },
+    // How sure the model is of each fact and where it comes from (optional, like
+    // dietaryAttributes)
+    "provenance": {
+      "type": "OBJECT",
+      "properties": Object.fromEntries(PROVENANCE_FIELDS.map(field => [field, FIELD_PROVENANCE_SCHEMA]))
+    }
+  },
+  "required": [
+    "productName",
+    "parentCompany",
+    "priceHistory",
+    "ingredients",
+    "content",
+    "goodContent",
+    "harmfulContent",
+    "customerInfo"
+  ]
+};
@@ -0,0 +1,56 @@
+import { PROVENANCE_FIELDS } from './productSchema';
+
+// A field cites at most this many sources
+const MAX_SOURCES = 5;
+
+// Only web links are kept as URLs; anything else (javascript:, relative paths, ...) is dropped
+export function safeUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+function normalizeSources(sources = []) {
+  const seen = new Set();
+  return sources
+    .map(({ title = '', url = '' }) => {
+      const href = safeUrl(url);
+      return { title: title || (href ? new URL(href).hostname : ''), url: href };
+    })
+    .filter(source => {
+      const key = (source.url || source.title).toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_SOURCES);
+}
+
+// One entry per PROVENANCE_FIELDS field: { confidence: 'high' | 'medium' | 'low' | null, sources }.
+// `coerced` is the schema-coerced provenance object (or undefined when the model sent none);
+// a confidence the model didn't state is null.
+export function normalizeProvenance(coerced = {}) {
+  return Object.fromEntries(PROVENANCE_FIELDS.map(field => {
+    const entry = coerced[field] || {};
+    return [field, { confidence: entry.confidence || null, sources: normalizeSources(entry.sources) }];
+  }));
+}
+
+// A price point counts as sourced when the model named where it was published
+export const isEstimatedPrice = (point) => !point.source;
+
+// What the UI flags about a field: low (or unstated) confidence, and no sources. A price history
+// with sourced points counts as sourced even without field-level sources.
+export function provenanceFlags(product, field) {
+  const entry = (product.provenance && product.provenance[field]) || { confidence: null, sources: [] };
+  const sourcedPrices = field === 'priceHistory' && (product.priceHistory || []).some(point => !isEstimatedPrice(point));
+  return {
+    confidence: entry.confidence,
+    lowConfidence: entry.confidence === 'low' || entry.confidence === null,
+    unsourced: entry.sources.length === 0 && !sourcedPrices,
+    sources: entry.sources,
+  };
+}
@@ -0,0 +1,93 @@
+import { normalizeProduct } from './normalizeProduct';
+import { provenanceFlags, safeUrl } from './provenance';
+import { priceHistoryToCsv } from '../export/productReport';
+
+const RAW = {
+  productName: 'Fizzy Cola',
+  parentCompany: 'Fizz Corp',
+  priceHistory: [
+    { year: 2020, price: '$1.00' },
+    { year: 2023, price: '$1.50', source: 'https://example.com/price-list-2023' },
+  ],
+  ingredients: ['Carbonated water', 'Sugar'],
+  content: 'A sweet carbonated soft drink.',
+  goodContent: [],
+  harmfulContent: ['High sugar'],
+  customerInfo: 'Best served cold.',
+  provenance: {
+    parentCompany: {
+      confidence: 'High',
+      sources: [
+        { title: 'Fizz Corp brands', url: 'https://example.com/brands' },
+        { title: 'Duplicate', url: 'https://example.com/brands' },
+        { title: '', url: 'data:text/html,<b>hi</b>' },
+        { title: '', url: 'https://news.example.org/fizz' },
+      ],
+    },
+    ingredients: { confidence: 'low', sources: [{ title: 'Product label' }] },
+    harmfulContent: { confidence: 'certain' },
+  },
+};
+
+describe('normalizeProduct provenance', () => {
+  test('keeps confidence and safe, deduplicated sources for every field', () => {
+    const { provenance } = normalizeProduct(RAW);
+
+    expect(provenance).toEqual({
+      parentCompany: {
+        confidence: 'high',
+        sources: [
+          { title: 'Fizz Corp brands', url: 'https://example.com/brands' },
+          { title: 'news.example.org', url: 'https://news.example.org/fizz' },
+        ],
+      },
+      priceHistory: { confidence: null, sources: [] },
+      ingredients: { confidence: 'low', sources: [{ title: 'Product label', url: '' }] },
+      harmfulContent: { confidence: null, sources: [] },
+      customerInfo: { confidence: null, sources: [] },
+    });
+  });
+
+  test('keeps the source of sourced prices only', () => {
+    expect(normalizeProduct(RAW).priceHistory).toEqual([
+      { year: 2020, price: 1 },
+      { year: 2023, price: 1.5, source: 'https://example.com/price-list-2023' },
+    ]);
+  });
+
+  test('gives products without provenance an empty entry per field', () => {
+    const { provenance, ...rest } = RAW;
+    expect(normalizeProduct(rest).provenance.customerInfo).toEqual({ confidence: null, sources: [] });
+  });
+});
+
+describe('provenanceFlags', () => {
+  const product = normalizeProduct(RAW);
+
+  test('flags low or unstated confidence and missing sources', () => {
+    expect(provenanceFlags(product, 'parentCompany')).toMatchObject({ lowConfidence: false, unsourced: false });
+    expect(provenanceFlags(product, 'ingredients')).toMatchObject({ lowConfidence: true, unsourced: false });
+    expect(provenanceFlags(product, 'customerInfo')).toMatchObject({ confidence: null, lowConfidence: true, unsourced: true });
+  });
+
+  test('counts sourced price points as sources for the price history', () => {
+    expect(provenanceFlags(product, 'priceHistory').unsourced).toBe(false);
+    expect(provenanceFlags({ ...product, priceHistory: [{ year: 2020, price: 1 }] }, 'priceHistory').unsourced).toBe(true);
+  });
+});
+
+test('safeUrl only accepts web links', () => {
+  expect(safeUrl('https://example.com/a b')).toBe('https://example.com/a%20b');
+  expect(safeUrl('data:text/html,<b>hi</b>')).toBe('');
+  expect(safeUrl('Annual report 2023')).toBe('');
+});
+
+test('priceHistoryToCsv labels each price estimated or sourced', () => {
+  const csv = priceHistoryToCsv(normalizeProduct(RAW), { currency: 'EUR', convertPrice: (price) => price * 2 });
+
+  expect(csv.split('\r\n')).toEqual([
+    'year,price_usd,price_eur,basis,source',
+    '2020,1.00,2.00,estimated,',
+    '2023,1.50,3.00,sourced,https://example.com/price-list-2023',
+  ]);
+});
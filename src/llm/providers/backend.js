@@ -0,0 +1,52 @@
+import { parseModelJson, postEventStream, postJson } from '../http';
+
+// API server endpoint for each task kind
+const ENDPOINTS = {
+  product: '/api/product-lookup',
+  authenticity: '/api/authenticity-scan',
+  alternatives: '/api/alternatives',
+};
+
+// Adapter for our API server (server/), which holds the model keys and builds the prompts itself.
+// Only the original request (query or images, plus language) is sent; the server answers with the
+// model's JSON, or with `data: { "text": chunk }` events when streaming. Errors use the usual
+// { error: { message } } body, so the retry policy in http.js applies unchanged. `fresh` asks
+// the server for a new model answer instead of its cached one.
+export const createBackendProvider = ({ baseUrl }) => {
+  const generateJson = async (task, { signal, onRetry, onText, fresh = false } = {}) => {
+    const endpoint = ENDPOINTS[task.kind];
+    if (!endpoint) {
+      throw new Error(`The API server has no endpoint for "${task.kind}".`);
+    }
+    const body = { ...task.input, images: task.images, ...(fresh && { fresh: true }) };
+
+    if (!onText) {
+      return postJson(`${baseUrl}${endpoint}`, body, { signal, onRetry });
+    }
+
+    let text = '';
+    await postEventStream(`${baseUrl}${endpoint}`, { ...body, stream: true }, {
+      signal,
+      onRetry,
+      onEvent: (data) => {
+        const event = parseModelJson(data);
+        // The model failed after the stream had started
+        if (event.error) throw new Error(event.error.message);
+        if (event.text) {
+          text += event.text;
+          onText(text);
+        }
+      }
+    });
+    if (!text) {
+      throw new Error('Invalid response structure from LLM.');
+    }
+    return parseModelJson(text);
+  };
+
+  // Text-to-speech through the server; fails (and the app uses the browser voice) when the
+  // server's model has no speech backend
+  const synthesizeSpeech = (text) => postJson(`${baseUrl}/api/speech`, { text });
+
+  return { name: 'backend', generateJson, synthesizeSpeech };
+};
@@ -0,0 +1,87 @@
+import { parseModelJson, postEventStream, postJson } from '../http';
+
+// Google Gemini generateContent adapter. `maxAttempts` is passed to the HTTP retry policy (http.js).
+export const createGeminiProvider = ({ apiKey, model, baseUrl, ttsModel, ttsVoice, maxAttempts }) => {
+  const buildPayload = ({ prompt, images = [], schema }) => {
+    const contents = [{ role: "user", parts: [{ text: prompt }] }];
+    images.forEach(image => {
+      contents.push({
+        role: "user",
+        parts: [{ inlineData: { mimeType: image.mimeType, data: image.data } }]
+      });
+    });
+
+    return {
+      contents,
+      generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: schema
+      },
+      model
+    };
+  };
+
+  const candidateText = (result) => {
+    if (!result || !result.candidates || result.candidates.length === 0 ||
+        !result.candidates[0].content || !result.candidates[0].content.parts ||
+        result.candidates[0].content.parts.length === 0) {
+      return null;
+    }
+    return result.candidates[0].content.parts.map(part => part.text || '').join('');
+  };
+
+  // With onText, the response is streamed and onText(textSoFar) is called as chunks arrive
+  const generateJson = async (task, { signal, onRetry, onText } = {}) => {
+    if (!onText) {
+      const apiUrl = `${baseUrl}/models/${model}:generateContent?key=${apiKey}`;
+      const text = candidateText(await postJson(apiUrl, buildPayload(task), { signal, onRetry, maxAttempts }));
+      if (text === null) {
+        throw new Error('Invalid response structure from LLM.');
+      }
+      return parseModelJson(text);
+    }
+
+    const apiUrl = `${baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`;
+    let text = '';
+    await postEventStream(apiUrl, buildPayload(task), {
+      signal,
+      onRetry,
+      maxAttempts,
+      onEvent: (data) => {
+        const chunk = candidateText(parseModelJson(data));
+        if (chunk) {
+          text += chunk;
+          onText(text);
+        }
+      }
+    });
+    if (!text) {
+      throw new Error('Invalid response structure from LLM.');
+    }
+    return parseModelJson(text);
+  };
+
+  // Text-to-speech: returns base64 16-bit PCM audio as { mimeType, data }
+  const synthesizeSpeech = async (text) => {
+    const apiUrl = `${baseUrl}/models/${ttsModel}:generateContent?key=${apiKey}`;
+    const result = await postJson(apiUrl, {
+      contents: [{ parts: [{ text }] }],
+      generationConfig: {
+        responseModalities: ["AUDIO"],
+        speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: ttsVoice } } }
+      },
+      model: ttsModel
+    }, { maxAttempts });
+
+    const part = result && result.candidates && result.candidates[0] &&
+      result.candidates[0].content && result.candidates[0].content.parts &&
+      result.candidates[0].content.parts[0];
+    if (!part || !part.inlineData || !part.inlineData.data) {
+      throw new Error('Invalid audio response from speech model.');
+    }
+
+    return part.inlineData;
+  };
+
+  return { name: 'gemini', buildPayload, generateJson, synthesizeSpeech };
+};
@@ -0,0 +1,137 @@
+// Deterministic offline provider. Returns canned fixtures so the app can be developed
+// and tested without network access or an API key.
+const PRODUCT_FIXTURE = {
+  productName: 'Sample Cola',
+  parentCompany: 'Sample Beverages Inc.',
+  priceHistory: [
+    { year: 2015, price: '$1.00' },
+    { year: 2018, price: '$1.25' },
+    { year: 2021, price: '$1.49', source: 'https://example.com/sample-beverages/annual-report-2021' },
+    { year: 2024, price: '$1.79', source: 'https://example.com/sample-beverages/price-list-2024' }
+  ],
+  ingredients: [
+    'Carbonated Water',
+    'High Fructose Corn Syrup',
+    'Caramel Color',
+    'Phosphoric Acid',
+    'Natural Flavors',
+    'Caffeine'
+  ],
+  content: 'A carbonated soft drink sweetened with corn syrup and flavoured with caramel and natural flavours.',
+  goodContent: ['Carbonated Water'],
+  harmfulContent: ['High Fructose Corn Syrup', 'Phosphoric Acid', 'Caramel Color'],
+  customerInfo: 'Contains caffeine. Not recommended for children or pregnant women. Store in a cool, dry place.',
+  dietaryAttributes: {
+    allergens: [],
+    mayContain: [],
+    vegan: 'yes',
+    vegetarian: 'yes',
+    halal: 'yes',
+    keto: 'no',
+    sodiumMgPer100g: 4
+  },
+  nutrition: {
+    basis: 'typical',
+    unit: 'ml',
+    servingSize: '1 can (330 ml)',
+    servingSizeGrams: 330,
+    per100g: { energyKcal: 42, sugarG: 10.6, fatG: 0, saturatedFatG: 0, sodiumMg: 4, proteinG: 0, fiberG: 0 },
+    perServing: { energyKcal: 139, sugarG: 35, fatG: 0, saturatedFatG: 0, sodiumMg: 13, proteinG: 0, fiberG: 0 }
+  },
+  provenance: {
+    parentCompany: { confidence: 'high', sources: [{ title: 'Sample Beverages Inc. brand list', url: 'https://example.com/sample-beverages/brands' }] },
+    priceHistory: { confidence: 'medium', sources: [] },
+    ingredients: { confidence: 'high', sources: [{ title: 'Product label', url: '' }] },
+    harmfulContent: { confidence: 'medium', sources: [] },
+    customerInfo: { confidence: 'low', sources: [] }
+  }
+};
+
+const AUTHENTICITY_FIXTURE = {
+  productName: 'Sample Cola',
+  verdict: 'original',
+  confidence: 0.82,
+  summary: 'Packaging details match the genuine product.',
+  signals: [
+    { category: 'logo_typography', observation: 'Logo lettering and spacing match the official wordmark.', assessment: 'consistent' },
+    { category: 'print_quality', observation: 'Sharp print with clean colour registration.', assessment: 'consistent' },
+    { category: 'barcode_batch', observation: 'EAN-13 barcode present; batch code printed in the expected dot-matrix style.', assessment: 'consistent' },
+    { category: 'packaging_seal', observation: 'Cap seal ring is intact.', assessment: 'unclear' }
+  ]
+};
+
+const ALTERNATIVES_FIXTURE = {
+  alternatives: [
+    {
+      productName: 'Sample Sparkling Water',
+      brand: 'Sample Springs',
+      reason: 'No added sugar',
+      ingredients: ['Carbonated Water', 'Natural Lemon Flavor'],
+      harmfulContent: [],
+      typicalPrice: '$0.99'
+    },
+    {
+      productName: 'Sample Cola Zero',
+      brand: 'Sample Beverages Inc.',
+      reason: 'Sugar-free, no corn syrup',
+      ingredients: ['Carbonated Water', 'Caramel Color', 'Aspartame', 'Natural Flavors'],
+      harmfulContent: ['Aspartame'],
+      typicalPrice: '$1.79'
+    },
+    {
+      productName: 'Sample Kombucha',
+      brand: 'Sample Ferments',
+      reason: 'Less sugar, no phosphoric acid',
+      ingredients: ['Green Tea', 'Cane Sugar', 'Live Cultures'],
+      harmfulContent: [],
+      typicalPrice: '$3.49'
+    }
+  ]
+};
+
+const FIXTURES = {
+  product: (input = {}) => ({
+    ...PRODUCT_FIXTURE,
+    productName: input.productName ? input.productName.trim() : PRODUCT_FIXTURE.productName
+  }),
+  authenticity: () => AUTHENTICITY_FIXTURE,
+  alternatives: () => ALTERNATIVES_FIXTURE
+};
+
+// Number of chunks the fixture text is split into when streaming
+const STREAM_CHUNKS = 8;
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(new DOMException('The request was cancelled.', 'AbortError'));
+    return;
+  }
+  setTimeout(() => (signal && signal.aborted
+    ? reject(new DOMException('The request was cancelled.', 'AbortError'))
+    : resolve()), ms);
+});
+
+export const createMockProvider = ({ latency = 0 } = {}) => {
+  // With onText, the fixture's JSON text is emitted in chunks spread over `latency`
+  const generateJson = async (task, { signal, onText } = {}) => {
+    const fixture = FIXTURES[task.kind];
+    if (!fixture) {
+      throw new Error(`Mock provider has no fixture for "${task.kind}".`);
+    }
+    // Return a fresh copy so callers can't mutate the fixture.
+    const text = JSON.stringify(fixture(task.input));
+
+    if (onText) {
+      const chunkSize = Math.ceil(text.length / STREAM_CHUNKS);
+      for (let end = chunkSize; end < text.length + chunkSize; end += chunkSize) {
+        await delay(latency / STREAM_CHUNKS, signal);
+        onText(text.slice(0, end));
+      }
+    } else if (latency > 0) {
+      await delay(latency, signal);
+    }
+    return JSON.parse(text);
+  };
+
+  return { name: 'mock', generateJson };
+};
@@ -0,0 +1,79 @@
+import { parseModelJson, postEventStream, postJson } from '../http';
+
+// Gemini-style schemas use upper-case OpenAPI type names; JSON Schema wants lower-case.
+export function toJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const converted = { ...schema };
+  if (typeof converted.type === 'string') {
+    converted.type = converted.type.toLowerCase();
+  }
+  if (converted.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(converted.properties).map(([key, value]) => [key, toJsonSchema(value)])
+    );
+  }
+  if (converted.items) {
+    converted.items = toJsonSchema(converted.items);
+  }
+  return converted;
+}
+
+// OpenAI-compatible chat completions adapter (works with self-hosted servers exposing /chat/completions).
+// `maxAttempts` is passed to the HTTP retry policy (http.js).
+export const createOpenAIProvider = ({ apiKey, model, baseUrl, maxAttempts }) => {
+  const buildPayload = ({ kind, prompt, images = [], schema }) => {
+    const content = [{ type: 'text', text: prompt }];
+    images.forEach(image => {
+      content.push({
+        type: 'image_url',
+        image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+      });
+    });
+
+    return {
+      model,
+      messages: [{ role: 'user', content }],
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: kind || 'response', schema: toJsonSchema(schema) }
+      }
+    };
+  };
+
+  // With onText, the response is streamed and onText(textSoFar) is called as chunks arrive
+  const generateJson = async (task, { signal, onRetry, onText } = {}) => {
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+    if (!onText) {
+      const result = await postJson(`${baseUrl}/chat/completions`, buildPayload(task), { headers, signal, onRetry, maxAttempts });
+      if (!result || !result.choices || result.choices.length === 0 ||
+          !result.choices[0].message || typeof result.choices[0].message.content !== 'string') {
+        throw new Error('Invalid response structure from LLM.');
+      }
+      return parseModelJson(result.choices[0].message.content);
+    }
+
+    let text = '';
+    await postEventStream(`${baseUrl}/chat/completions`, { ...buildPayload(task), stream: true }, {
+      headers,
+      signal,
+      onRetry,
+      maxAttempts,
+      onEvent: (data) => {
+        if (data === '[DONE]') return;
+        const choice = parseModelJson(data).choices;
+        const chunk = choice && choice[0] && choice[0].delta && choice[0].delta.content;
+        if (chunk) {
+          text += chunk;
+          onText(text);
+        }
+      }
+    });
+    if (!text) {
+      throw new Error('Invalid response structure from LLM.');
+    }
+    return parseModelJson(text);
+  };
+
+  return { name: 'openai', buildPayload, generateJson };
+};
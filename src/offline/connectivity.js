@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+
+// navigator.onLine only knows about the network interface: `false` reliably means offline,
+// `true` may still be a dead connection, which callers detect as a NetworkError (llm/http.js).
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+// Re-renders when the browser goes online or offline
+export function useOnlineStatus() {
+  const [online, setOnline] = useState(isOnline);
+
+  useEffect(() => {
+    const update = () => setOnline(isOnline());
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+}
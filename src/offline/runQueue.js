@@ -0,0 +1,58 @@
+import { fetchProductDetails } from '../llm/product';
+import { fetchAuthenticityScan } from '../llm/authenticity';
+import { NetworkError } from '../llm/http';
+import { addHistoryEntry } from '../storage/historyStore';
+import { listQueuedRequests, updateQueuedRequest } from '../storage/offlineQueueStore';
+
+// How each kind of queued request is run. Lookups are saved to the history like any other
+// successful lookup, so they can be reopened offline later.
+const RUNNERS = {
+  lookup: async (entry) => {
+    const product = await fetchProductDetails(entry.request);
+    try {
+      await addHistoryEntry({
+        query: entry.query,
+        request: entry.request,
+        language: entry.language,
+        thumbnail: entry.thumbnail,
+        product
+      });
+    } catch (error) {
+      console.warn('Could not save queued lookup to history:', error);
+    }
+    return product;
+  },
+  scan: (entry) => fetchAuthenticityScan(entry.request),
+};
+
+async function replay(onChange) {
+  const pending = (await listQueuedRequests()).filter(entry => entry.status === 'pending');
+  const finished = [];
+
+  for (const entry of pending) {
+    let changes;
+    try {
+      changes = { status: 'done', result: await RUNNERS[entry.kind](entry), error: null, completedAt: Date.now() };
+    } catch (error) {
+      // Lost the connection again: leave this and the rest pending for the next run
+      if (error instanceof NetworkError) break;
+      console.error('Error running queued request:', error);
+      changes = { status: 'failed', error: error.message, completedAt: Date.now() };
+    }
+    finished.push(await updateQueuedRequest(entry.id, changes));
+    if (onChange) onChange();
+  }
+  return finished;
+}
+
+let running = null;
+
+// Run pending queued requests one at a time, oldest first, and resolve with the entries that
+// finished (done or failed). onChange() is called after each one. A call made while a run is
+// in progress joins that run instead of starting a second one.
+export function runQueuedRequests({ onChange } = {}) {
+  if (!running) {
+    running = replay(onChange).finally(() => { running = null; });
+  }
+  return running;
+}
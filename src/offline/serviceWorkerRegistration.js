@@ -0,0 +1,55 @@
+// Registers the service worker built from src/service-worker.js, which precaches the app
+// shell so the app opens without a connection. Production builds only: in development the
+// worker would serve stale bundles.
+const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+// Registration with a new version waiting, and the listeners to tell about it
+let waitingRegistration = null;
+const updateListeners = new Set();
+
+// Called once from index.js
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  // A service worker can't be served from another origin (e.g. PUBLIC_URL on a CDN)
+  if (new URL(process.env.PUBLIC_URL, window.location.href).origin !== window.location.origin) return;
+
+  const start = () => {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).then(registration => {
+      registration.onupdatefound = () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.onstatechange = () => {
+          // With an existing controller this is an update rather than the first install
+          if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+            waitingRegistration = registration;
+            updateListeners.forEach(listener => listener(registration));
+          }
+        };
+      };
+    }).catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  };
+
+  if (document.readyState === 'complete') {
+    start();
+  } else {
+    window.addEventListener('load', start, { once: true });
+  }
+}
+
+// listener(registration) is called when a new version has been downloaded and is waiting for
+// every open tab to close (right away if one already is); pass the registration to applyUpdate
+// to switch right away. Returns a function that removes the listener.
+export function onUpdate(listener) {
+  updateListeners.add(listener);
+  if (waitingRegistration) listener(waitingRegistration);
+  return () => updateListeners.delete(listener);
+}
+
+// Activate the waiting service worker and reload once it has taken over
+export function applyUpdate(registration) {
+  if (!registration.waiting) return;
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+}
@@ -0,0 +1,40 @@
+// Supported display currencies. Prices from the model are in USD and converted client-side.
+export const CURRENCIES = ['USD', 'EUR', 'INR', 'GBP', 'JPY', 'CAD', 'AUD', 'CNY', 'CHF', 'SGD', 'BRL', 'MXN'];
+
+// Built-in fallback (1 USD = x) used when no live or imported rates are available
+export const FALLBACK_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  INR: 83.00,
+  GBP: 0.79,
+  JPY: 157.0,
+  CAD: 1.37,
+  AUD: 1.51,
+  CNY: 7.25,
+  CHF: 0.90,
+  SGD: 1.35,
+  BRL: 5.35,
+  MXN: 18.0,
+};
+
+const formatters = new Map();
+
+// Locale-correct currency formatting, e.g. "$1,299.00", "₹1,07,817.00", "1.299,00 €"
+export function formatCurrency(amount, currency, locale) {
+  const key = `${locale}|${currency}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency }));
+  }
+  return formatters.get(key).format(amount);
+}
+
+// Localized currency name for pickers, e.g. "Euro (€)"
+export function currencyLabel(currency, locale) {
+  const symbol = new Intl.NumberFormat(locale, { style: 'currency', currency, currencyDisplay: 'narrowSymbol' })
+    .formatToParts(0)
+    .find(part => part.type === 'currency').value;
+  const name = typeof Intl.DisplayNames === 'function'
+    ? new Intl.DisplayNames([locale], { type: 'currency' }).of(currency)
+    : currency;
+  return `${name} (${symbol})`;
+}
@@ -0,0 +1,115 @@
+import { CURRENCIES, FALLBACK_RATES } from './currencies';
+import { createHttpRatesSource } from './sources/httpSource';
+import { parseRatesFile } from './sources/fileSource';
+
+// REACT_APP_RATES_SOURCE picks where rates come from: 'http' (default) or 'fixed'
+// (built-in FALLBACK_RATES only). An imported rates file always takes precedence.
+const RATES_SOURCE = (process.env.REACT_APP_RATES_SOURCE || 'http').toLowerCase();
+const RATES_URL = process.env.REACT_APP_RATES_URL || 'https://api.frankfurter.app';
+
+const HTTP_CACHE_KEY = 'pih.rates.http';
+const IMPORTED_KEY = 'pih.rates.imported';
+const LATEST_TTL_MS = 12 * 60 * 60 * 1000;
+
+// A rate table is { source: 'http' | 'file' | 'fixed', asOf, latest: { [currency]: rate },
+// years: { [year]: { [currency]: rate } } }, with rates in units per 1 USD.
+const FIXED_TABLE = { source: 'fixed', asOf: null, latest: FALLBACK_RATES, years: {} };
+
+const readStorage = (key) => {
+  try {
+    const value = window.localStorage.getItem(key);
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not cache ${key}:`, error);
+  }
+};
+
+function tableFromImport(imported) {
+  const latestYear = Math.max(...Object.keys(imported.years).map(Number));
+  return { source: 'file', asOf: imported.asOf, latest: imported.years[latestYear], years: imported.years };
+}
+
+async function loadHttpTable(years, currencies) {
+  const source = createHttpRatesSource({ baseUrl: RATES_URL });
+  const cache = readStorage(HTTP_CACHE_KEY) || { latest: null, years: {} };
+  const currentYear = new Date().getFullYear();
+
+  try {
+    if (!cache.latest || Date.now() - cache.latest.fetchedAt > LATEST_TTL_MS) {
+      cache.latest = { ...(await source.fetchLatest(currencies)), fetchedAt: Date.now() };
+    }
+  } catch (error) {
+    console.warn('Could not refresh exchange rates, using cached rates:', error);
+  }
+
+  // Past years never change, so they are fetched once and cached for good. A year the source
+  // has no rates for (Frankfurter starts in 1999) is skipped; it uses the nearest stored year.
+  const missing = years.filter(year => year < currentYear && !cache.years[year]);
+  const fetched = await Promise.allSettled(missing.map(year => source.fetchYear(year, currencies)));
+  fetched.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      cache.years[missing[index]] = result.value.rates;
+    } else {
+      console.warn(`Could not fetch exchange rates for ${missing[index]}:`, result.reason);
+    }
+  });
+  writeStorage(HTTP_CACHE_KEY, cache);
+
+  if (!cache.latest) return FIXED_TABLE;
+  return { source: 'http', asOf: cache.latest.date, latest: cache.latest.rates, years: cache.years };
+}
+
+// Load a rate table covering `years` (the years in a price history).
+export async function loadRateTable(years = [], currencies = CURRENCIES) {
+  const imported = readStorage(IMPORTED_KEY);
+  if (imported) return tableFromImport(imported);
+  if (RATES_SOURCE === 'http') return loadHttpTable(years, currencies);
+  return FIXED_TABLE;
+}
+
+// Parse and store a CSV/JSON rates file; it replaces live rates until cleared.
+export function importRatesFile(text, fileName) {
+  const imported = parseRatesFile(text, fileName);
+  writeStorage(IMPORTED_KEY, imported);
+  return tableFromImport(imported);
+}
+
+export function clearImportedRates() {
+  try {
+    window.localStorage.removeItem(IMPORTED_KEY);
+  } catch (error) {
+    console.warn('Could not clear imported rates:', error);
+  }
+}
+
+// Rate for `currency` in `year`. The current year (or later, or no year) uses the latest rate;
+// a past year uses its own rate, else the nearest stored year's, else the latest rate. Falls
+// back to the built-in rate when the table has none.
+export function rateFor(table, currency, year) {
+  if (currency === 'USD') return 1;
+  const latest = table.latest[currency] || FALLBACK_RATES[currency] || 1;
+  if (year === undefined || year >= new Date().getFullYear()) return latest;
+
+  const yearRates = table.years[year];
+  if (yearRates && yearRates[currency]) return yearRates[currency];
+
+  const nearest = Object.keys(table.years)
+    .map(Number)
+    .filter(candidate => table.years[candidate][currency])
+    .sort((a, b) => Math.abs(a - year) - Math.abs(b - year))[0];
+  return nearest !== undefined ? table.years[nearest][currency] : latest;
+}
+
+export function convertFromUsd(amount, currency, table, year) {
+  return amount * rateFor(table, currency, year);
+}
+
+export { FIXED_TABLE };
@@ -0,0 +1,70 @@
+import { loadRateTable, rateFor } from './index';
+import { FALLBACK_RATES } from './currencies';
+import { parseRatesFile } from './sources/fileSource';
+
+const currentYear = new Date().getFullYear();
+
+describe('rateFor', () => {
+  const table = { source: 'http', asOf: null, latest: { EUR: 0.95 }, years: { 2015: { EUR: 0.9 }, 2020: { EUR: 0.88 } } };
+
+  test('uses the latest rate for the current year, later years and no year', () => {
+    expect(rateFor(table, 'EUR', currentYear)).toBe(0.95);
+    expect(rateFor(table, 'EUR', currentYear + 1)).toBe(0.95);
+    expect(rateFor(table, 'EUR')).toBe(0.95);
+  });
+
+  test('uses the stored or nearest stored rate for past years', () => {
+    expect(rateFor(table, 'EUR', 2015)).toBe(0.9);
+    expect(rateFor(table, 'EUR', 2019)).toBe(0.88);
+    expect(rateFor(table, 'EUR', 2010)).toBe(0.9);
+  });
+
+  test('falls back to the built-in rate for currencies the table lacks', () => {
+    expect(rateFor(table, 'INR', currentYear)).toBe(FALLBACK_RATES.INR);
+    expect(rateFor(table, 'USD', 2015)).toBe(1);
+  });
+});
+
+describe('loadRateTable', () => {
+  const respond = (body, status = 200) => Promise.resolve({ ok: status < 400, status, json: () => Promise.resolve(body) });
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  test('keeps the years that loaded and the latest rate when one year fails', async () => {
+    window.fetch = jest.fn(url => {
+      if (url.includes('/latest?')) return respond({ date: '2025-06-02', rates: { EUR: 0.95 } });
+      if (url.includes('/2010-12-31?')) return respond({ date: '2010-12-31', rates: { EUR: 0.75 } });
+      return respond({ message: 'not found' }, 404);
+    });
+
+    const table = await loadRateTable([1995, 2010, currentYear], ['USD', 'EUR']);
+
+    expect(table).toMatchObject({ source: 'http', latest: { EUR: 0.95 }, years: { 2010: { USD: 1, EUR: 0.75 } } });
+    expect(table.years[1995]).toBeUndefined();
+    expect(JSON.parse(window.localStorage.getItem('pih.rates.http'))).toMatchObject({
+      latest: { rates: { EUR: 0.95 } },
+      years: { 2010: { EUR: 0.75 } },
+    });
+  });
+});
+
+describe('parseRatesFile', () => {
+  test('keeps only finite positive rates from JSON', () => {
+    const text = JSON.stringify({ asOf: '2020-12-31', rates: { 2020: { eur: 0.88, INR: -1, GBP: 'lots', JPY: null, CHF: 0 } } });
+
+    expect(parseRatesFile(text, 'rates.json')).toEqual({ asOf: '2020-12-31', years: { 2020: { USD: 1, EUR: 0.88 } } });
+  });
+
+  test('rejects a JSON file whose rates are not an object', () => {
+    ['null', '[]'].forEach(rates => {
+      expect(() => parseRatesFile(`{ "rates": ${rates} }`, 'rates.json')).toThrow('Rates JSON needs a "rates" object keyed by year.');
+    });
+  });
+
+  test('reads a CSV with a year column', () => {
+    expect(parseRatesFile('year,EUR,INR\n2019,0.89,x\n', 'rates.csv')).toEqual({ asOf: '2019', years: { 2019: { USD: 1, EUR: 0.89 } } });
+  });
+});
@@ -0,0 +1,64 @@
+// Historical rates imported from a CSV or JSON file, for offline use.
+//
+// CSV: a header row with a `year` (or `date`) column and one column per currency,
+// values in units per 1 USD:
+//   year,EUR,INR,GBP
+//   2019,0.89,70.4,0.78
+//
+// JSON: { "asOf": "2024-06-01", "rates": { "2019": { "EUR": 0.89, "INR": 70.4 }, ... } }
+//
+// Both parse to a rate table: { asOf, years: { [year]: { [currency]: rate } } }
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length < 2) throw new Error('Rates CSV needs a header row and at least one data row.');
+
+  const header = lines[0].split(',').map(cell => cell.trim());
+  const keyColumn = header.findIndex(cell => /^(year|date)$/i.test(cell));
+  if (keyColumn === -1) throw new Error('Rates CSV needs a "year" or "date" column.');
+
+  const years = {};
+  let latestDate = '';
+  lines.slice(1).forEach(line => {
+    const cells = line.split(',').map(cell => cell.trim());
+    const key = cells[keyColumn];
+    const year = parseInt(key, 10);
+    if (!Number.isInteger(year)) return;
+    if (key > latestDate) latestDate = key;
+
+    years[year] = years[year] || { USD: 1 };
+    header.forEach((currency, index) => {
+      const rate = parseFloat(cells[index]);
+      if (index !== keyColumn && Number.isFinite(rate) && rate > 0) {
+        years[year][currency.toUpperCase()] = rate;
+      }
+    });
+  });
+
+  return { asOf: latestDate, years };
+}
+
+function parseJson(text) {
+  const data = JSON.parse(text);
+  if (!data || !data.rates || typeof data.rates !== 'object' || Array.isArray(data.rates)) throw new Error('Rates JSON needs a "rates" object keyed by year.');
+
+  const years = {};
+  Object.entries(data.rates).forEach(([key, rates]) => {
+    const year = parseInt(key, 10);
+    if (!Number.isInteger(year) || !rates || typeof rates !== 'object') return;
+    years[year] = { USD: 1 };
+    Object.entries(rates).forEach(([currency, rate]) => {
+      if (typeof rate === 'number' && Number.isFinite(rate) && rate > 0) {
+        years[year][currency.toUpperCase()] = rate;
+      }
+    });
+  });
+  const latestYear = Math.max(...Object.keys(years).map(Number));
+  return { asOf: data.asOf || String(latestYear), years };
+}
+
+export function parseRatesFile(text, fileName = '') {
+  const table = /\.json$/i.test(fileName) || text.trim().startsWith('{') ? parseJson(text) : parseCsv(text);
+  if (Object.keys(table.years).length === 0) throw new Error('No usable rates found in the file.');
+  return table;
+}
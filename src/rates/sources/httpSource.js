@@ -0,0 +1,23 @@
+// Rates from an HTTP endpoint with a Frankfurter-compatible API (https://www.frankfurter.app):
+//   GET {baseUrl}/latest?from=USD       -> { date, rates: { EUR: 0.92, ... } }
+//   GET {baseUrl}/2019-12-31?from=USD   -> rates on (or just before) that date
+export const createHttpRatesSource = ({ baseUrl }) => {
+  const fetchRates = async (path, currencies) => {
+    const response = await fetch(`${baseUrl}/${path}?from=USD&to=${currencies.filter(c => c !== 'USD').join(',')}`);
+    if (!response.ok) {
+      throw new Error(`Rates request failed with status ${response.status}.`);
+    }
+    const result = await response.json();
+    if (!result || !result.rates || !result.date) {
+      throw new Error('Invalid response structure from rates endpoint.');
+    }
+    return { date: result.date, rates: { USD: 1, ...result.rates } };
+  };
+
+  return {
+    name: 'http',
+    fetchLatest: (currencies) => fetchRates('latest', currencies),
+    // Year-end rate; the current year uses the latest rate
+    fetchYear: (year, currencies) => fetchRates(`${year}-12-31`, currencies),
+  };
+};
@@ -0,0 +1,44 @@
+/* eslint-disable no-restricted-globals */
+// Service worker, compiled by react-scripts (Workbox InjectManifest) into build/service-worker.js
+// and registered from offline/serviceWorkerRegistration.js.
+//
+// It only makes the app shell available offline. Product results are not cached here: lookups
+// are POST requests to the model, so the app keeps them in IndexedDB instead (storage/).
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+// Every JS/CSS/media file of the build; the list is injected at build time
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations (including shared links like /?q=...) are served the cached index.html.
+// Paths with a file extension are real files and, like the API server's /api/*, go to the network.
+const FILE_EXTENSION = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && !url.pathname.startsWith('/_')
+    && !url.pathname.startsWith('/api/')
+    && !FILE_EXTENSION.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Files copied from public/ (manifest, icons) aren't part of the build manifest
+registerRoute(
+  ({ url }) => url.origin === self.location.origin
+    && (url.pathname.endsWith('/manifest.json') || url.pathname.includes('/icons/')),
+  new StaleWhileRevalidate({
+    cacheName: 'app-assets',
+    plugins: [new ExpirationPlugin({ maxEntries: 20 })],
+  })
+);
+
+// Sent by applyUpdate() when the user chooses to load a new version right away
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
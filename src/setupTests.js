@@ -0,0 +1,16 @@
+// Runs before every test file (Create React App picks it up by name)
+import '@testing-library/jest-dom';
+import 'fake-indexeddb/auto';
+
+// jsdom has no layout engine; recharts' ResponsiveContainer only needs the constructor
+global.ResizeObserver = class ResizeObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+// jsdom has no canvas either; jspdf probes for one when it loads. (Server tests run in the
+// node environment, without any DOM.)
+if (typeof HTMLCanvasElement !== 'undefined') {
+  HTMLCanvasElement.prototype.getContext = () => null;
+}
@@ -0,0 +1,41 @@
+import { getProvider } from '../llm';
+import { base64ToArrayBuffer, pcmToWav, sampleRateFromMimeType } from './wav';
+
+// The spoken product summary: name, parent company, risk score, harmful ingredients
+// and customer information, in the UI language.
+export function buildSpeechSummary(product, { t, formatPercent, riskScore }) {
+  const sentences = [t('speech.name', { name: product.productName })];
+  if (product.parentCompany) sentences.push(t('speech.parentCompany', { company: product.parentCompany }));
+  if (typeof riskScore === 'number') sentences.push(t('speech.riskScore', { score: formatPercent(riskScore) }));
+  sentences.push(product.harmfulContent.length > 0
+    ? t('speech.harmful', { items: product.harmfulContent.join(', ') })
+    : t('speech.noHarmful'));
+  if (product.customerInfo) sentences.push(t('speech.customerInfo', { info: product.customerInfo }));
+  return sentences.join(' ');
+}
+
+export const hasSpeechBackend = (provider = getProvider()) => typeof provider.synthesizeSpeech === 'function';
+
+// Ask the provider's speech backend for PCM audio and wrap it as a WAV blob
+export async function synthesizeSpeechAudio(text, provider = getProvider()) {
+  const { mimeType, data } = await provider.synthesizeSpeech(text);
+  const pcmData = new Int16Array(base64ToArrayBuffer(data));
+  return pcmToWav(pcmData, sampleRateFromMimeType(mimeType));
+}
+
+export const hasBrowserSpeech = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+// Speak with the browser's built-in voices, preferring one for the UI locale
+export function speakWithBrowser(text, locale, { onEnd } = {}) {
+  const utterance = new window.SpeechSynthesisUtterance(text);
+  utterance.lang = locale;
+  const language = locale.split('-')[0];
+  const voice = window.speechSynthesis.getVoices().find(item => item.lang === locale)
+    || window.speechSynthesis.getVoices().find(item => item.lang.startsWith(language));
+  if (voice) utterance.voice = voice;
+  utterance.onend = onEnd;
+  utterance.onerror = onEnd;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(utterance);
+  return utterance;
+}
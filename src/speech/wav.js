@@ -0,0 +1,59 @@
+// Helpers for turning the speech backend's base64 16-bit PCM output into a playable WAV blob.
+
+// Convert base64 to an ArrayBuffer
+export function base64ToArrayBuffer(base64) {
+  const binaryString = window.atob(base64);
+  const len = binaryString.length;
+  const bytes = new Uint8Array(len);
+  for (let i = 0; i < len; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+// Wrap 16-bit mono PCM samples (an Int16Array) in a WAV container
+export function pcmToWav(pcmData, sampleRate) {
+  const numChannels = 1;
+  const bytesPerSample = 2; // 16-bit PCM
+  const byteRate = numChannels * sampleRate * bytesPerSample;
+  const blockAlign = numChannels * bytesPerSample;
+
+  const wavBuffer = new ArrayBuffer(44 + pcmData.byteLength);
+  const view = new DataView(wavBuffer);
+
+  // RIFF chunk descriptor
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + pcmData.byteLength, true);
+  writeString(view, 8, 'WAVE');
+
+  // FMT sub-chunk
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true); // Subchunk1Size (16 for PCM)
+  view.setUint16(20, 1, true);  // AudioFormat (1 for PCM)
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, byteRate, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true); // BitsPerSample
+
+  // Data sub-chunk
+  writeString(view, 36, 'data');
+  view.setUint32(40, pcmData.byteLength, true);
+
+  // Write PCM data
+  new Uint8Array(wavBuffer, 44).set(new Uint8Array(pcmData.buffer));
+
+  return new Blob([wavBuffer], { type: 'audio/wav' });
+}
+
+export function writeString(view, offset, string) {
+  for (let i = 0; i < string.length; i++) {
+    view.setUint8(offset + i, string.charCodeAt(i));
+  }
+}
+
+// "audio/L16;codec=pcm;rate=24000" -> 24000
+export const sampleRateFromMimeType = (mimeType, fallback = 24000) => {
+  const match = /rate=(\d+)/.exec(mimeType || '');
+  return match ? Number(match[1]) : fallback;
+};
@@ -0,0 +1,53 @@
+// Minimal promise wrapper around IndexedDB. All object stores are declared here so
+// schema upgrades happen in one place.
+const DB_NAME = 'product-insight-hub';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+function upgrade(db) {
+  if (!db.objectStoreNames.contains('history')) {
+    const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+    history.createIndex('timestamp', 'timestamp');
+  }
+  // Added in version 2: lookups and scans made while offline (see offlineQueueStore.js)
+  if (!db.objectStoreNames.contains('offlineQueue')) {
+    const queue = db.createObjectStore('offlineQueue', { keyPath: 'id', autoIncrement: true });
+    queue.createIndex('createdAt', 'createdAt');
+  }
+  // Added in version 3: watched products and their price snapshots (see watchlistStore.js)
+  if (!db.objectStoreNames.contains('watchlist')) {
+    const watchlist = db.createObjectStore('watchlist', { keyPath: 'id', autoIncrement: true });
+    watchlist.createIndex('productKey', 'productKey');
+  }
+}
+
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call retry if opening failed
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run `operation(store)` in a transaction and resolve with the IDBRequest's result.
+export async function withStore(storeName, mode, operation) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  return promisify(operation(transaction.objectStore(storeName)));
+}
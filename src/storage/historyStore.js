@@ -0,0 +1,48 @@
+import { withStore } from './db';
+
+// Each entry records one successful lookup:
+//   { id, query: { type, label }, request, thumbnail, language, timestamp, pinned, product }
+// `request` is what was sent to fetchProductDetails (including compressed images), so an
+// entry can be re-run; `product` is the normalized result, so it can be reopened offline.
+const STORE = 'history';
+
+export async function addHistoryEntry(entry) {
+  const record = { pinned: false, timestamp: Date.now(), ...entry };
+  const id = await withStore(STORE, 'readwrite', store => store.add(record));
+  return { ...record, id };
+}
+
+// Pinned entries first, then newest first
+export async function listHistoryEntries() {
+  const entries = await withStore(STORE, 'readonly', store => store.getAll());
+  return entries.sort((a, b) => (Number(b.pinned) - Number(a.pinned)) || (b.timestamp - a.timestamp));
+}
+
+// Same product as an earlier request? Text queries match case-insensitively, barcode lookups
+// by GTIN; image queries can't be matched.
+const sameQuery = (a, b) => {
+  if (a.gtin || b.gtin) return a.gtin === b.gtin;
+  if (a.productName && b.productName) return a.productName.trim().toLowerCase() === b.productName.trim().toLowerCase();
+  return false;
+};
+
+// The newest saved result for a request, used while offline. An entry in the requested
+// language wins; otherwise any language is better than nothing. Resolves to null if none.
+export async function findCachedLookup(request) {
+  const matches = (await listHistoryEntries())
+    .filter(entry => entry.request && sameQuery(entry.request, request))
+    .sort((a, b) => b.timestamp - a.timestamp);
+  return matches.find(entry => entry.language === request.language) || matches[0] || null;
+}
+
+export async function updateHistoryEntry(id, changes) {
+  const entry = await withStore(STORE, 'readonly', store => store.get(id));
+  if (!entry) throw new Error(`History entry ${id} not found.`);
+  const updated = { ...entry, ...changes, id };
+  await withStore(STORE, 'readwrite', store => store.put(updated));
+  return updated;
+}
+
+export function deleteHistoryEntry(id) {
+  return withStore(STORE, 'readwrite', store => store.delete(id));
+}
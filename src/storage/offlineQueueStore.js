@@ -0,0 +1,32 @@
+import { withStore } from './db';
+
+// Requests made while offline, replayed once the connection is back (see offline/runQueue.js):
+//   { id, kind: 'lookup' | 'scan', query: { type, label }, request, thumbnail, language,
+//     createdAt, status: 'pending' | 'done' | 'failed', result, error, completedAt }
+// `request` is what fetchProductDetails / fetchAuthenticityScan will be called with; `result`
+// holds the normalized product or scan result once it has run.
+const STORE = 'offlineQueue';
+
+export async function addQueuedRequest(entry) {
+  const record = { status: 'pending', createdAt: Date.now(), result: null, error: null, ...entry };
+  const id = await withStore(STORE, 'readwrite', store => store.add(record));
+  return { ...record, id };
+}
+
+// Oldest first, so requests replay in the order they were made
+export async function listQueuedRequests() {
+  const entries = await withStore(STORE, 'readonly', store => store.getAll());
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export async function updateQueuedRequest(id, changes) {
+  const entry = await withStore(STORE, 'readonly', store => store.get(id));
+  if (!entry) throw new Error(`Queued request ${id} not found.`);
+  const updated = { ...entry, ...changes, id };
+  await withStore(STORE, 'readwrite', store => store.put(updated));
+  return updated;
+}
+
+export function deleteQueuedRequest(id) {
+  return withStore(STORE, 'readwrite', store => store.delete(id));
+}
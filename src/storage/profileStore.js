@@ -0,0 +1,29 @@
+// Dietary profiles live in localStorage: they're small and needed synchronously on render.
+const PROFILES_KEY = 'pih.dietaryProfiles';
+const ACTIVE_PROFILE_KEY = 'pih.activeProfileId';
+
+const readJson = (key, fallback) => {
+  try {
+    const value = window.localStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.warn(`Could not read ${key} from localStorage:`, error);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not write ${key} to localStorage:`, error);
+  }
+};
+
+export const loadProfiles = () => readJson(PROFILES_KEY, []);
+
+export const saveProfiles = (profiles) => writeJson(PROFILES_KEY, profiles);
+
+export const loadActiveProfileId = () => readJson(ACTIVE_PROFILE_KEY, null);
+
+export const saveActiveProfileId = (id) => writeJson(ACTIVE_PROFILE_KEY, id);
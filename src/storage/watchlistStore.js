@@ -0,0 +1,34 @@
+import { withStore } from './db';
+
+// Products on the price watchlist:
+//   { id, productKey, productName, language, product, targetPrice, currency, snapshots,
+//     belowTarget, createdAt, refreshedAt, error, missingCurrentPrice }
+// `targetPrice` is in `currency`, the currency chosen when it was set. `snapshots` is the
+// observed price series, [{ timestamp, price }] in USD, one per refresh that found a price for
+// the current year (see watchlist/index.js);
+// `product` is the latest normalized lookup result.
+const STORE = 'watchlist';
+
+export async function addWatchItem(item) {
+  const record = { snapshots: [], belowTarget: false, createdAt: Date.now(), refreshedAt: null, error: null, ...item };
+  const id = await withStore(STORE, 'readwrite', store => store.add(record));
+  return { ...record, id };
+}
+
+// Oldest first, in the order products were added
+export async function listWatchItems() {
+  const items = await withStore(STORE, 'readonly', store => store.getAll());
+  return items.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export async function updateWatchItem(id, changes) {
+  const item = await withStore(STORE, 'readonly', store => store.get(id));
+  if (!item) throw new Error(`Watched product ${id} not found.`);
+  const updated = { ...item, ...changes, id };
+  await withStore(STORE, 'readwrite', store => store.put(updated));
+  return updated;
+}
+
+export function deleteWatchItem(id) {
+  return withStore(STORE, 'readwrite', store => store.delete(id));
+}
@@ -0,0 +1,51 @@
+import { calculateHealthRisk, haveNutrition } from '../health/riskEngine';
+
+export const MAX_COMPARED_PRODUCTS = 4;
+
+// Identity used to avoid adding the same product to a comparison twice
+export const productKey = (product) =>
+  (product.gtin || product.productName || '').trim().toLowerCase();
+
+const normalizeItem = (item) => item.trim().toLowerCase();
+
+// Split a list field (ingredients, goodContent, harmfulContent) into items shared by
+// every product and items only one product has.
+export function diffListField(products, field) {
+  const sets = products.map(product => new Set((product[field] || []).map(normalizeItem)));
+
+  const common = (products[0][field] || []).filter(item =>
+    sets.every(set => set.has(normalizeItem(item)))
+  );
+  const unique = products.map((product, index) =>
+    (product[field] || []).filter(item =>
+      sets.every((set, otherIndex) => otherIndex === index || !set.has(normalizeItem(item)))
+    )
+  );
+
+  return { common, unique };
+}
+
+// Merge every product's priceHistory into one row per year for an overlaid LineChart.
+// Row keys are `p0`, `p1`, ... by product position; missing years stay undefined.
+export function mergePriceHistories(products) {
+  const rows = new Map();
+  products.forEach((product, index) => {
+    (product.priceHistory || []).forEach(({ year, price }) => {
+      if (!rows.has(year)) rows.set(year, { year });
+      rows.get(year)[`p${index}`] = price;
+    });
+  });
+  return [...rows.values()].sort((a, b) => a.year - b.year);
+}
+
+// Health risks use nutrition facts only when every compared product has them
+export function buildComparison(products, { region } = {}) {
+  const nutrition = haveNutrition(products);
+  return {
+    priceData: mergePriceHistories(products),
+    healthRisks: products.map(product => calculateHealthRisk(product, { region, nutrition })),
+    ingredients: diffListField(products, 'ingredients'),
+    goodContent: diffListField(products, 'goodContent'),
+    harmfulContent: diffListField(products, 'harmfulContent'),
+  };
+}
@@ -0,0 +1,50 @@
+// Quote a CSV cell when it contains a delimiter, quote or line break (RFC 4180)
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: arrays of cells, the first one being the header
+export const toCsv = (rows) => rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
+
+// Parse CSV text into rows of cells (RFC 4180: quoted cells may contain commas, doubled
+// quotes and line breaks). Blank lines are skipped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim()) rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) endRow();
+  return rows;
+}
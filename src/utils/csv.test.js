@@ -0,0 +1,19 @@
+import { parseCsv, toCsv } from './csv';
+
+describe('parseCsv', () => {
+  test('reads quoted cells with commas, quotes and line breaks', () => {
+    const text = 'name,notes\r\n"Oreo, Double Stuf","say ""hi"""\n"Two\nlines",x\n\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['name', 'notes'],
+      ['Oreo, Double Stuf', 'say "hi"'],
+      ['Two\nlines', 'x'],
+    ]);
+  });
+
+  test('round-trips what toCsv writes', () => {
+    const rows = [['query', 'price'], ['Cola, 330 ml', '1.50'], ['Tea "Green"', '']];
+
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+});
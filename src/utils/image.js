@@ -0,0 +1,65 @@
+// Client-side image preparation: everything sent to the model goes through here so we
+// post a few hundred KB of JPEG instead of multi-MB base64 camera photos.
+export const MAX_IMAGE_DIMENSION = 1280;
+export const JPEG_QUALITY = 0.8;
+
+let nextImageId = 1;
+
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not read the image.'));
+    image.src = src;
+  });
+}
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}.`));
+    reader.readAsDataURL(file);
+  });
+}
+
+// Draw any image source (HTMLImageElement, HTMLVideoElement, canvas) scaled so its longest
+// side is at most maxDimension, and encode it as JPEG.
+// Returns { id, dataUrl, mimeType, data } where `data` is the bare base64 payload.
+export function compressImageSource(source, sourceWidth, sourceHeight, {
+  maxDimension = MAX_IMAGE_DIMENSION,
+  quality = JPEG_QUALITY,
+} = {}) {
+  const scale = Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(sourceWidth * scale);
+  canvas.height = Math.round(sourceHeight * scale);
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+  const dataUrl = canvas.toDataURL('image/jpeg', quality);
+  return {
+    id: nextImageId++,
+    dataUrl,
+    mimeType: 'image/jpeg',
+    data: dataUrl.split(',')[1]
+  };
+}
+
+export async function compressImageFile(file, options) {
+  const image = await loadImage(await readFileAsDataUrl(file));
+  return compressImageSource(image, image.naturalWidth, image.naturalHeight, options);
+}
+
+export const THUMBNAIL_DIMENSION = 96;
+
+// Small preview for lists such as the search history
+export async function createThumbnail(dataUrl) {
+  const image = await loadImage(dataUrl);
+  return compressImageSource(image, image.naturalWidth, image.naturalHeight, {
+    maxDimension: THUMBNAIL_DIMENSION,
+    quality: 0.7
+  }).dataUrl;
+}
+
+// The { mimeType, data } pairs the LLM layer expects
+export const toInlineImages = (images) => images.map(({ mimeType, data }) => ({ mimeType, data }));
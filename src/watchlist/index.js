@@ -0,0 +1,58 @@
+// Price watchlist: each refresh of a watched product records what the model reports as its
+// price for the current year, building an observed series next to the model's own priceHistory.
+
+// Oldest snapshots are dropped beyond this, so a long-watched product stays small in IndexedDB
+export const MAX_SNAPSHOTS = 500;
+
+// The model's price for the year of `now`, in USD, or null when its price history doesn't reach
+// that year: an older year's price isn't today's price
+export function currentModelPrice(product, now = Date.now()) {
+  const history = product.priceHistory || [];
+  const latest = history[history.length - 1];
+  return latest && latest.year === new Date(now).getFullYear() ? latest.price : null;
+}
+
+// Changes to store on a watch item after a lookup of its product: the new result and, when it
+// has a price for the current year, a snapshot of it. `missingCurrentPrice` flags a result
+// that had none, so no snapshot was recorded.
+export function snapshotChanges(item, product, now = Date.now()) {
+  const price = currentModelPrice(product, now);
+  const snapshots = price === null
+    ? item.snapshots
+    : [...item.snapshots, { timestamp: now, price }].slice(-MAX_SNAPSHOTS);
+  return { product, snapshots, refreshedAt: now, error: null, missingCurrentPrice: price === null };
+}
+
+export const latestSnapshot = (item) => (item.snapshots.length > 0 ? item.snapshots[item.snapshots.length - 1] : null);
+
+// Compare a price (already in the target's currency) with the target. `crossed` is true only
+// when the price has just dropped to or below the target, so each drop alerts once.
+export function checkTarget(item, price) {
+  const belowTarget = price <= item.targetPrice;
+  return { belowTarget, crossed: belowTarget && !item.belowTarget };
+}
+
+export const hasNotifications = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Ask once, from a user action; the in-app alert is used whatever the answer
+export async function requestNotificationPermission() {
+  if (!hasNotifications() || window.Notification.permission !== 'default') return;
+  try {
+    await window.Notification.requestPermission();
+  } catch (error) {
+    console.warn('Could not request notification permission:', error);
+  }
+}
+
+// Show a browser notification if the user allowed them. Returns whether one was shown.
+export function showBrowserNotification(title, body) {
+  if (!hasNotifications() || window.Notification.permission !== 'granted') return false;
+  try {
+    new window.Notification(title, { body, tag: `price-alert:${title}` });
+    return true;
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.warn('Could not show notification:', error);
+    return false;
+  }
+}
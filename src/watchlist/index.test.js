@@ -0,0 +1,56 @@
+import { checkTarget, currentModelPrice, latestSnapshot, MAX_SNAPSHOTS, snapshotChanges } from './index';
+
+// Snapshots are taken at NOW, so the last price in a history ending in LAST_YEAR is current
+const NOW = Date.UTC(2025, 5, 1);
+const LAST_YEAR = 2025;
+const product = (prices, lastYear = LAST_YEAR) => ({
+  productName: 'Fizzy Cola',
+  priceHistory: prices.map((price, index) => ({ year: lastYear - prices.length + 1 + index, price })),
+});
+
+describe('snapshotChanges', () => {
+  test('records the price of the current year', () => {
+    const changes = snapshotChanges({ snapshots: [{ timestamp: 1, price: 1.5 }] }, product([1, 1.25]), NOW);
+
+    expect(currentModelPrice(product([1, 1.25]), NOW)).toBe(1.25);
+    expect(changes.snapshots).toEqual([{ timestamp: 1, price: 1.5 }, { timestamp: NOW, price: 1.25 }]);
+    expect(changes).toMatchObject({ refreshedAt: NOW, error: null, missingCurrentPrice: false });
+    expect(latestSnapshot(changes)).toEqual({ timestamp: NOW, price: 1.25 });
+  });
+
+  test('keeps the snapshots unchanged when the result has no price', () => {
+    const item = { snapshots: [{ timestamp: 1, price: 2 }] };
+
+    expect(snapshotChanges(item, product([]), NOW).snapshots).toBe(item.snapshots);
+  });
+
+  test('records nothing when the latest price is for an earlier year', () => {
+    const item = { snapshots: [{ timestamp: 1, price: 2 }] };
+    const changes = snapshotChanges(item, product([1, 1.25], LAST_YEAR - 1), NOW);
+
+    expect(currentModelPrice(product([1, 1.25], LAST_YEAR - 1), NOW)).toBeNull();
+    expect(changes.snapshots).toBe(item.snapshots);
+    expect(changes.missingCurrentPrice).toBe(true);
+  });
+
+  test(`keeps the newest ${MAX_SNAPSHOTS} snapshots`, () => {
+    const snapshots = Array.from({ length: MAX_SNAPSHOTS }, (_, index) => ({ timestamp: index, price: 1 }));
+    const changes = snapshotChanges({ snapshots }, product([3]), NOW);
+
+    expect(changes.snapshots).toHaveLength(MAX_SNAPSHOTS);
+    expect(changes.snapshots[0].timestamp).toBe(1);
+    expect(latestSnapshot(changes).price).toBe(3);
+  });
+});
+
+describe('checkTarget', () => {
+  test('alerts once when the price drops to the target', () => {
+    expect(checkTarget({ targetPrice: 2, belowTarget: false }, 2.5)).toEqual({ belowTarget: false, crossed: false });
+    expect(checkTarget({ targetPrice: 2, belowTarget: false }, 2)).toEqual({ belowTarget: true, crossed: true });
+    expect(checkTarget({ targetPrice: 2, belowTarget: true }, 1.5)).toEqual({ belowTarget: true, crossed: false });
+  });
+
+  test('re-arms once the price rises above the target again', () => {
+    expect(checkTarget({ targetPrice: 2, belowTarget: true }, 2.1)).toEqual({ belowTarget: false, crossed: false });
+  });
+});
@@ -0,0 +1,8 @@
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: ['./src/**/*.js'],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+};